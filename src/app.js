@@ -31,6 +31,7 @@ app.use("/api/user", require("./routes/user_routes"));
 app.use("/api/contractor", require("./routes/contractor_routes"));
 app.use("/api/reports", require("./routes/report_routes"));
 app.use("/api/auth", require("./routes/auth_routes"));
+app.use("/api/config", require("./routes/config_routes"));
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -102,28 +102,69 @@ const initDatabase = async () => {
       INDEX idx_duration (duration_seconds)
     );
 
+    -- Known road features (speed breakers, rail crossings, ...) that mask detections
+    CREATE TABLE IF NOT EXISTS road_features (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      feature_type ENUM('speed_breaker', 'rail_crossing', 'expansion_joint', 'cattle_grid', 'other') NOT NULL,
+      name VARCHAR(255),
+      latitude DECIMAL(10, 7) NOT NULL,
+      longitude DECIMAL(10, 7) NOT NULL,
+      polygon JSON NULL,
+      radius_m DECIMAL(6, 1) NOT NULL DEFAULT 10,
+      mask_action ENUM('suppress', 'tag') DEFAULT 'suppress',
+      active BOOLEAN DEFAULT TRUE,
+      source_location_id INT NULL,
+      suppressed_count INT DEFAULT 0,
+      last_suppressed_at TIMESTAMP NULL,
+      notes TEXT,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_location (latitude, longitude),
+      INDEX idx_active (active)
+    );
+
     -- Aggregated locations table
     CREATE TABLE IF NOT EXISTS aggregated_locations (
       id INT AUTO_INCREMENT PRIMARY KEY,
       grid_id VARCHAR(50) UNIQUE NOT NULL,
-      latitude DECIMAL(10, 4) NOT NULL,
-      longitude DECIMAL(10, 4) NOT NULL,
+      latitude DECIMAL(10, 7) NOT NULL,
+      longitude DECIMAL(10, 7) NOT NULL,
       road_name VARCHAR(255),
       total_potholes INT DEFAULT 0,
       total_patchy INT DEFAULT 0,
       highest_severity ENUM('Low', 'Medium', 'High') DEFAULT 'Low',
       report_count INT DEFAULT 1,
+      distinct_devices INT DEFAULT 0,
+      distinct_days INT DEFAULT 0,
+      confidence_score DECIMAL(4, 3) DEFAULT 0,
       ward VARCHAR(100),
       first_reported_at TIMESTAMP,
       last_reported_at TIMESTAMP,
-      status ENUM('pending', 'assigned', 'in_progress', 'pending_verification', 'verified', 'fixed') DEFAULT 'pending',
+      status ENUM('pending', 'assigned', 'in_progress', 'pending_verification', 'verified', 'fixed', 'closed', 'false_positive') DEFAULT 'pending',
       verified_at TIMESTAMP,
+      road_feature_id INT NULL,
+      closed_at TIMESTAMP NULL,
+      review_status ENUM('approved', 'rejected') NULL,
+      invalid_reason VARCHAR(50) NULL,
+      reviewed_by INT NULL,
+      reviewed_at TIMESTAMP NULL,
+      repair_cycle INT DEFAULT 1,
+      is_regression BOOLEAN DEFAULT FALSE,
+      regression_of_assignment_id INT NULL,
+      reopened_at TIMESTAMP NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
       INDEX idx_grid (grid_id),
       INDEX idx_severity (highest_severity),
       INDEX idx_location (latitude, longitude),
-      INDEX idx_status (status)
+      INDEX idx_status (status),
+      INDEX idx_confidence (confidence_score),
+      INDEX idx_regression (is_regression),
+      INDEX idx_review (review_status),
+      FOREIGN KEY (road_feature_id) REFERENCES road_features(id) ON DELETE SET NULL,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
     );
 
     -- App settings table
@@ -170,12 +211,301 @@ const initDatabase = async () => {
       admin_notes TEXT,
       remarks TEXT,
       notes TEXT,
+      is_rework BOOLEAN DEFAULT FALSE,
+      rework_of_assignment_id INT NULL,
+      sla_payable BOOLEAN DEFAULT TRUE,
+      sla_escalation_level ENUM('none', 'reminder', 'warning', 'breach') DEFAULT 'none',
+      sla_escalated_at TIMESTAMP NULL,
+      sla_breach_minutes INT NULL,
       FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
       FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
       FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (rework_of_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      INDEX idx_status (status),
+      INDEX idx_contractor (contractor_id),
+      INDEX idx_due_date (due_date)
+    );
+
+    -- Append-only audit trail of work assignments (status changes, photos, notes).
+    -- No foreign key on assignment_id: declined assignments are deleted, their history is kept.
+    CREATE TABLE IF NOT EXISTS assignment_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      assignment_id INT NOT NULL,
+      aggregated_location_id INT NULL,
+      event_type ENUM('created', 'transition', 'reassigned', 'rejected', 'declined', 'photo', 'note', 'escalated') NOT NULL,
+      action VARCHAR(30),
+      from_status VARCHAR(30),
+      to_status VARCHAR(30),
+      before_values JSON NULL,
+      after_values JSON NULL,
+      note TEXT,
+      actor_user_id INT NULL,
+      actor_role VARCHAR(20) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_assignment (assignment_id, id),
+      INDEX idx_location (aggregated_location_id)
+    );
+
+    -- Incremental Firebase sync cursors (one row per sync + readings collection)
+    CREATE TABLE IF NOT EXISTS firebase_sync_cursors (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sync_name VARCHAR(50) NOT NULL,
+      root_path VARCHAR(255) NOT NULL,
+      firebase_path VARCHAR(512) NOT NULL,
+      last_key VARCHAR(255),
+      last_timestamp_ms BIGINT,
+      processed_count INT DEFAULT 0,
+      last_run_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_sync_path (sync_name, firebase_path),
+      INDEX idx_root (sync_name, root_path)
+    );
+
+    -- Last collection discovery per sync + root path (see firebase_cursor_service)
+    CREATE TABLE IF NOT EXISTS firebase_sync_discoveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sync_name VARCHAR(50) NOT NULL,
+      root_path VARCHAR(255) NOT NULL,
+      collections_found INT DEFAULT 0,
+      discovered_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_sync_root (sync_name, root_path)
+    );
+
+    -- Firebase -> MySQL sync run history
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sync_name VARCHAR(50) NOT NULL,
+      trigger_source VARCHAR(30) NOT NULL DEFAULT 'manual',
+      triggered_by INT,
+      firebase_path VARCHAR(255),
+      status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+      dry_run BOOLEAN DEFAULT FALSE,
+      reprocess BOOLEAN DEFAULT FALSE,
+      thresholds JSON,
+      detection_profile_version INT NULL,
+      scanned INT DEFAULT 0,
+      candidates INT DEFAULT 0,
+      migrated INT DEFAULT 0,
+      denied INT DEFAULT 0,
+      errors INT DEFAULT 0,
+      error_message TEXT,
+      started_at TIMESTAMP(3) NULL,
+      finished_at TIMESTAMP(3) NULL,
+      duration_ms INT,
+      FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_sync_started (sync_name, started_at),
+      INDEX idx_status (status)
+    );
+
+    -- Versioned detection engine thresholds (immutable; at most one active, none = env thresholds)
+    CREATE TABLE IF NOT EXISTS detection_profiles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      version INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      thresholds JSON NOT NULL,
+      notes TEXT,
+      is_active BOOLEAN DEFAULT FALSE,
+      created_by INT,
+      activated_by INT,
+      activated_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_version (version),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (activated_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_active (is_active)
+    );
+
+    -- Accelerometer calibration per device model or device (|z| * scale + offset before detection)
+    CREATE TABLE IF NOT EXISTS device_calibrations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('model', 'device') NOT NULL,
+      scope_key VARCHAR(255) NOT NULL,
+      vibration_scale DECIMAL(6, 3) NOT NULL DEFAULT 1,
+      vibration_offset DECIMAL(6, 3) NOT NULL DEFAULT 0,
+      active BOOLEAN DEFAULT TRUE,
+      source ENUM('manual', 'suggested') DEFAULT 'manual',
+      sample_count INT NULL,
+      notes TEXT,
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_scope_key (scope, scope_key),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Remote config layers for the app / sensor devices (global, per device model)
+    CREATE TABLE IF NOT EXISTS remote_config_layers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope ENUM('global', 'device_model') NOT NULL,
+      scope_key VARCHAR(255) NOT NULL DEFAULT '',
+      config JSON NOT NULL,
+      version INT NOT NULL DEFAULT 1,
+      notes TEXT,
+      updated_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_scope_key (scope, scope_key),
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Item-level outcomes of each sync run
+    CREATE TABLE IF NOT EXISTS sync_run_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      run_id INT NOT NULL,
+      item_key VARCHAR(255),
+      device_key VARCHAR(255),
+      status VARCHAR(30) NOT NULL,
+      reason TEXT,
+      detail JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (run_id) REFERENCES sync_runs(id) ON DELETE CASCADE,
+      INDEX idx_run_status (run_id, status)
+    );
+
+    -- Dead-letter queue for readings the Firebase syncs denied or failed to ingest
+    CREATE TABLE IF NOT EXISTS reading_dead_letters (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sync_name VARCHAR(50) NOT NULL,
+      source_name VARCHAR(30),
+      firebase_path VARCHAR(512) NOT NULL,
+      item_key VARCHAR(255),
+      device_key VARCHAR(255),
+      failure_status ENUM('denied', 'error') NOT NULL,
+      reason TEXT,
+      raw_payload JSON,
+      corrections JSON,
+      status ENUM('open', 'reingested', 'dismissed') DEFAULT 'open',
+      attempts INT DEFAULT 1,
+      resolution_notes TEXT,
+      aggregated_location_id INT,
+      reingested_by INT,
+      reingested_at TIMESTAMP NULL,
+      first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_sync_path (sync_name, firebase_path),
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE SET NULL,
+      FOREIGN KEY (reingested_by) REFERENCES users(id) ON DELETE SET NULL,
       INDEX idx_status (status),
+      INDEX idx_device (device_key)
+    );
+
+    -- Every event folded into an aggregated location (report anomaly or Firebase reading).
+    -- A NULL location is an event suppressed by a road feature where no location exists.
+    CREATE TABLE IF NOT EXISTS aggregated_location_events (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      aggregated_location_id INT NULL,
+      repair_cycle INT NOT NULL DEFAULT 1,
+      grid_id VARCHAR(50) NOT NULL,
+      event_type ENUM('pothole', 'patchy') NOT NULL,
+      source ENUM('report', 'firebase_flag', 'firebase_reading') NOT NULL,
+      source_key VARCHAR(512),
+      source_row_id INT,
+      device_key VARCHAR(255),
+      trip_key VARCHAR(100),
+      road_feature_id INT NULL,
+      detection_profile_version INT NULL,
+      severity ENUM('Low', 'Medium', 'High') NOT NULL,
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      event_at TIMESTAMP(3) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
+      INDEX idx_location_time (aggregated_location_id, event_at),
+      INDEX idx_source (source, source_key(191)),
+      INDEX idx_device (device_key),
+      INDEX idx_road_feature (road_feature_id),
+      INDEX idx_detection_profile (detection_profile_version)
+    );
+
+    -- Finished repair cycles of aggregated locations (archived when a repaired location reopens)
+    CREATE TABLE IF NOT EXISTS aggregated_location_cycles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      aggregated_location_id INT NOT NULL,
+      cycle_number INT NOT NULL,
+      total_potholes INT DEFAULT 0,
+      total_patchy INT DEFAULT 0,
+      highest_severity ENUM('Low', 'Medium', 'High') DEFAULT 'Low',
+      report_count INT DEFAULT 0,
+      distinct_devices INT DEFAULT 0,
+      confidence_score DECIMAL(4, 3) DEFAULT 0,
+      first_reported_at TIMESTAMP NULL,
+      last_reported_at TIMESTAMP NULL,
+      final_status VARCHAR(30),
+      verified_at TIMESTAMP NULL,
+      work_assignment_id INT NULL,
+      contractor_id INT NULL,
+      rework_assignment_id INT NULL,
+      started_at TIMESTAMP NULL,
+      ended_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_location_cycle (aggregated_location_id, cycle_number),
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (work_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE SET NULL,
+      FOREIGN KEY (rework_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL,
       INDEX idx_contractor (contractor_id)
     );
+
+    -- Defect liability (repair warranty) periods; contractor_id NULL is the global period
+    CREATE TABLE IF NOT EXISTS defect_liability_periods (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      contractor_id INT NULL UNIQUE,
+      liability_days INT NOT NULL,
+      notes TEXT,
+      updated_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (contractor_id) REFERENCES contractors(id) ON DELETE CASCADE,
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- SLA policies: business days to repair by severity / road type / ward ('' = any).
+    -- The most specific match wins; without one the built-in severity table applies.
+    CREATE TABLE IF NOT EXISTS sla_policies (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      severity VARCHAR(10) NOT NULL DEFAULT '',
+      road_type VARCHAR(50) NOT NULL DEFAULT '',
+      ward VARCHAR(100) NOT NULL DEFAULT '',
+      business_days INT NOT NULL,
+      notes TEXT,
+      updated_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_policy (severity, road_type, ward),
+      FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Holidays skipped when counting SLA business days ('' ward = every ward)
+    CREATE TABLE IF NOT EXISTS sla_holidays (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      holiday_date DATE NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      ward VARCHAR(100) NOT NULL DEFAULT '',
+      created_by INT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_holiday (holiday_date, ward),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    -- Ground-truth labels of aggregated locations from admin review (real pothole or false positive)
+    CREATE TABLE IF NOT EXISTS location_labels (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      aggregated_location_id INT NOT NULL,
+      repair_cycle INT NOT NULL DEFAULT 1,
+      label ENUM('pothole', 'false_positive') NOT NULL,
+      reason VARCHAR(50),
+      notes TEXT,
+      source ENUM('review_queue', 'admin') NOT NULL,
+      confidence_score DECIMAL(4, 3),
+      labeled_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (aggregated_location_id) REFERENCES aggregated_locations(id) ON DELETE CASCADE,
+      FOREIGN KEY (labeled_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_location (aggregated_location_id, repair_cycle),
+      INDEX idx_label (label)
+    );
   `;
 
   await connection.query(createTables);
@@ -219,13 +549,13 @@ const initDatabase = async () => {
     if (existingLocations[0].count === 0) {
       await connection.query(`
         INSERT INTO aggregated_locations (grid_id, latitude, longitude, road_name, total_potholes, total_patchy, highest_severity, report_count, ward, first_reported_at, last_reported_at, status, verified_at) VALUES
-        ('13.0827_80.2707', 13.0827, 80.2707, 'Anna Salai', 3, 2, 'High', 5, 'Anna Nagar', NOW() - INTERVAL 5 DAY, NOW() - INTERVAL 1 DAY, 'pending', NULL),
-        ('13.0569_80.2425', 13.0569, 80.2425, 'Mount Road', 4, 1, 'Medium', 4, 'T. Nagar', NOW() - INTERVAL 7 DAY, NOW() - INTERVAL 2 DAY, 'assigned', NULL),
-        ('13.0674_80.2376', 13.0674, 80.2376, 'Cathedral Road', 2, 4, 'High', 6, 'Mylapore', NOW() - INTERVAL 10 DAY, NOW() - INTERVAL 3 DAY, 'pending_verification', NULL),
-        ('13.0600_80.2800', 13.0600, 80.2800, 'Gandhi Road', 5, 0, 'Low', 3, 'Adyar', NOW() - INTERVAL 3 DAY, NOW() - INTERVAL 1 DAY, 'pending', NULL),
-        ('8.4283_78.0254', 8.4283, 78.0254, 'Beach Road', 2, 1, 'Medium', 2, 'Beach Road', NOW() - INTERVAL 2 DAY, NOW(), 'pending', NULL),
-        ('13.0900_80.2560', 13.0900, 80.2560, 'ECR Road', 3, 1, 'High', 4, 'Thiruvanmiyur', NOW() - INTERVAL 30 DAY, NOW() - INTERVAL 15 DAY, 'verified', NOW() - INTERVAL 10 DAY),
-        ('13.0350_80.2650', 13.0350, 80.2650, 'OMR Road', 2, 2, 'Medium', 3, 'Sholinganallur', NOW() - INTERVAL 25 DAY, NOW() - INTERVAL 12 DAY, 'verified', NOW() - INTERVAL 8 DAY)
+        ('tf346tek6', 13.0827, 80.2707, 'Anna Salai', 3, 2, 'High', 5, 'Anna Nagar', NOW() - INTERVAL 5 DAY, NOW() - INTERVAL 1 DAY, 'pending', NULL),
+        ('tf343byvc', 13.0569, 80.2425, 'Mount Road', 4, 1, 'Medium', 4, 'T. Nagar', NOW() - INTERVAL 7 DAY, NOW() - INTERVAL 2 DAY, 'assigned', NULL),
+        ('tf343fg5p', 13.0674, 80.2376, 'Cathedral Road', 2, 4, 'High', 6, 'Mylapore', NOW() - INTERVAL 10 DAY, NOW() - INTERVAL 3 DAY, 'pending_verification', NULL),
+        ('tf346cd05', 13.0600, 80.2800, 'Gandhi Road', 5, 0, 'Low', 3, 'Adyar', NOW() - INTERVAL 3 DAY, NOW() - INTERVAL 1 DAY, 'pending', NULL),
+        ('t9rrzw267', 8.4283, 78.0254, 'Beach Road', 2, 1, 'Medium', 2, 'Beach Road', NOW() - INTERVAL 2 DAY, NOW(), 'pending', NULL),
+        ('tf346qbwu', 13.0900, 80.2560, 'ECR Road', 3, 1, 'High', 4, 'Thiruvanmiyur', NOW() - INTERVAL 30 DAY, NOW() - INTERVAL 15 DAY, 'verified', NOW() - INTERVAL 10 DAY),
+        ('tf344kznq', 13.0350, 80.2650, 'OMR Road', 2, 2, 'Medium', 3, 'Sholinganallur', NOW() - INTERVAL 25 DAY, NOW() - INTERVAL 12 DAY, 'verified', NOW() - INTERVAL 8 DAY)
       `);
       console.log("Sample aggregated locations created");
     }
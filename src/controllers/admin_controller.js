@@ -1,5 +1,17 @@
 const db = require("../config/db");
 const { toPublicPhotoUrl } = require('../utils/photoUrl');
+const { parseMinConfidence } = require("../services/location_confidence_service");
+const { INACTIVE_LOCATION_STATUSES } = require("../utils/locationStatus");
+const {
+  ROLES,
+  createAssignment,
+  transitionLocationAssignment,
+  lifecycleErrorStatus,
+  withTransaction,
+} = require("../services/assignment_lifecycle_service");
+const { getAssignmentHistory } = require("../services/assignment_event_service");
+const { computeSlaDueDate } = require("../services/sla_policy_service");
+const { toMySQLDate } = require("../utils/slaDueDate");
 
 // Helper function to convert ISO datetime to MySQL format
 const toMySQLDatetime = (isoString) => {
@@ -11,6 +23,14 @@ const toMySQLDatetime = (isoString) => {
 // Admin dashboard data
 exports.dashboard = async (req, res) => {
   try {
+    // Optional ?minConfidence= hides locations confirmed by too few devices/days
+    const minConfidence = parseMinConfidence(req.query.minConfidence);
+    if (Number.isNaN(minConfidence)) {
+      return res.status(400).json({ message: "minConfidence must be a number between 0 and 1" });
+    }
+    const confidenceClause = minConfidence !== null ? " AND confidence_score >= ?" : "";
+    const confidenceParams = minConfidence !== null ? [minConfidence] : [];
+
     // Get overview statistics
     const [totalReports] = await db.promise().query(
       "SELECT COUNT(*) as count FROM reports"
@@ -29,7 +49,8 @@ exports.dashboard = async (req, res) => {
     );
 
     const [highSeverity] = await db.promise().query(
-      "SELECT COUNT(*) as count FROM aggregated_locations WHERE highest_severity = 'High' AND status = 'pending'"
+      `SELECT COUNT(*) as count FROM aggregated_locations WHERE highest_severity = 'High' AND status = 'pending'${confidenceClause}`,
+      confidenceParams
     );
 
     // Recent reports
@@ -44,10 +65,11 @@ exports.dashboard = async (req, res) => {
     // Hotspots (high severity areas with most reports)
     const [hotspots] = await db.promise().query(
       `SELECT * FROM aggregated_locations 
-       WHERE status = 'pending' 
+       WHERE status = 'pending'${confidenceClause}
        ORDER BY report_count DESC, 
                 FIELD(highest_severity, 'High', 'Medium', 'Low')
-       LIMIT 20`
+       LIMIT 20`,
+      confidenceParams
     );
 
     res.json({
@@ -87,14 +109,10 @@ exports.assignToContractor = async (req, res) => {
   try {
     const { locationId, contractorId, dueDate, notes } = req.body;
 
-    // Validate location exists
-    const [locations] = await db.promise().query(
-      "SELECT id FROM aggregated_locations WHERE id = ?",
-      [locationId]
-    );
-
-    if (locations.length === 0) {
-      return res.status(404).json({ message: "Location not found" });
+    // An explicit due date overrides the SLA policy
+    const dueDateOverride = dueDate ? toMySQLDate(dueDate) : null;
+    if (dueDate && !dueDateOverride) {
+      return res.status(400).json({ message: "dueDate must be a valid date" });
     }
 
     // Validate contractor exists
@@ -107,24 +125,29 @@ exports.assignToContractor = async (req, res) => {
       return res.status(404).json({ message: "Contractor not found or inactive" });
     }
 
-    // Create assignment
-    const [result] = await db.promise().query(
-      `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_by, due_date, notes)
-       VALUES (?, ?, ?, ?, ?)`,
-      [locationId, contractorId, req.user.id, dueDate, notes]
-    );
-
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-      [locationId]
-    );
+    const result = await withTransaction(async (connection) => {
+      const sla = dueDateOverride ? null : await computeSlaDueDate(connection, { locationId });
+      const created = await createAssignment(connection, {
+        locationId,
+        contractorId,
+        actor: { role: ROLES.ADMIN, userId: req.user.id },
+        dueDate: dueDateOverride || sla.dueDate,
+        notes: notes || null,
+      });
+      return { ...created, dueDate: dueDateOverride || sla.dueDate, slaPolicyId: sla ? sla.policyId : null };
+    });
 
     res.status(201).json({
       message: "Assignment created successfully",
-      assignmentId: result.insertId
+      assignmentId: result.assignmentId,
+      dueDate: result.dueDate,
+      slaPolicyId: result.slaPolicyId,
     });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Assign error:", error);
     res.status(500).json({ message: "Failed to create assignment", error: error.message });
   }
@@ -221,8 +244,8 @@ exports.getPotholesGrouped = async (req, res) => {
     const [locations] = await db.promise().query(
       `SELECT 
         al.*,
-        (SELECT GROUP_CONCAT(pd.id) FROM pothole_detections pd 
-         WHERE CONCAT(ROUND(pd.latitude, 4), '_', ROUND(pd.longitude, 4)) = al.grid_id) as pothole_ids,
+        (SELECT GROUP_CONCAT(e.source_row_id) FROM aggregated_location_events e
+         WHERE e.aggregated_location_id = al.id AND e.source = 'report' AND e.event_type = 'pothole') as pothole_ids,
         wa.contractor_id,
         c.company_name as contractor_name,
         c.contact_email as contractor_email
@@ -281,6 +304,12 @@ exports.batchAssign = async (req, res) => {
       return res.status(400).json({ message: "locationIds and contractorId are required" });
     }
 
+    // An explicit due date overrides the SLA policy of every location
+    const dueDateOverride = dueDate ? toMySQLDate(dueDate) : null;
+    if (dueDate && !dueDateOverride) {
+      return res.status(400).json({ message: "dueDate must be a valid date" });
+    }
+
     // Validate contractor exists
     const [contractors] = await connection.query(
       "SELECT id FROM contractors WHERE id = ? AND is_active = TRUE",
@@ -292,30 +321,34 @@ exports.batchAssign = async (req, res) => {
     }
 
     const assignmentIds = [];
+    const dueDates = {};
     
     for (const locationId of locationIds) {
-      const [result] = await connection.query(
-        `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_by, due_date, notes)
-         VALUES (?, ?, ?, ?, ?)`,
-        [locationId, contractorId, req.user.id, dueDate ? toMySQLDatetime(dueDate) : null, notes]
-      );
-      assignmentIds.push(result.insertId);
-
-      // Update location status
-      await connection.query(
-        "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-        [locationId]
-      );
+      const locationDueDate = dueDateOverride || (await computeSlaDueDate(connection, { locationId })).dueDate;
+      const result = await createAssignment(connection, {
+        locationId,
+        contractorId,
+        actor: { role: ROLES.ADMIN, userId: req.user.id },
+        dueDate: locationDueDate,
+        notes: notes || null,
+      });
+      assignmentIds.push(result.assignmentId);
+      dueDates[result.assignmentId] = locationDueDate;
     }
 
     await connection.commit();
 
     res.status(201).json({
       message: `${locationIds.length} locations assigned successfully`,
-      assignmentIds
+      assignmentIds,
+      dueDates,
     });
   } catch (error) {
     await connection.rollback();
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Batch assign error:", error);
     res.status(500).json({ message: "Failed to batch assign", error: error.message });
   } finally {
@@ -323,34 +356,33 @@ exports.batchAssign = async (req, res) => {
   }
 };
 
-// Verify completed work
+// Verify completed work (assignment must be pending_verification)
 exports.verifyWork = async (req, res) => {
   try {
     const { locationId } = req.params;
-    const { notes, rating } = req.body;
-
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-      [locationId]
-    );
-
-    // Update assignment status (match pending_verification, in_progress, or assigned)
-    await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'verified', completed_at = NOW(), admin_notes = ?
-       WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-      [notes, locationId]
+    const { notes } = req.body;
+
+    await withTransaction((connection) =>
+      transitionLocationAssignment(connection, {
+        locationId,
+        action: "verify",
+        actor: { role: ROLES.ADMIN, userId: req.user.id },
+        adminNotes: notes || null,
+      })
     );
 
     res.json({ message: "Work verified successfully" });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Verify work error:", error);
     res.status(500).json({ message: "Failed to verify work", error: error.message });
   }
 };
 
-// Batch verify multiple locations
+// Batch verify multiple locations (all or nothing)
 exports.batchVerify = async (req, res) => {
   const connection = await db.promise().getConnection();
   
@@ -360,21 +392,17 @@ exports.batchVerify = async (req, res) => {
     const { locationIds, notes } = req.body;
 
     if (!locationIds || !locationIds.length) {
+      await connection.rollback();
       return res.status(400).json({ message: "locationIds are required" });
     }
 
     for (const locationId of locationIds) {
-      await connection.query(
-        "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-        [locationId]
-      );
-
-      await connection.query(
-        `UPDATE work_assignments 
-         SET status = 'verified', completed_at = NOW(), admin_notes = ?
-         WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-        [notes, locationId]
-      );
+      await transitionLocationAssignment(connection, {
+        locationId,
+        action: "verify",
+        actor: { role: ROLES.ADMIN, userId: req.user.id },
+        adminNotes: notes || null,
+      });
     }
 
     await connection.commit();
@@ -382,6 +410,10 @@ exports.batchVerify = async (req, res) => {
     res.json({ message: `${locationIds.length} locations verified successfully` });
   } catch (error) {
     await connection.rollback();
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Batch verify error:", error);
     res.status(500).json({ message: "Failed to batch verify", error: error.message });
   } finally {
@@ -389,7 +421,7 @@ exports.batchVerify = async (req, res) => {
   }
 };
 
-// Reject verification
+// Reject verification: the job goes back to the contractor as in_progress
 exports.rejectVerification = async (req, res) => {
   try {
     const { locationId } = req.params;
@@ -397,26 +429,21 @@ exports.rejectVerification = async (req, res) => {
 
     const remarkText = (remarks ?? reason ?? '').toString();
 
-    // Update assignment status back to in_progress
-    const [assignmentResult] = await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'in_progress', completed_at = NULL, remarks = ?
-       WHERE aggregated_location_id = ? AND status = 'pending_verification'`,
-      [remarkText || null, locationId]
-    );
-
-    if (assignmentResult.affectedRows === 0) {
-      return res.status(404).json({ message: 'No pending verification assignment found for this location' });
-    }
-
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'in_progress' WHERE id = ?",
-      [locationId]
+    await withTransaction((connection) =>
+      transitionLocationAssignment(connection, {
+        locationId,
+        action: "reject",
+        actor: { role: ROLES.ADMIN, userId: req.user.id },
+        remarks: remarkText || null,
+      })
     );
 
     res.json({ message: "Verification rejected, sent back to contractor" });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Reject verification error:", error);
     res.status(500).json({ message: "Failed to reject verification", error: error.message });
   }
@@ -467,9 +494,49 @@ exports.getAssignments = async (req, res) => {
   }
 };
 
+// Audit trail of one assignment (also for declined assignments, which no longer exist)
+exports.getAssignmentHistory = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const [[assignments], events] = await Promise.all([
+      db.promise().query(
+        `SELECT wa.*, c.company_name AS contractor_name
+         FROM work_assignments wa
+         LEFT JOIN contractors c ON wa.contractor_id = c.id
+         WHERE wa.id = ?`,
+        [assignmentId]
+      ),
+      getAssignmentHistory(assignmentId),
+    ]);
+
+    if (assignments.length === 0 && events.length === 0) {
+      return res.status(404).json({ message: "Assignment not found" });
+    }
+
+    const assignment = assignments[0]
+      ? {
+          ...assignments[0],
+          pre_work_photo_url: toPublicPhotoUrl(req, assignments[0].pre_work_photo_url),
+          post_work_photo_url: toPublicPhotoUrl(req, assignments[0].post_work_photo_url),
+        }
+      : null;
+
+    res.json({ assignment, events });
+  } catch (error) {
+    console.error("Get assignment history error:", error);
+    res.status(500).json({ message: "Failed to get assignment history", error: error.message });
+  }
+};
+
 // Get map points for visualization
 exports.getMapPoints = async (req, res) => {
   try {
+    const minConfidence = parseMinConfidence(req.query.minConfidence);
+    if (Number.isNaN(minConfidence)) {
+      return res.status(400).json({ message: "minConfidence must be a number between 0 and 1" });
+    }
+
     const [points] = await db.promise().query(
       `SELECT 
         al.id,
@@ -480,9 +547,15 @@ exports.getMapPoints = async (req, res) => {
         al.total_potholes,
         al.total_patchy,
         al.last_reported_at as date,
+        al.distinct_devices,
+        al.distinct_days,
+        al.confidence_score,
         COALESCE(al.ward, 'Unknown') as ward
        FROM aggregated_locations al
-       ORDER BY al.last_reported_at DESC`
+       WHERE al.status NOT IN (?)
+       ${minConfidence !== null ? "AND al.confidence_score >= ?" : ""}
+       ORDER BY al.last_reported_at DESC`,
+      minConfidence !== null ? [INACTIVE_LOCATION_STATUSES, minConfidence] : [INACTIVE_LOCATION_STATUSES]
     );
 
     // Map status to frontend format
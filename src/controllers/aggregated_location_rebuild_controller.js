@@ -0,0 +1,22 @@
+const { rebuildAggregatedLocations } = require("../services/aggregated_location_rebuild_service");
+
+// Recompute aggregated_locations from raw data into the shadow tables and return the diff.
+// Body: { apply? } - only `apply: true` swaps the rebuilt rows into the live tables.
+exports.rebuildAggregatedLocations = async (req, res) => {
+  try {
+    const apply = req.body?.apply === true || req.body?.apply === "true";
+
+    const result = await rebuildAggregatedLocations({ apply });
+
+    res.json({
+      message: result.applied ? "Aggregated locations rebuilt" : "Rebuild preview ready (not applied)",
+      ...result
+    });
+  } catch (error) {
+    if (error.code === "REBUILD_RUNNING" || error.code === "REBUILD_STALE") {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Rebuild aggregated locations error:", error);
+    res.status(500).json({ message: "Failed to rebuild aggregated locations", error: error.message });
+  }
+};
@@ -0,0 +1,49 @@
+const { ROLES } = require("../services/assignment_lifecycle_service");
+const { parseMinConfidence } = require("../services/location_confidence_service");
+const { SEVERITIES, MAX_BATCH, runAutoAssignment } = require("../services/auto_assignment_service");
+
+// Pick contractors for pending locations and return the plan.
+// Body: { locationIds?, severities?, minConfidence?, limit?, apply? } - only `apply: true`
+// creates the assignments; anything else is a dry-run preview.
+exports.autoAssign = async (req, res) => {
+  try {
+    const { locationIds, severities, minConfidence, limit } = req.body || {};
+    const apply = req.body?.apply === true || req.body?.apply === "true";
+
+    if (locationIds !== undefined && (!Array.isArray(locationIds) || locationIds.length === 0)) {
+      return res.status(400).json({ message: "locationIds must be a non-empty array" });
+    }
+    if (severities !== undefined && (!Array.isArray(severities) || severities.some((s) => !SEVERITIES.includes(s)))) {
+      return res.status(400).json({ message: `severities must be a list of ${SEVERITIES.join(", ")}` });
+    }
+    const confidence = parseMinConfidence(minConfidence);
+    if (Number.isNaN(confidence)) {
+      return res.status(400).json({ message: "minConfidence must be a number between 0 and 1" });
+    }
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) > 0 && Number(limit) <= MAX_BATCH)) {
+      return res.status(400).json({ message: `limit must be an integer between 1 and ${MAX_BATCH}` });
+    }
+
+    const result = await runAutoAssignment({
+      dryRun: !apply,
+      actor: { role: ROLES.ADMIN, userId: req.user?.id ?? null },
+      locationIds: locationIds || null,
+      severities: severities && severities.length ? severities : SEVERITIES,
+      minConfidence: confidence,
+      ...(limit !== undefined ? { limit: Number(limit) } : {}),
+    });
+
+    res.json({
+      message: result.dryRun
+        ? "Auto-assignment preview ready (not applied)"
+        : `${result.assigned} locations assigned automatically`,
+      ...result,
+    });
+  } catch (error) {
+    if (error.code === "AUTO_ASSIGN_RUNNING") {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Auto-assign error:", error);
+    res.status(500).json({ message: "Failed to auto-assign locations", error: error.message });
+  }
+};
@@ -1,5 +1,13 @@
 const db = require("../config/db");
 const { toPublicPhotoUrl } = require('../utils/photoUrl');
+const {
+  ROLES,
+  actionForStatus,
+  transitionAssignment,
+  lifecycleErrorStatus,
+  withTransaction,
+} = require("../services/assignment_lifecycle_service");
+const { recordAssignmentEvent, getRecentAssignmentEvents } = require("../services/assignment_event_service");
 
 // Get contractor's assigned jobs
 exports.jobs = async (req, res) => {
@@ -26,10 +34,13 @@ exports.jobs = async (req, res) => {
       [contractorId]
     );
 
+    const recentEvents = await getRecentAssignmentEvents(jobs.map((job) => job.id));
+
     const mappedJobs = jobs.map((job) => ({
       ...job,
       pre_work_photo_url: toPublicPhotoUrl(req, job.pre_work_photo_url),
       post_work_photo_url: toPublicPhotoUrl(req, job.post_work_photo_url),
+      recent_events: recentEvents.get(job.id) || [],
     }));
 
     res.json({ jobs: mappedJobs });
@@ -39,26 +50,17 @@ exports.jobs = async (req, res) => {
   }
 };
 
-// Update job status
+// Update job status (start work, or finish it: "completed" is stored as pending_verification)
 exports.updateJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
     const { status, notes } = req.body;
 
-    // Contractors should not be able to mark work as "completed" directly.
-    // "completed" is reserved for admin-side flows / legacy usage.
-    // When a contractor finishes work, we store it as pending_verification.
-    const normalizedRequestedStatus = String(status || '').toLowerCase();
-    const statusToPersist = normalizedRequestedStatus === 'completed'
-      ? 'pending_verification'
-      : normalizedRequestedStatus;
-
-    const validStatuses = ["assigned", "in_progress", "pending_verification", "completed", "verified"];
-    if (!validStatuses.includes(statusToPersist)) {
+    const requestedStatus = String(status || '').toLowerCase();
+    if (!requestedStatus) {
       return res.status(400).json({ message: "Invalid status" });
     }
 
-    // Verify contractor owns this job
     const [contractors] = await db.promise().query(
       "SELECT id FROM contractors WHERE user_id = ?",
       [req.user.id]
@@ -68,46 +70,33 @@ exports.updateJobStatus = async (req, res) => {
       return res.status(404).json({ message: "Contractor profile not found" });
     }
 
-    const [jobs] = await db.promise().query(
-      "SELECT * FROM work_assignments WHERE id = ? AND contractor_id = ?",
-      [jobId, contractors[0].id]
-    );
-
-    if (jobs.length === 0) {
-      return res.status(404).json({ message: "Job not found" });
-    }
-
-    // Update job
-    const completionDate = (statusToPersist === "completed" || statusToPersist === "pending_verification") ? new Date() : null;
-
-    await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = ?,
-           notes = CONCAT(COALESCE(notes, ''), '\n', ?),
-           completion_date = ?,
-           remarks = CASE WHEN ? = 'pending_verification' THEN NULL ELSE remarks END
-       WHERE id = ?`,
-      [statusToPersist, notes || "", completionDate, statusToPersist, jobId]
-    );
+    const actor = { role: ROLES.CONTRACTOR, userId: req.user.id, contractorId: contractors[0].id };
 
-    // If pending_verification (contractor finished), update aggregated location to pending_verification
-    if (statusToPersist === "pending_verification") {
-      await db.promise().query(
-        "UPDATE aggregated_locations SET status = 'pending_verification' WHERE id = ?",
-        [jobs[0].aggregated_location_id]
+    const result = await withTransaction(async (connection) => {
+      const [jobs] = await connection.query(
+        "SELECT id, status FROM work_assignments WHERE id = ? AND contractor_id = ? FOR UPDATE",
+        [jobId, contractors[0].id]
       );
-    }
+      if (jobs.length === 0) return null;
+
+      return transitionAssignment(connection, {
+        assignmentId: jobs[0].id,
+        action: actionForStatus(jobs[0].status, requestedStatus),
+        actor,
+        appendNotes: notes || null,
+      });
+    });
 
-    // If completed/verified by admin, mark as fixed
-    if (statusToPersist === "completed" || statusToPersist === "verified") {
-      await db.promise().query(
-        "UPDATE aggregated_locations SET status = 'fixed' WHERE id = ?",
-        [jobs[0].aggregated_location_id]
-      );
+    if (!result) {
+      return res.status(404).json({ message: "Job not found" });
     }
 
-    res.json({ success: true, message: "Job status updated successfully", status: statusToPersist });
+    res.json({ success: true, message: "Job status updated successfully", status: result.to });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Update job error:", error);
     res.status(500).json({ message: "Failed to update job", error: error.message });
   }
@@ -153,6 +142,18 @@ exports.uploadJobPhoto = async (req, res) => {
       [filename, jobId]
     );
 
+    await recordAssignmentEvent(db.promise(), {
+      assignmentId: jobs[0].id,
+      locationId: jobs[0].aggregated_location_id,
+      eventType: 'photo',
+      action: `${normalizedType}_photo`,
+      fromStatus: jobs[0].status,
+      toStatus: jobs[0].status,
+      before: { [column]: jobs[0][column] || null },
+      after: { [column]: filename },
+      actor: { role: ROLES.CONTRACTOR, userId: req.user.id },
+    });
+
     res.json({
       success: true,
       photoType: normalizedType,
@@ -165,13 +166,12 @@ exports.uploadJobPhoto = async (req, res) => {
   }
 };
 
-// Reject/delete a job assignment
+// Decline a job: the assignment is removed and the location goes back to pending
 exports.rejectJob = async (req, res) => {
   try {
     const { jobId } = req.params;
     const { reason } = req.body;
 
-    // Verify contractor owns this job
     const [contractors] = await db.promise().query(
       "SELECT id FROM contractors WHERE user_id = ?",
       [req.user.id]
@@ -181,31 +181,23 @@ exports.rejectJob = async (req, res) => {
       return res.status(404).json({ message: "Contractor profile not found" });
     }
 
-    const [jobs] = await db.promise().query(
-      "SELECT * FROM work_assignments WHERE id = ? AND contractor_id = ?",
-      [jobId, contractors[0].id]
-    );
-
-    if (jobs.length === 0) {
-      return res.status(404).json({ message: "Job not found" });
-    }
-
-    // Update aggregated_location status back to pending
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'pending' WHERE id = ?",
-      [jobs[0].aggregated_location_id]
-    );
-
-    // Delete the assignment
-    await db.promise().query(
-      "DELETE FROM work_assignments WHERE id = ?",
-      [jobId]
+    await withTransaction((connection) =>
+      transitionAssignment(connection, {
+        assignmentId: jobId,
+        action: "decline",
+        actor: { role: ROLES.CONTRACTOR, userId: req.user.id, contractorId: contractors[0].id },
+        reason: reason || null,
+      })
     );
 
     console.log(`Job ${jobId} rejected by contractor. Reason: ${reason || 'No reason provided'}`);
 
     res.json({ message: "Job rejected successfully" });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Reject job error:", error);
     res.status(500).json({ message: "Failed to reject job", error: error.message });
   }
@@ -0,0 +1,163 @@
+const db = require("../config/db");
+const { validateCorrections, reingestDeadLetters } = require("../services/dead_letter_service");
+
+// List dead letters with per-reason counts (defaults to open items)
+exports.getDeadLetters = async (req, res) => {
+  try {
+    const { status = "open", syncName, reason, deviceKey, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (status !== "all") {
+      whereClause += " AND dl.status = ?";
+      params.push(status);
+    }
+
+    if (syncName) {
+      whereClause += " AND dl.sync_name = ?";
+      params.push(syncName);
+    }
+
+    if (deviceKey) {
+      whereClause += " AND dl.device_key = ?";
+      params.push(deviceKey);
+    }
+
+    // Reason groups ignore the reason filter so the admin always sees every bucket.
+    const [reasons] = await db.promise().query(
+      `SELECT dl.reason, dl.failure_status, COUNT(*) as count,
+              MIN(dl.first_seen_at) as oldest, MAX(dl.last_seen_at) as newest
+       FROM reading_dead_letters dl
+       ${whereClause}
+       GROUP BY dl.reason, dl.failure_status
+       ORDER BY count DESC`,
+      params
+    );
+
+    if (reason) {
+      whereClause += " AND dl.reason = ?";
+      params.push(reason);
+    }
+
+    const [items] = await db.promise().query(
+      `SELECT dl.*, u.email as reingested_by_email
+       FROM reading_dead_letters dl
+       LEFT JOIN users u ON dl.reingested_by = u.id
+       ${whereClause}
+       ORDER BY dl.last_seen_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    const [total] = await db.promise().query(
+      `SELECT COUNT(*) as count FROM reading_dead_letters dl ${whereClause}`,
+      params
+    );
+
+    res.json({
+      reasons,
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total[0].count,
+        totalPages: Math.ceil(total[0].count / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Get dead letters error:", error);
+    res.status(500).json({ message: "Failed to get dead letters", error: error.message });
+  }
+};
+
+// Store admin corrections (coordinates, flag overrides, severity) on a dead letter
+exports.correctDeadLetter = async (req, res) => {
+  try {
+    const { deadLetterId } = req.params;
+    const { notes } = req.body || {};
+
+    const validation = validateCorrections(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const [rows] = await db.promise().query(
+      "SELECT id, status, corrections FROM reading_dead_letters WHERE id = ?",
+      [deadLetterId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Dead letter not found" });
+    }
+
+    if (rows[0].status === "reingested") {
+      return res.status(409).json({ message: "Dead letter was already re-ingested" });
+    }
+
+    const existing = typeof rows[0].corrections === "string"
+      ? JSON.parse(rows[0].corrections)
+      : rows[0].corrections || {};
+    const corrections = { ...existing, ...validation.corrections };
+
+    await db.promise().query(
+      `UPDATE reading_dead_letters
+       SET corrections = ?, resolution_notes = COALESCE(?, resolution_notes), status = 'open'
+       WHERE id = ?`,
+      [JSON.stringify(corrections), notes ?? null, deadLetterId]
+    );
+
+    res.json({ message: "Corrections saved", corrections });
+  } catch (error) {
+    console.error("Correct dead letter error:", error);
+    res.status(500).json({ message: "Failed to save corrections", error: error.message });
+  }
+};
+
+// Re-ingest selected dead letters through ingestAggregatedEvents.
+// Readings denied by the vibration sync carry no flags, so set potholeFlag/patchyFlag first.
+exports.reingestDeadLetters = async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: "ids are required" });
+    }
+
+    const outcomes = await reingestDeadLetters(ids, req.user?.id ?? null);
+
+    res.json({
+      message: "Re-ingest finished",
+      reingested: outcomes.filter((o) => o.status === "reingested").length,
+      failed: outcomes.filter((o) => o.status === "denied" || o.status === "error").length,
+      outcomes
+    });
+  } catch (error) {
+    console.error("Re-ingest dead letters error:", error);
+    res.status(500).json({ message: "Failed to re-ingest dead letters", error: error.message });
+  }
+};
+
+// Dismiss dead letters that should never be ingested
+exports.dismissDeadLetters = async (req, res) => {
+  try {
+    const { ids, notes } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: "ids are required" });
+    }
+
+    const [result] = await db.promise().query(
+      `UPDATE reading_dead_letters
+       SET status = 'dismissed', resolution_notes = COALESCE(?, resolution_notes)
+       WHERE id IN (?) AND status = 'open'`,
+      [notes ?? null, ids]
+    );
+
+    res.json({ message: "Dead letters dismissed", dismissed: result.affectedRows });
+  } catch (error) {
+    console.error("Dismiss dead letters error:", error);
+    res.status(500).json({ message: "Failed to dismiss dead letters", error: error.message });
+  }
+};
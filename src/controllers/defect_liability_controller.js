@@ -0,0 +1,83 @@
+const db = require("../config/db");
+const {
+  listLiabilityPeriods,
+  setLiabilityPeriod,
+  deleteLiabilityPeriod,
+  warrantyFailureReport,
+} = require("../services/defect_liability_service");
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// List the global and per-contractor defect liability periods
+exports.getLiabilityPeriods = async (req, res) => {
+  try {
+    res.json(await listLiabilityPeriods());
+  } catch (error) {
+    console.error("Get liability periods error:", error);
+    res.status(500).json({ message: "Failed to get defect liability periods", error: error.message });
+  }
+};
+
+// Set a contractor's liability period, or the global one when contractorId is omitted.
+// Body: { contractorId?, liabilityDays, notes? }
+exports.setLiabilityPeriod = async (req, res) => {
+  try {
+    const { contractorId = null, liabilityDays, notes = null } = req.body || {};
+    const days = Number(liabilityDays);
+
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ message: "liabilityDays must be a non-negative integer" });
+    }
+
+    if (contractorId !== null) {
+      const [contractors] = await db.promise().query("SELECT id FROM contractors WHERE id = ?", [contractorId]);
+      if (contractors.length === 0) {
+        return res.status(404).json({ message: "Contractor not found" });
+      }
+    }
+
+    const id = await setLiabilityPeriod({
+      contractorId,
+      liabilityDays: days,
+      notes,
+      userId: req.user?.id ?? null,
+    });
+
+    res.json({ message: "Defect liability period saved", id, contractorId, liabilityDays: days });
+  } catch (error) {
+    console.error("Set liability period error:", error);
+    res.status(500).json({ message: "Failed to save defect liability period", error: error.message });
+  }
+};
+
+exports.deleteLiabilityPeriod = async (req, res) => {
+  try {
+    const removed = await deleteLiabilityPeriod(req.params.periodId);
+
+    if (!removed) {
+      return res.status(404).json({ message: "Defect liability period not found" });
+    }
+
+    res.json({ message: "Defect liability period removed" });
+  } catch (error) {
+    console.error("Delete liability period error:", error);
+    res.status(500).json({ message: "Failed to remove defect liability period", error: error.message });
+  }
+};
+
+// Warranty failures per contractor (?from=YYYY-MM-DD&to=YYYY-MM-DD&contractorId=)
+exports.getWarrantyFailures = async (req, res) => {
+  try {
+    const { from, to, contractorId } = req.query;
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const report = await warrantyFailureReport({ from, to, contractorId: contractorId || null });
+    res.json({ from: from || null, to: to || null, ...report });
+  } catch (error) {
+    console.error("Get warranty failures error:", error);
+    res.status(500).json({ message: "Failed to get warranty failures", error: error.message });
+  }
+};
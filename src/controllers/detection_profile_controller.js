@@ -0,0 +1,68 @@
+const profiles = require("../services/detection_profile_service");
+
+function sendProfileError(res, error) {
+  if (error.code === "INVALID_PROFILE") {
+    res.status(400).json({ message: error.message });
+    return true;
+  }
+  if (error.code === "PROFILE_NOT_FOUND") {
+    res.status(404).json({ message: error.message });
+    return true;
+  }
+  return false;
+}
+
+exports.getDetectionProfiles = async (req, res) => {
+  try {
+    const [rows, active] = await Promise.all([profiles.listProfiles(), profiles.getActiveProfile({ fresh: true })]);
+    res.json({ activeVersion: active.version, profiles: rows });
+  } catch (error) {
+    console.error("Get detection profiles error:", error);
+    res.status(500).json({ message: "Failed to fetch detection profiles", error: error.message });
+  }
+};
+
+// Active thresholds as the syncs see them (version 0 = READINGS_* env thresholds)
+exports.getActiveDetectionProfile = async (req, res) => {
+  try {
+    res.json(await profiles.getActiveProfile({ fresh: true }));
+  } catch (error) {
+    console.error("Get active detection profile error:", error);
+    res.status(500).json({ message: "Failed to fetch active detection profile", error: error.message });
+  }
+};
+
+// Body: { name, thresholds: { PEAK_DELTA?, ... }, notes?, baseVersion?, activate? }
+// Thresholds not given are copied from baseVersion (default: the active profile).
+exports.createDetectionProfile = async (req, res) => {
+  try {
+    const { name, thresholds, notes, baseVersion, activate } = req.body || {};
+
+    const result = await profiles.createProfile({
+      name,
+      thresholds,
+      notes: notes || null,
+      baseVersion: baseVersion ?? null,
+      activate: activate === true || activate === "true",
+      userId: req.user?.id ?? null,
+    });
+
+    res.status(201).json({ message: `Detection profile v${result.version} created`, ...result });
+  } catch (error) {
+    if (sendProfileError(res, error)) return;
+    console.error("Create detection profile error:", error);
+    res.status(500).json({ message: "Failed to create detection profile", error: error.message });
+  }
+};
+
+// Version 0 deactivates all profiles (back to the env thresholds).
+exports.activateDetectionProfile = async (req, res) => {
+  try {
+    const result = await profiles.activateProfile(req.params.version, { userId: req.user?.id ?? null });
+    res.json({ message: `Detection profile v${result.version} activated`, ...result });
+  } catch (error) {
+    if (sendProfileError(res, error)) return;
+    console.error("Activate detection profile error:", error);
+    res.status(500).json({ message: "Failed to activate detection profile", error: error.message });
+  }
+};
@@ -0,0 +1,78 @@
+const {
+  SCOPES,
+  validateCalibrationInput,
+  listCalibrations,
+  upsertCalibration,
+  deleteCalibration,
+  suggestCalibrations,
+} = require("../services/device_calibration_service");
+
+// List calibrations (?scope=model|device)
+exports.getCalibrations = async (req, res) => {
+  try {
+    const { scope } = req.query;
+    if (scope && !SCOPES.has(scope)) {
+      return res.status(400).json({ message: `scope must be one of ${[...SCOPES].join(", ")}` });
+    }
+
+    const calibrations = await listCalibrations({ scope: scope || null });
+    res.json({ calibrations, count: calibrations.length });
+  } catch (error) {
+    console.error("Get calibrations error:", error);
+    res.status(500).json({ message: "Failed to get calibrations", error: error.message });
+  }
+};
+
+// Create or replace. Body: { scope: "model"|"device", key, scale?, offset?, active?, source?, sampleCount?, notes? }
+exports.upsertCalibration = async (req, res) => {
+  try {
+    const validation = validateCalibrationInput(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const calibration = await upsertCalibration(validation.value, req.user?.id ?? null);
+    res.json({ message: "Calibration saved", calibration });
+  } catch (error) {
+    console.error("Save calibration error:", error);
+    res.status(500).json({ message: "Failed to save calibration", error: error.message });
+  }
+};
+
+exports.deleteCalibration = async (req, res) => {
+  try {
+    const deleted = await deleteCalibration(req.params.calibrationId);
+    if (!deleted) {
+      return res.status(404).json({ message: "Calibration not found" });
+    }
+    res.json({ message: "Calibration deleted" });
+  } catch (error) {
+    console.error("Delete calibration error:", error);
+    res.status(500).json({ message: "Failed to delete calibration", error: error.message });
+  }
+};
+
+// Suggested scale/offset per device model and device from archived readings
+// (?days=30&minSamples=500&maxReadings=, max 500000). Nothing is written.
+exports.getCalibrationSuggestions = async (req, res) => {
+  try {
+    const { days, minSamples, maxReadings } = req.query;
+
+    const result = await suggestCalibrations({
+      ...(days !== undefined ? { days } : {}),
+      ...(minSamples !== undefined ? { minSamples } : {}),
+      ...(maxReadings !== undefined ? { maxReadings } : {}),
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.code === "INVALID_SUGGESTION") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === "SUGGESTION_RUNNING") {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Calibration suggestions error:", error);
+    res.status(500).json({ message: "Failed to suggest calibrations", error: error.message });
+  }
+};
@@ -0,0 +1,42 @@
+const { listCursors, resetCursors } = require("../services/firebase_cursor_service");
+
+const SYNC_NAMES = ["flags", "readings"];
+
+// List incremental sync cursors (optionally filtered by ?syncName=flags|readings)
+exports.getCursors = async (req, res) => {
+  try {
+    const { syncName, rootPath } = req.query;
+
+    if (syncName && !SYNC_NAMES.includes(syncName)) {
+      return res.status(400).json({ message: "Invalid syncName" });
+    }
+
+    const cursors = await listCursors({ syncName, rootPath });
+    res.json({ cursors, count: cursors.length });
+  } catch (error) {
+    console.error("Get sync cursors error:", error);
+    res.status(500).json({ message: "Failed to get sync cursors", error: error.message });
+  }
+};
+
+// Rewind cursors so the next run starts from the first key.
+// Body: { syncName?, firebasePath?, remove? } - no filters resets every cursor.
+exports.resetCursors = async (req, res) => {
+  try {
+    const { syncName, firebasePath, remove } = req.body || {};
+
+    if (syncName && !SYNC_NAMES.includes(syncName)) {
+      return res.status(400).json({ message: "Invalid syncName" });
+    }
+
+    const affected = await resetCursors({ syncName, firebasePath, remove: Boolean(remove) });
+
+    res.json({
+      message: remove ? "Sync cursors removed" : "Sync cursors reset",
+      affected,
+    });
+  } catch (error) {
+    console.error("Reset sync cursors error:", error);
+    res.status(500).json({ message: "Failed to reset sync cursors", error: error.message });
+  }
+};
@@ -1,98 +1,20 @@
-const { getFirebaseAdmin } = require("../config/firebase");
+const { getReadingsSource } = require("../services/readings_source_service");
+const { ingestAggregatedEvents } = require("../services/reading_ingestion_service");
 const {
-  ingestAggregatedEvent,
-  normalizeUnixMs,
-  mapVibrationToSeverity,
-} = require("../services/reading_ingestion_service");
+  createDetectionEngine,
+  looksLikeReading,
+  eventTimestampMs,
+} = require("../services/detection_engine_service");
+const { fetchIncrementalEntries, commitCursors } = require("../services/firebase_cursor_service");
+const { trackSyncRun } = require("../services/sync_run_service");
+const { recordDeadLetter } = require("../services/dead_letter_service");
+const { getActiveProfile } = require("../services/detection_profile_service");
+const { getCalibrationResolver } = require("../services/device_calibration_service");
 
 function nowIso() {
   return new Date().toISOString();
 }
 
-function getLat(reading) {
-  const v = Number(reading.Latitude ?? reading.latitude ?? reading.lat);
-  return Number.isFinite(v) ? v : NaN;
-}
-
-function getLon(reading) {
-  const v = Number(reading.Longitude ?? reading.longitude ?? reading.lon);
-  return Number.isFinite(v) ? v : NaN;
-}
-
-function getVibration(reading) {
-  const v = Number(reading.zCorrected ?? reading.Vibration ?? reading.vibration ?? reading.z);
-  return Number.isFinite(v) ? v : 0;
-}
-
-function eventTimestampMs(key, reading) {
-  const fromPayload = normalizeUnixMs(reading.timestamp ?? reading.Timestamp);
-  if (fromPayload) return fromPayload;
-  return normalizeUnixMs(key) || Date.now();
-}
-
-function looksLikeReading(obj) {
-  if (!obj || typeof obj !== "object") return false;
-  // Heuristics: either flags exist, or coordinates exist.
-  if (
-    obj.potholeFlag !== undefined ||
-    obj.patchyFlag !== undefined ||
-    obj.pothole !== undefined ||
-    obj.patchy !== undefined
-  ) {
-    return true;
-  }
-  if (
-    obj.Latitude !== undefined ||
-    obj.Longitude !== undefined ||
-    obj.latitude !== undefined ||
-    obj.longitude !== undefined ||
-    obj.lat !== undefined ||
-    obj.lon !== undefined
-  ) {
-    return true;
-  }
-  return false;
-}
-
-function getFlag(reading, primaryKey, fallbackKey) {
-  if (!reading || typeof reading !== "object") return false;
-  if (reading[primaryKey] !== undefined) return Boolean(reading[primaryKey]);
-  if (fallbackKey && reading[fallbackKey] !== undefined) return Boolean(reading[fallbackKey]);
-  return false;
-}
-
-function isGpsLocked(reading) {
-  if (!reading || typeof reading !== "object") return true;
-  // If gpsFix is provided, respect it.
-  if (reading.gpsFix !== undefined) return Boolean(reading.gpsFix);
-  if (reading.GpsFix !== undefined) return Boolean(reading.GpsFix);
-  return true;
-}
-
-function flattenReadingsTree(root) {
-  const out = [];
-
-  function walk(node, pathParts) {
-    if (!node || typeof node !== "object") return;
-
-    // If this node itself looks like a reading payload, treat it as a leaf.
-    if (looksLikeReading(node)) {
-      out.push({ pathParts, key: pathParts[pathParts.length - 1] || "", reading: node });
-      return;
-    }
-
-    // Otherwise traverse children.
-    for (const [k, v] of Object.entries(node)) {
-      if (v && typeof v === "object") {
-        walk(v, [...pathParts, k]);
-      }
-    }
-  }
-
-  walk(root, []);
-  return out;
-}
-
 function isAlreadyProcessed(reading) {
   const status = reading?._migration?.status;
   // For flags-based sync we only treat "migrated" as final.
@@ -108,43 +30,77 @@ function envNumber(name, fallback) {
 }
 
 async function runFlaggedReadingsSync(options = {}) {
-  const admin = getFirebaseAdmin();
-  const db = admin.database();
-
   const limit = Math.min(
     parseInt(options.limit ?? envNumber("FIREBASE_FLAGS_SYNC_LIMIT", 500), 10) || 500,
     5000
   );
   const dryRun = Boolean(options.dryRun ?? false);
   const reprocess = Boolean(options.reprocess ?? false);
+  const discover = Boolean(options.discover ?? false);
   const firebasePath =
     options.firebasePath ||
     process.env.FIREBASE_READINGS_PATH ||
     process.env.FIREBASE_REPORTS_PATH ||
     "UsersData";
 
-  const ref = db.ref(firebasePath);
-  // Read once and flatten so we can handle nested structures like UsersData/<uid>/readings/<readingId>
-  const snap = await ref.once("value");
-  const all = snap.val() || {};
-
-  const flattened = flattenReadingsTree(all)
-    .filter((x) => x.reading && typeof x.reading === "object")
-    .filter((x) => (reprocess ? true : !isAlreadyProcessed(x.reading)));
+  // Every run (startup, admin endpoint, scripts) is persisted in sync_runs.
+  return trackSyncRun(
+    {
+      syncName: "flags",
+      trigger: options.trigger || "manual",
+      triggeredBy: options.triggeredBy ?? null,
+      firebasePath,
+      dryRun,
+      reprocess,
+    },
+    () => executeFlaggedReadingsSync({ limit, dryRun, reprocess, discover, firebasePath })
+  );
+}
 
-  // Roughly match "latest N" behavior by ordering by timestamp-ish key/payload.
+async function executeFlaggedReadingsSync({ limit, dryRun, reprocess, discover, firebasePath }) {
+  const source = getReadingsSource();
+  const ref = source.ref(firebasePath);
+  // Fetch only readings past each collection's cursor (UsersData/<uid>/readings/<readingId> etc.)
+  const { entries, pages, discovered } = await fetchIncrementalEntries({
+    rootRef: ref,
+    syncName: "flags",
+    rootPath: firebasePath,
+    limit,
+    reprocess,
+    discover,
+  });
+
+  // Already-migrated items need no work but still count as handled for the cursor.
+  const handled = new Set();
+  const flattened = entries.filter((x) => {
+    if (reprocess || !isAlreadyProcessed(x.reading)) return true;
+    handled.add(x.pathParts.join("/"));
+    return false;
+  });
+
+  // Oldest first, so the cursor only moves forward over readings we actually handled.
   const candidates = flattened
     .sort((a, b) => {
       const aTs = eventTimestampMs(a.key, a.reading) || 0;
       const bTs = eventTimestampMs(b.key, b.reading) || 0;
       return aTs - bTs;
     })
-    .slice(-limit);
+    .slice(0, limit);
+
+  const profile = await getActiveProfile();
+  const calibration = await getCalibrationResolver();
+  const engine = createDetectionEngine({ thresholds: profile.thresholds, calibration });
 
   const results = {
+    source: source.name,
     firebasePath,
-    scanned: flattened.length,
+    thresholds: engine.thresholds,
+    profileVersion: profile.version,
+    calibrations: calibration.size,
+    scanned: entries.length,
     candidates: candidates.length,
+    discoveredCollections: discovered,
+    cursorsAdvanced: 0,
     flagged: 0,
     migrated: 0,
     denied: 0,
@@ -152,116 +108,76 @@ async function runFlaggedReadingsSync(options = {}) {
     patchyEvents: 0,
     dryRun,
     reprocess,
+    devices: {},
     items: [],
   };
 
   console.log(
-    `[FirebaseFlagsSync] start path=${firebasePath} scanned=${results.scanned} candidates=${results.candidates} dryRun=${dryRun} reprocess=${reprocess}`
+    `[FirebaseFlagsSync] start source=${source.name} path=${firebasePath} scanned=${results.scanned} candidates=${results.candidates} dryRun=${dryRun} reprocess=${reprocess} profile=v${profile.version}`
   );
 
   for (const entry of candidates) {
     const key = entry.key;
-    const reading = entry.reading;
     const itemRef = entry.pathParts.length ? ref.child(entry.pathParts.join("/")) : ref.child(key);
+    const itemPath = [firebasePath, ...(entry.pathParts.length ? entry.pathParts : [key])].join("/");
+    handled.add(entry.pathParts.join("/"));
 
-    const potholeFlag = getFlag(reading, "potholeFlag", "pothole");
-    const patchyFlag = getFlag(reading, "patchyFlag", "patchy");
-
-    // If both flags are false => deny and do not store in MySQL
-    if (!potholeFlag && !patchyFlag) {
-      results.denied += 1;
-      results.items.push({ key, status: "denied", reason: "Flags false (potholeFlag & patchyFlag)" });
-      if (!dryRun) {
-        await itemRef.update({
-          _migration: {
-            status: "denied",
-            processed: true,
-            at: nowIso(),
-            error: "Flags false (potholeFlag & patchyFlag)",
-          },
-        });
-      }
-      continue;
-    }
-    results.flagged += 1;
-
-    const lat = getLat(reading);
-    const lon = getLon(reading);
+    const decision = engine.processFlaggedReading(entry);
+    const { deviceKey } = decision;
+    if (decision.flagged) results.flagged += 1;
 
-    // Deny when GPS isn't locked (or coords are clearly missing)
-    if (!isGpsLocked(reading) || lat === 0 || lon === 0) {
+    // Flags false => deny and do not store in MySQL.
+    // GPS not locked / invalid coordinates => deny as well.
+    if (decision.status === "denied") {
       results.denied += 1;
-      results.items.push({ key, status: "denied", reason: "gps_not_locked_or_zero_coords" });
+      results.items.push({ key, deviceKey, status: "denied", reason: decision.reason });
       if (!dryRun) {
         await itemRef.update({
           _migration: {
             status: "denied",
             processed: true,
             at: nowIso(),
-            error: "gps_not_locked_or_zero_coords",
+            error: decision.reason,
           },
         });
-      }
-      continue;
-    }
-
-    // Only deny non-finite values after the zero check
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-      results.denied += 1;
-      results.items.push({ key, status: "denied", reason: "invalid_coordinates" });
-      // Mark as processed with denial if not dry-run
-      if (!dryRun) {
-        await itemRef.update({
-          _migration: {
-            status: "denied",
-            processed: true,
-            at: nowIso(),
-            error: "invalid_coordinates",
-          },
+        await recordDeadLetter({
+          syncName: "flags",
+          sourceName: source.name,
+          firebasePath: itemPath,
+          key,
+          deviceKey,
+          status: "denied",
+          reason: decision.reason,
+          payload: entry.reading,
         });
       }
       continue;
     }
 
-    const vibration = getVibration(reading);
-    const tsMs = eventTimestampMs(key, reading);
-
-    const eventsToInsert = [];
-    if (potholeFlag) {
-      eventsToInsert.push({
-        type: "pothole",
-        latitude: lat,
-        longitude: lon,
-        severity: mapVibrationToSeverity(vibration),
-        timestampMs: tsMs,
-      });
-    }
-    if (patchyFlag) {
-      eventsToInsert.push({
-        type: "patchy",
-        latitude: lat,
-        longitude: lon,
-        severity: "Low",
-        timestampMs: tsMs,
-      });
-    }
+    const eventsToInsert = decision.events.map((ev) => ({
+      ...ev,
+      source: "firebase_flag",
+      sourceKey: itemPath,
+      detectionProfileVersion: profile.version,
+    }));
+    const potholeCount = eventsToInsert.filter((e) => e.type === "pothole").length;
+    const patchyCount = eventsToInsert.filter((e) => e.type === "patchy").length;
 
     if (dryRun) {
       results.migrated += eventsToInsert.length;
-      results.potholeEvents += potholeFlag ? 1 : 0;
-      results.patchyEvents += patchyFlag ? 1 : 0;
-      results.items.push({ key, status: "would_migrate", types: eventsToInsert.map((e) => e.type) });
+      results.potholeEvents += potholeCount;
+      results.patchyEvents += patchyCount;
+      results.items.push({ key, deviceKey, status: "would_migrate", types: eventsToInsert.map((e) => e.type) });
       continue;
     }
 
     try {
-      for (const ev of eventsToInsert) {
-        await ingestAggregatedEvent(ev);
-      }
+      // Pothole + patchy events of one reading go in together (one transaction)
+      await ingestAggregatedEvents(eventsToInsert);
 
       results.migrated += eventsToInsert.length;
-      results.potholeEvents += potholeFlag ? 1 : 0;
-      results.patchyEvents += patchyFlag ? 1 : 0;
+      results.potholeEvents += potholeCount;
+      results.patchyEvents += patchyCount;
 
       await itemRef.update({
         _migration: {
@@ -273,10 +189,11 @@ async function runFlaggedReadingsSync(options = {}) {
         },
       });
 
-      results.items.push({ key, status: "migrated", types: eventsToInsert.map((e) => e.type) });
+      results.items.push({ key, deviceKey, status: "migrated", types: eventsToInsert.map((e) => e.type) });
     } catch (error) {
       results.denied += 1;
-      results.items.push({ key, status: "error", error: error.message });
+      engine.recordError(deviceKey);
+      results.items.push({ key, deviceKey, status: "error", error: error.message });
       await itemRef.update({
         _migration: {
           status: "denied",
@@ -285,11 +202,28 @@ async function runFlaggedReadingsSync(options = {}) {
           error: error.message,
         },
       });
+      await recordDeadLetter({
+        syncName: "flags",
+        sourceName: source.name,
+        firebasePath: itemPath,
+        key,
+        deviceKey,
+        status: "error",
+        reason: error.message,
+        payload: entry.reading,
+      });
     }
   }
 
+  results.devices = engine.summary();
+
+  // Dry runs and reprocess runs never move the cursor.
+  if (!dryRun && !reprocess) {
+    results.cursorsAdvanced = await commitCursors(pages, handled);
+  }
+
   console.log(
-    `[FirebaseFlagsSync] done migrated=${results.migrated} denied=${results.denied} flagged=${results.flagged}`
+    `[FirebaseFlagsSync] done migrated=${results.migrated} denied=${results.denied} flagged=${results.flagged} devices=${Object.keys(results.devices).length}`
   );
 
   return results;
@@ -308,48 +242,47 @@ async function processFlaggedReadingSnapshot(snapshot, options = {}) {
     return { processed: false, reason: "already_migrated" };
   }
 
-  const potholeFlag = getFlag(reading, "potholeFlag", "pothole");
-  const patchyFlag = getFlag(reading, "patchyFlag", "patchy");
-  if (!potholeFlag && !patchyFlag) {
-    // Not eligible yet; do nothing so future flag flips can trigger processing.
-    return { processed: false, reason: "flags_false" };
+  // Callers that keep an engine across readings pass the profile version it was built from.
+  let engine = options.engine;
+  let profileVersion = options.profileVersion ?? null;
+  if (!engine) {
+    const profile = await getActiveProfile();
+    engine = createDetectionEngine({ thresholds: profile.thresholds, calibration: await getCalibrationResolver() });
+    profileVersion = profile.version;
   }
+  const decision = engine.processFlaggedReading({ key, reading, pathParts: options.pathParts || [key] });
 
-  const lat = getLat(reading);
-  const lon = getLon(reading);
-  if (!isGpsLocked(reading) || lat === 0 || lon === 0) {
-    return { processed: false, reason: "gps_not_locked_or_zero_coords" };
-  }
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    return { processed: false, reason: "invalid_coordinates" };
+  if (decision.status === "denied") {
+    // Not eligible yet; do nothing so future flag flips / GPS fixes can trigger processing.
+    const reason = decision.flagged ? decision.reason : "flags_false";
+    return { processed: false, reason, deviceKey: decision.deviceKey };
   }
 
-  const vibration = getVibration(reading);
-  const tsMs = eventTimestampMs(key, reading);
-
-  const eventsToInsert = [];
-  if (potholeFlag) {
-    eventsToInsert.push({
-      type: "pothole",
-      latitude: lat,
-      longitude: lon,
-      severity: mapVibrationToSeverity(vibration),
-      timestampMs: tsMs,
-    });
-  }
-  if (patchyFlag) {
-    eventsToInsert.push({
-      type: "patchy",
-      latitude: lat,
-      longitude: lon,
-      severity: "Low",
-      timestampMs: tsMs,
-    });
-  }
+  const eventsToInsert = decision.events.map((ev) => ({
+    ...ev,
+    source: "firebase_flag",
+    sourceKey: options.itemPath || key,
+    detectionProfileVersion: profileVersion,
+  }));
 
   // Write to MySQL
-  for (const ev of eventsToInsert) {
-    await ingestAggregatedEvent(ev);
+  try {
+    await ingestAggregatedEvents(eventsToInsert);
+  } catch (error) {
+    engine.recordError(decision.deviceKey);
+    if (options.itemPath) {
+      await recordDeadLetter({
+        syncName: "flags",
+        sourceName: options.sourceName || null,
+        firebasePath: options.itemPath,
+        key,
+        deviceKey: decision.deviceKey,
+        status: "error",
+        reason: error.message,
+        payload: reading,
+      });
+    }
+    throw error;
   }
 
   // Mark migrated in Firebase (idempotent: if already migrated, skip update)
@@ -365,7 +298,7 @@ async function processFlaggedReadingSnapshot(snapshot, options = {}) {
     });
   }
 
-  return { processed: true, key, types: eventsToInsert.map((e) => e.type) };
+  return { processed: true, key, deviceKey: decision.deviceKey, types: eventsToInsert.map((e) => e.type) };
 }
 
 function startFlaggedReadingsWatcher(options = {}) {
@@ -377,12 +310,33 @@ function startFlaggedReadingsWatcher(options = {}) {
 
   const reprocess = Boolean(options.reprocess ?? false);
 
-  const admin = getFirebaseAdmin();
-  const rootRef = admin.database().ref(firebasePath);
+  const source = getReadingsSource();
+  const rootRef = source.ref(firebasePath);
 
   const watchedRefs = new Set();
   const inFlight = new Set();
 
+  // One engine per detection profile so per-device state survives between events;
+  // it is rebuilt (state reset) when another profile is activated. Calibrations are
+  // looked up per reading, so edits apply without a rebuild.
+  let engine = null;
+  let engineProfileVersion = null;
+  let calibration = null;
+
+  const currentEngine = async () => {
+    const profile = await getActiveProfile();
+    calibration = await getCalibrationResolver();
+    if (!engine || profile.version !== engineProfileVersion) {
+      if (engine) console.log(`[FirebaseFlagsWatch] detection profile v${engineProfileVersion} -> v${profile.version}`);
+      engine = createDetectionEngine({
+        thresholds: profile.thresholds,
+        calibration: (deviceKey, reading) => calibration(deviceKey, reading),
+      });
+      engineProfileVersion = profile.version;
+    }
+    return { engine, profileVersion: engineProfileVersion };
+  };
+
   const attachCollection = (collectionRef, label) => {
     const refKey = collectionRef.toString();
     if (watchedRefs.has(refKey)) return;
@@ -403,10 +357,18 @@ function startFlaggedReadingsWatcher(options = {}) {
           return;
         }
 
-        const result = await processFlaggedReadingSnapshot(snap, { reprocess });
+        // Path below the watch root, e.g. [<uid>, "readings", <readingId>]
+        const pathParts = [...label.slice(firebasePath.length).split("/").filter(Boolean), snapKey];
+        const result = await processFlaggedReadingSnapshot(snap, {
+          reprocess,
+          ...(await currentEngine()),
+          pathParts,
+          itemPath: [firebasePath, ...pathParts].join("/"),
+          sourceName: source.name,
+        });
         if (result.processed) {
           console.log(
-            `[FirebaseFlagsWatch] ${kind} ${label} key=${snapKey} migrated types=${(result.types || []).join(",")}`
+            `[FirebaseFlagsWatch] ${kind} ${label} key=${snapKey} device=${result.deviceKey} migrated types=${(result.types || []).join(",")}`
           );
         }
       } catch (e) {
@@ -449,8 +411,8 @@ function startFlaggedReadingsWatcher(options = {}) {
   rootRef.on("child_added", (userSnap) => attachIfUserHasReadings(userSnap, "child_added"));
   rootRef.on("child_changed", (userSnap) => attachIfUserHasReadings(userSnap, "child_changed"));
 
-  console.log(`[FirebaseFlagsWatch] listening path=${firebasePath} reprocess=${reprocess}`);
-  return { firebasePath };
+  console.log(`[FirebaseFlagsWatch] listening source=${source.name} path=${firebasePath} reprocess=${reprocess}`);
+  return { firebasePath, devices: () => (engine ? engine.summary() : {}) };
 }
 
 exports.syncFlaggedReadingsToAggregatedLocations = async (req, res) => {
@@ -459,6 +421,9 @@ exports.syncFlaggedReadingsToAggregatedLocations = async (req, res) => {
       limit: req.body?.limit ?? req.query?.limit,
       dryRun: req.body?.dryRun ?? req.query?.dryRun,
       reprocess: req.body?.reprocess ?? req.query?.reprocess,
+      discover: req.body?.discover ?? req.query?.discover,
+      trigger: "admin",
+      triggeredBy: req.user?.id ?? null,
     });
     res.json({ success: true, ...results });
   } catch (error) {
@@ -1,322 +1,276 @@
-const { getFirebaseAdmin } = require("../config/firebase");
-const {
-  validateReadingPayload,
-  ingestAggregatedEvent,
-  normalizeReading,
-  normalizeUnixMs,
-} = require("../services/reading_ingestion_service");
+const { getReadingsSource } = require("../services/readings_source_service");
+const { ingestAggregatedEvent } = require("../services/reading_ingestion_service");
+const { createDetectionEngine, eventTimestampMs } = require("../services/detection_engine_service");
+const { fetchIncrementalEntries, commitCursors } = require("../services/firebase_cursor_service");
+const { trackSyncRun } = require("../services/sync_run_service");
+const { getActiveProfile } = require("../services/detection_profile_service");
+const { getCalibrationResolver } = require("../services/device_calibration_service");
+const { recordDeadLetter } = require("../services/dead_letter_service");
 
 function nowIso() {
   return new Date().toISOString();
 }
 
-function pickPendingFirebaseItems(all, reprocess) {
-  const entries = Object.entries(all || {}).filter(
-    ([, value]) => value && typeof value === "object"
-  );
-
-  if (reprocess) return entries;
-
-  return entries.filter(([, value]) => {
-    const status = value?._migration?.status;
-    const processed = value?._migration?.processed;
+function isPendingFirebaseItem(value, reprocess) {
+  if (!value || typeof value !== "object") return false;
+  if (reprocess) return true;
 
-    if (status === "migrated" || status === "denied") return false;
-    if (processed === true) return false;
-    return true;
-  });
-}
+  const status = value?._migration?.status;
+  const processed = value?._migration?.processed;
 
-function envNumber(name, fallback) {
-  const raw = process.env[name];
-  if (raw === undefined || raw === null || raw === "") return fallback;
-  const n = Number(raw);
-  return Number.isFinite(n) ? n : fallback;
+  if (status === "migrated" || status === "denied") return false;
+  if (processed === true) return false;
+  return true;
 }
 
-// Backend-tuned defaults (can be overridden via env vars)
-// Use these if your Firebase "Vibration" values aren't exactly the same scale as the app.
-//
-// Env overrides:
-// READINGS_MIN_SPEED_KMH
-// READINGS_SPEED_NOISE_KMH
-// READINGS_POTHOLE_PEAK_DELTA
-// READINGS_POTHOLE_Z_MIN
-// READINGS_POTHOLE_COOLDOWN_MS
-// READINGS_POTHOLE_HIGH_Z
-// READINGS_PATCHY_MIN
-// READINGS_PATCHY_MAX
-// READINGS_PATCHY_DURATION_MS
-// READINGS_PATCHY_RESET_MS
-const MIN_SPEED = envNumber("READINGS_MIN_SPEED_KMH", 0);
-const SPEED_NOISE = envNumber("READINGS_SPEED_NOISE_KMH", 3);
-
-const PEAK_DELTA = envNumber("READINGS_POTHOLE_PEAK_DELTA", 3.5);
-const Z_MIN_THRESHOLD = envNumber("READINGS_POTHOLE_Z_MIN", 8.0);
-const COOLDOWN_MS = envNumber("READINGS_POTHOLE_COOLDOWN_MS", 4000);
-const POTHOLE_HIGH_Z = envNumber("READINGS_POTHOLE_HIGH_Z", 12.0);
-
-const PATCHY_MIN = envNumber("READINGS_PATCHY_MIN", 2.0);
-const PATCHY_MAX = envNumber("READINGS_PATCHY_MAX", 6.0);
-const PATCHY_DURATION = envNumber("READINGS_PATCHY_DURATION_MS", 3000);
-const PATCHY_RESET_MS = envNumber("READINGS_PATCHY_RESET_MS", 800);
-
-function coerceEventTimestampMs(readingKey, reading) {
-  // Prefer payload timestamp; fallback to Firebase key (often unix seconds)
-  const fromPayload = normalizeUnixMs(reading.timestamp ?? reading.Timestamp);
-  if (fromPayload) return fromPayload;
-  return normalizeUnixMs(readingKey);
+async function runReadingsSync(options = {}) {
+  const limit = Math.min(parseInt(options.limit ?? "200", 10) || 200, 2000);
+  const dryRun = Boolean(options.dryRun);
+  const reprocess = Boolean(options.reprocess);
+  const discover = Boolean(options.discover);
+  const verbose = options.verbose === undefined ? true : Boolean(options.verbose);
+
+  // Your screenshot path looks like: UsersData/<uid>/readings
+  const firebasePath =
+    options.firebasePath ||
+    process.env.FIREBASE_READINGS_PATH ||
+    process.env.FIREBASE_REPORTS_PATH ||
+    "UsersData";
+
+  return trackSyncRun(
+    {
+      syncName: "readings",
+      trigger: options.trigger || "manual",
+      triggeredBy: options.triggeredBy ?? null,
+      firebasePath,
+      dryRun,
+      reprocess,
+    },
+    () => executeReadingsSync({ limit, dryRun, reprocess, discover, verbose, firebasePath })
+  );
 }
 
-function computeSpeedKmh(rawSpeed) {
-  let sp = Number(rawSpeed);
-  if (!Number.isFinite(sp)) sp = 0;
-  if (sp < SPEED_NOISE) sp = 0;
-  return sp;
-}
+async function executeReadingsSync({ limit, dryRun, reprocess, discover, verbose, firebasePath }) {
+  const source = getReadingsSource();
+  const ref = source.ref(firebasePath);
+
+  // Fetch only readings past each collection's cursor (UsersData/<uid>/readings/<readingId> etc.)
+  const { entries, pages, discovered } = await fetchIncrementalEntries({
+    rootRef: ref,
+    syncName: "readings",
+    rootPath: firebasePath,
+    limit,
+    reprocess,
+    discover,
+  });
 
-function mapPotholeSeverityFromZ(zCorrected) {
-  return zCorrected >= POTHOLE_HIGH_Z ? "High" : "Medium";
-}
+  // Already-processed items need no work but still count as handled for the cursor.
+  const handled = new Set();
+  const pending = entries.filter((x) => {
+    if (isPendingFirebaseItem(x.reading, reprocess)) return true;
+    handled.add(x.pathParts.join("/"));
+    return false;
+  });
 
-exports.syncReadingsToAggregatedLocations = async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.body?.limit ?? "200", 10) || 200, 2000);
-    const dryRun = Boolean(req.body?.dryRun);
-    const reprocess = Boolean(req.body?.reprocess);
-    const verbose = req.body?.verbose === undefined ? true : Boolean(req.body?.verbose);
-
-    // Your screenshot path looks like: UsersData/<uid>/readings
-    const firebasePath =
-      process.env.FIREBASE_READINGS_PATH ||
-      process.env.FIREBASE_REPORTS_PATH ||
-      "UsersData";
-
-    const admin = getFirebaseAdmin();
-    const ref = admin.database().ref(firebasePath);
-
-    const snapshot = await ref.once("value");
-    const all = snapshot.val() || {};
-
-    // Sort by time to replicate delta/cooldown logic correctly
-    const candidates = pickPendingFirebaseItems(all, reprocess)
-      .sort(([aKey, aVal], [bKey, bVal]) => {
-        const aTs = coerceEventTimestampMs(aKey, aVal) || 0;
-        const bTs = coerceEventTimestampMs(bKey, bVal) || 0;
-        return aTs - bTs;
-      })
-      .slice(0, limit);
-
-    // Detection state (mirrors HomeScreen refs)
-    let prevZ = 0;
-    let lastDetectionTime = 0;
-    let patchyStart = null;
-    let patchyAlert = false;
-    let lastPatchyVibrationTime = 0;
-
-    const results = {
-      firebasePath,
-      dryRun,
-      reprocess,
-      thresholds: {
-        MIN_SPEED,
-        SPEED_NOISE,
-        PEAK_DELTA,
-        Z_MIN_THRESHOLD,
-        COOLDOWN_MS,
-        POTHOLE_HIGH_Z,
-        PATCHY_MIN,
-        PATCHY_MAX,
-        PATCHY_DURATION,
-        PATCHY_RESET_MS,
-      },
-      scanned: Object.keys(all).length,
-      candidates: candidates.length,
-      migrated: 0,
-      denied: 0,
-      errors: 0,
-      items: [],
-    };
+  // Sort by time to replicate delta/cooldown logic correctly (state itself is per device)
+  const candidates = pending
+    .sort((a, b) => {
+      const aTs = eventTimestampMs(a.key, a.reading) || 0;
+      const bTs = eventTimestampMs(b.key, b.reading) || 0;
+      return aTs - bTs;
+    })
+    .slice(0, limit);
+
+  // One profile for the whole run, so every event of the run is stamped with the same version
+  const profile = await getActiveProfile();
+  const calibration = await getCalibrationResolver();
+  const engine = createDetectionEngine({ thresholds: profile.thresholds, calibration });
+  const t = engine.thresholds;
+
+  const results = {
+    source: source.name,
+    firebasePath,
+    dryRun,
+    reprocess,
+    thresholds: t,
+    profileVersion: profile.version,
+    calibrations: calibration.size,
+    scanned: entries.length,
+    candidates: candidates.length,
+    discoveredCollections: discovered,
+    cursorsAdvanced: 0,
+    migrated: 0,
+    denied: 0,
+    errors: 0,
+    devices: {},
+    items: [],
+  };
+
+  console.log(
+    `[FirebaseReadingsSync] start source=${source.name} path=${firebasePath} scanned=${results.scanned} candidates=${results.candidates} dryRun=${dryRun} reprocess=${reprocess} profile=v${profile.version}`
+  );
 
+  if (verbose) {
     console.log(
-      `[FirebaseReadingsSync] start path=${firebasePath} scanned=${results.scanned} candidates=${results.candidates} dryRun=${dryRun} reprocess=${reprocess}`
+      `[FirebaseReadingsSync] thresholds minSpeed=${t.MIN_SPEED} speedNoise=${t.SPEED_NOISE} pothole(delta>${t.PEAK_DELTA}, z>=${t.Z_MIN_THRESHOLD}, cooldownMs=${t.COOLDOWN_MS}, highZ>=${t.POTHOLE_HIGH_Z}) patchy(z>=${t.PATCHY_MIN} && z<${t.PATCHY_MAX} for ${t.PATCHY_DURATION}ms) tripGapMs=${t.TRIP_GAP_MS}`
     );
+  }
 
-    if (verbose) {
-      console.log(
-        `[FirebaseReadingsSync] thresholds minSpeed=${MIN_SPEED} speedNoise=${SPEED_NOISE} pothole(delta>${PEAK_DELTA}, z>=${Z_MIN_THRESHOLD}, cooldownMs=${COOLDOWN_MS}, highZ>=${POTHOLE_HIGH_Z}) patchy(z>=${PATCHY_MIN} && z<${PATCHY_MAX} for ${PATCHY_DURATION}ms)`
-      );
-    }
-
-    for (const [key, reading] of candidates) {
-      const validation = validateReadingPayload(reading);
-
-      if (!validation.ok) {
-        results.denied += 1;
-        results.items.push({ key, status: "denied", reason: validation.message });
-
-        if (verbose) {
-          console.log(`[FirebaseReadingsSync] DENIED key=${key} reason=${validation.message}`);
-        }
-
-        if (!dryRun) {
-          await ref.child(key).update({
-            _migration: {
-              status: "denied",
-              processed: true,
-              at: nowIso(),
-              error: validation.message,
-            },
-          });
-        }
-
-        continue;
+  for (const entry of candidates) {
+    const key = entry.key;
+    const itemRef = entry.pathParts.length ? ref.child(entry.pathParts.join("/")) : ref.child(key);
+    const itemPath = [firebasePath, ...(entry.pathParts.length ? entry.pathParts : [key])].join("/");
+    handled.add(entry.pathParts.join("/"));
+
+    const decision = engine.processReading(entry);
+    const { deviceKey, tripKey } = decision;
+
+    if (decision.status === "denied") {
+      results.denied += 1;
+      results.items.push({ key, deviceKey, tripKey, status: "denied", reason: decision.reason });
+
+      if (verbose) {
+        const m = decision.metrics;
+        const detail = m
+          ? ` speed=${m.speed} z=${Number.isFinite(m.zCorrected) ? m.zCorrected.toFixed(3) : "NaN"} delta=${Number.isFinite(m.delta) ? m.delta.toFixed(3) : "NaN"}`
+          : "";
+        console.log(
+          `[FirebaseReadingsSync] DENIED key=${key} device=${deviceKey} reason=${decision.reason}${detail}`
+        );
       }
 
-      const normalized = normalizeReading(reading);
-      const timestampMs = coerceEventTimestampMs(key, reading) || Date.now();
-
-      const speed = computeSpeedKmh(normalized.speed);
-      const zCorrected = Math.abs(Number(normalized.vibration));
-      const delta = Math.abs(zCorrected - prevZ);
-
-      // --- 1) PATCHY LOGIC (same as app) ---
-      let detectedEvent = null;
-      if (
-        speed >= MIN_SPEED &&
-        Number.isFinite(zCorrected) &&
-        zCorrected >= PATCHY_MIN &&
-        zCorrected < PATCHY_MAX
-      ) {
-        lastPatchyVibrationTime = timestampMs;
-        if (!patchyStart) patchyStart = timestampMs;
-
-        if (
-          timestampMs - patchyStart >= PATCHY_DURATION &&
-          !patchyAlert
-        ) {
-          detectedEvent = {
-            type: "patchy",
-            latitude: normalized.latitude,
-            longitude: normalized.longitude,
-            severity: "Low",
-            timestampMs,
-          };
-          patchyAlert = true;
-        }
-      } else if (timestampMs - lastPatchyVibrationTime > PATCHY_RESET_MS) {
-        patchyStart = null;
-        patchyAlert = false;
+      if (!dryRun) {
+        await itemRef.update({
+          _migration: {
+            status: "denied",
+            processed: true,
+            at: nowIso(),
+            error: decision.reason,
+          },
+        });
+        await recordDeadLetter({
+          syncName: "readings",
+          sourceName: source.name,
+          firebasePath: itemPath,
+          key,
+          deviceKey,
+          status: "denied",
+          reason: decision.reason,
+          payload: entry.reading,
+        });
       }
 
-      // --- 2) POTHOLE LOGIC (same as app) ---
-      if (!detectedEvent) {
-        if (
-          speed >= MIN_SPEED &&
-          Number.isFinite(zCorrected) &&
-          delta > PEAK_DELTA &&
-          zCorrected >= Z_MIN_THRESHOLD &&
-          timestampMs - lastDetectionTime > COOLDOWN_MS
-        ) {
-          detectedEvent = {
-            type: "pothole",
-            latitude: normalized.latitude,
-            longitude: normalized.longitude,
-            severity: mapPotholeSeverityFromZ(zCorrected),
-            timestampMs,
-          };
-          lastDetectionTime = timestampMs;
-        }
-      }
+      continue;
+    }
 
-      prevZ = Number.isFinite(zCorrected) ? zCorrected : prevZ;
-
-      // If conditions not satisfied => deny
-      if (!detectedEvent) {
-        results.denied += 1;
-        results.items.push({ key, status: "denied", reason: "No pothole/patchy conditions met" });
-
-        if (verbose) {
-          console.log(
-            `[FirebaseReadingsSync] DENIED key=${key} reason=no_conditions speed=${speed} z=${Number.isFinite(zCorrected) ? zCorrected.toFixed(3) : "NaN"} delta=${Number.isFinite(delta) ? delta.toFixed(3) : "NaN"}`
-          );
-        }
-
-        if (!dryRun) {
-          await ref.child(key).update({
-            _migration: {
-              status: "denied",
-              processed: true,
-              at: nowIso(),
-              error: "No pothole/patchy conditions met",
-            },
-          });
-        }
-
-        continue;
-      }
+    const detectedEvent = {
+      ...decision.event,
+      source: "firebase_reading",
+      sourceKey: itemPath,
+      detectionProfileVersion: profile.version,
+    };
 
-      if (dryRun) {
-        results.migrated += 1;
-        results.items.push({ key, status: "would_migrate", type: detectedEvent.type });
+    if (dryRun) {
+      results.migrated += 1;
+      results.items.push({ key, deviceKey, tripKey, status: "would_migrate", type: detectedEvent.type });
 
-        if (verbose) {
-          console.log(`[FirebaseReadingsSync] WOULD_MIGRATE key=${key} type=${detectedEvent.type} severity=${detectedEvent.severity}`);
-        }
-        continue;
+      if (verbose) {
+        console.log(
+          `[FirebaseReadingsSync] WOULD_MIGRATE key=${key} device=${deviceKey} type=${detectedEvent.type} severity=${detectedEvent.severity}`
+        );
       }
+      continue;
+    }
 
-      try {
-        const insertResult = await ingestAggregatedEvent(detectedEvent);
-
-        results.migrated += 1;
-        results.items.push({
-          key,
+    try {
+      const insertResult = await ingestAggregatedEvent(detectedEvent);
+
+      results.migrated += 1;
+      results.items.push({
+        key,
+        deviceKey,
+        tripKey,
+        status: "migrated",
+        type: detectedEvent.type,
+        severity: detectedEvent.severity,
+        gridId: insertResult.gridId,
+        aggregatedLocationId: insertResult.aggregatedLocationId,
+        created: insertResult.created,
+        reopened: insertResult.reopened,
+        suppressed: insertResult.suppressed,
+        roadFeatureId: insertResult.roadFeatureId,
+      });
+
+      await itemRef.update({
+        _migration: {
           status: "migrated",
+          processed: true,
+          at: nowIso(),
           type: detectedEvent.type,
           severity: detectedEvent.severity,
           gridId: insertResult.gridId,
           aggregatedLocationId: insertResult.aggregatedLocationId,
-          created: insertResult.created,
-        });
+        },
+      });
 
-        await ref.child(key).update({
-          _migration: {
-            status: "migrated",
-            processed: true,
-            at: nowIso(),
-            type: detectedEvent.type,
-            severity: detectedEvent.severity,
-            gridId: insertResult.gridId,
-            aggregatedLocationId: insertResult.aggregatedLocationId,
-          },
-        });
+      if (verbose) {
+        console.log(
+          `[FirebaseReadingsSync] MIGRATED key=${key} device=${deviceKey} type=${detectedEvent.type} severity=${detectedEvent.severity} gridId=${insertResult.gridId} created=${insertResult.created}`
+        );
+      }
+    } catch (error) {
+      results.errors += 1;
+      engine.recordError(deviceKey);
+      results.items.push({ key, deviceKey, tripKey, status: "error", error: error.message });
+
+      console.log(`[FirebaseReadingsSync] ERROR key=${key} device=${deviceKey} error=${error.message}`);
+
+      await itemRef.update({
+        _migration: {
+          status: "denied",
+          processed: true,
+          at: nowIso(),
+          error: error.message,
+        },
+      });
+      await recordDeadLetter({
+        syncName: "readings",
+        sourceName: source.name,
+        firebasePath: itemPath,
+        key,
+        deviceKey,
+        status: "error",
+        reason: error.message,
+        payload: entry.reading,
+      });
+    }
+  }
 
-        if (verbose) {
-          console.log(
-            `[FirebaseReadingsSync] MIGRATED key=${key} type=${detectedEvent.type} severity=${detectedEvent.severity} gridId=${insertResult.gridId} created=${insertResult.created}`
-          );
-        }
-      } catch (error) {
-        results.errors += 1;
-        results.items.push({ key, status: "error", error: error.message });
+  results.devices = engine.summary();
 
-        console.log(`[FirebaseReadingsSync] ERROR key=${key} error=${error.message}`);
+  // Dry runs and reprocess runs never move the cursor.
+  if (!dryRun && !reprocess) {
+    results.cursorsAdvanced = await commitCursors(pages, handled);
+  }
 
-        await ref.child(key).update({
-          _migration: {
-            status: "denied",
-            processed: true,
-            at: nowIso(),
-            error: error.message,
-          },
-        });
-      }
-    }
+  console.log(
+    `[FirebaseReadingsSync] done migrated=${results.migrated} denied=${results.denied} errors=${results.errors} devices=${Object.keys(results.devices).length}`
+  );
 
-    console.log(
-      `[FirebaseReadingsSync] done migrated=${results.migrated} denied=${results.denied} errors=${results.errors}`
-    );
+  return results;
+}
+
+exports.syncReadingsToAggregatedLocations = async (req, res) => {
+  try {
+    const results = await runReadingsSync({
+      limit: req.body?.limit,
+      dryRun: req.body?.dryRun,
+      reprocess: req.body?.reprocess,
+      discover: req.body?.discover,
+      verbose: req.body?.verbose,
+      trigger: "admin",
+      triggeredBy: req.user?.id ?? null,
+    });
 
     res.json({ success: true, ...results });
   } catch (error) {
@@ -328,3 +282,5 @@ exports.syncReadingsToAggregatedLocations = async (req, res) => {
     });
   }
 };
+
+module.exports.runReadingsSync = runReadingsSync;
@@ -1,6 +1,7 @@
 const db = require("../config/db");
-const { getFirebaseAdmin } = require("../config/firebase");
+const { getReadingsSource } = require("../services/readings_source_service");
 const { ingestReport, validateReportPayload } = require("../services/report_ingestion_service");
+const { trackSyncRun } = require("../services/sync_run_service");
 
 function nowIso() {
   return new Date().toISOString();
@@ -21,97 +22,122 @@ function pickPendingFirebaseReports(all) {
     });
 }
 
-exports.syncReportsFromFirebase = async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.body?.limit ?? "50", 10) || 50, 500);
-    const dryRun = Boolean(req.body?.dryRun);
+async function runReportsSync(options = {}) {
+  const limit = Math.min(parseInt(options.limit ?? "50", 10) || 50, 500);
+  const dryRun = Boolean(options.dryRun);
 
-    const firebasePath = process.env.FIREBASE_REPORTS_PATH || "reports_queue";
+  const firebasePath = options.firebasePath || process.env.FIREBASE_REPORTS_PATH || "reports_queue";
 
-    const admin = getFirebaseAdmin();
-    const ref = admin.database().ref(firebasePath);
+  return trackSyncRun(
+    {
+      syncName: "reports",
+      trigger: options.trigger || "manual",
+      triggeredBy: options.triggeredBy ?? null,
+      firebasePath,
+      dryRun,
+    },
+    () => executeReportsSync({ limit, dryRun, firebasePath })
+  );
+}
 
-    const snapshot = await ref.once("value");
-    const all = snapshot.val() || {};
+async function executeReportsSync({ limit, dryRun, firebasePath }) {
+  const source = getReadingsSource();
+  const ref = source.ref(firebasePath);
 
-    const candidates = pickPendingFirebaseReports(all).slice(0, limit);
+  const snapshot = await ref.once("value");
+  const all = snapshot.val() || {};
 
-    const results = {
-      firebasePath,
-      dryRun,
-      scanned: Object.keys(all).length,
-      candidates: candidates.length,
-      migrated: 0,
-      denied: 0,
-      alreadyExists: 0,
-      errors: 0,
-      items: [],
-    };
-
-    for (const [key, payload] of candidates) {
-      const validation = validateReportPayload(payload);
-
-      if (!validation.ok) {
-        results.denied += 1;
-        results.items.push({ key, status: "denied", reason: validation.message });
-
-        if (!dryRun) {
-          await ref.child(key).update({
-            migrationStatus: "denied",
-            migrationError: validation.message,
-            migratedAt: nowIso(),
-          });
-        }
-
-        continue;
-      }
+  const candidates = pickPendingFirebaseReports(all).slice(0, limit);
 
-      if (dryRun) {
-        results.migrated += 1;
-        results.items.push({ key, status: "would_migrate" });
-        continue;
-      }
+  const results = {
+    source: source.name,
+    firebasePath,
+    dryRun,
+    scanned: Object.keys(all).length,
+    candidates: candidates.length,
+    migrated: 0,
+    denied: 0,
+    alreadyExists: 0,
+    errors: 0,
+    items: [],
+  };
+
+  for (const [key, payload] of candidates) {
+    const validation = validateReportPayload(payload);
 
-      try {
-        const insertResult = await ingestReport(payload);
+    if (!validation.ok) {
+      results.denied += 1;
+      results.items.push({ key, status: "denied", reason: validation.message });
 
-        results.migrated += 1;
-        results.items.push({
-          key,
-          status: "migrated",
-          reportId: insertResult.reportId,
-          sqlReportDbId: insertResult.dbId,
+      if (!dryRun) {
+        await ref.child(key).update({
+          migrationStatus: "denied",
+          migrationError: validation.message,
+          migratedAt: nowIso(),
         });
+      }
+
+      continue;
+    }
+
+    if (dryRun) {
+      results.migrated += 1;
+      results.items.push({ key, status: "would_migrate" });
+      continue;
+    }
+
+    try {
+      const insertResult = await ingestReport(payload);
+
+      results.migrated += 1;
+      results.items.push({
+        key,
+        status: "migrated",
+        reportId: insertResult.reportId,
+        sqlReportDbId: insertResult.dbId,
+      });
+
+      await ref.child(key).update({
+        migrationStatus: "migrated",
+        migratedAt: nowIso(),
+        sqlReportDbId: insertResult.dbId,
+        processed: true,
+      });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        results.alreadyExists += 1;
+        results.items.push({ key, status: "already_exists" });
 
         await ref.child(key).update({
           migrationStatus: "migrated",
           migratedAt: nowIso(),
-          sqlReportDbId: insertResult.dbId,
+          migrationNote: "Already exists in SQL (duplicate report_id)",
           processed: true,
         });
-      } catch (error) {
-        if (error.code === "ER_DUP_ENTRY") {
-          results.alreadyExists += 1;
-          results.items.push({ key, status: "already_exists" });
-
-          await ref.child(key).update({
-            migrationStatus: "migrated",
-            migratedAt: nowIso(),
-            migrationNote: "Already exists in SQL (duplicate report_id)",
-            processed: true,
-          });
-        } else {
-          results.errors += 1;
-          results.items.push({ key, status: "error", error: error.message });
-
-          await ref.child(key).update({
-            migrationStatus: "denied",
-            migratedAt: nowIso(),
-            migrationError: error.message,
-          });
-        }
+      } else {
+        results.errors += 1;
+        results.items.push({ key, status: "error", error: error.message });
+
+        await ref.child(key).update({
+          migrationStatus: "denied",
+          migratedAt: nowIso(),
+          migrationError: error.message,
+        });
       }
     }
+  }
+
+  return results;
+}
+
+exports.syncReportsFromFirebase = async (req, res) => {
+  try {
+    const results = await runReportsSync({
+      limit: req.body?.limit,
+      dryRun: req.body?.dryRun,
+      trigger: "admin",
+      triggeredBy: req.user?.id ?? null,
+    });
 
     res.json({ success: true, ...results });
   } catch (error) {
@@ -123,3 +149,5 @@ exports.syncReportsFromFirebase = async (req, res) => {
     });
   }
 };
+
+module.exports.runReportsSync = runReportsSync;
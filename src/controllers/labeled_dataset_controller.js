@@ -0,0 +1,45 @@
+const { buildLabeledDataset, toCsv, toJsonl, parseLabels } = require("../services/labeled_dataset_service");
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// Download the labeled dataset.
+// Query: format=csv|jsonl (default csv), from, to (YYYY-MM-DD), labels=verified,false_positive,...,
+//        includeReports=true, limit
+exports.exportLabeledDataset = async (req, res) => {
+  try {
+    const { format = "csv", from, to, includeReports, limit } = req.query;
+    const labels = parseLabels(req.query.labels);
+
+    if (format !== "csv" && format !== "jsonl") {
+      return res.status(400).json({ message: "format must be csv or jsonl" });
+    }
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+    if (labels === false) {
+      return res.status(400).json({ message: "labels must be a comma-separated list of verified, false_positive, road_feature, pending" });
+    }
+
+    const { rows, summary } = await buildLabeledDataset({
+      from,
+      to,
+      ...(labels ? { labels } : {}),
+      includeReports: includeReports === "true",
+      limit,
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set("X-Dataset-Rows", String(summary.total));
+    res.set("X-Dataset-Truncated", String(summary.truncated));
+    res.attachment(`labeled_dataset_${stamp}.${format}`);
+
+    if (format === "jsonl") {
+      res.type("application/x-ndjson").send(toJsonl(rows));
+    } else {
+      res.type("text/csv").send(toCsv(rows));
+    }
+  } catch (error) {
+    console.error("Export labeled dataset error:", error);
+    res.status(500).json({ message: "Failed to export labeled dataset", error: error.message });
+  }
+};
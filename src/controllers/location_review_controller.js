@@ -0,0 +1,99 @@
+const {
+  listReviewQueue,
+  approveLocation,
+  markFalsePositive,
+} = require("../services/location_review_service");
+const { parseMinConfidence } = require("../services/location_confidence_service");
+
+// Maps the review service's error codes to HTTP responses; false when not one of them.
+function sendReviewError(res, error) {
+  const statusByCode = {
+    INVALID_REASON: 400,
+    LOCATION_NOT_FOUND: 404,
+    LOCATION_NOT_REVIEWABLE: 409,
+    LOCATION_HAS_ACTIVE_ASSIGNMENT: 409,
+  };
+  if (!statusByCode[error.code]) return false;
+  res.status(statusByCode[error.code]).json({ message: error.message });
+  return true;
+}
+
+// New low-confidence locations awaiting review (?maxConfidence=&days=&limit=)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const maxConfidence = parseMinConfidence(req.query.maxConfidence);
+    if (Number.isNaN(maxConfidence)) {
+      return res.status(400).json({ message: "maxConfidence must be a number between 0 and 1" });
+    }
+
+    const days = req.query.days !== undefined ? Number(req.query.days) : undefined;
+    if (days !== undefined && (!Number.isInteger(days) || days < 1)) {
+      return res.status(400).json({ message: "days must be a positive integer" });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const queue = await listReviewQueue({
+      ...(maxConfidence !== null ? { maxConfidence } : {}),
+      ...(days !== undefined ? { days } : {}),
+      limit,
+    });
+
+    res.json({ ...queue, count: queue.locations.length });
+  } catch (error) {
+    console.error("Get review queue error:", error);
+    res.status(500).json({ message: "Failed to get review queue", error: error.message });
+  }
+};
+
+// Body: { notes? }
+exports.approveLocation = async (req, res) => {
+  try {
+    const result = await approveLocation(req.params.locationId, {
+      notes: req.body?.notes || null,
+      userId: req.user?.id ?? null,
+    });
+
+    res.json({ message: "Location approved", ...result });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error("Approve location error:", error);
+    res.status(500).json({ message: "Failed to approve location", error: error.message });
+  }
+};
+
+// Body: { reason, notes? }
+exports.rejectLocation = async (req, res) => {
+  try {
+    const result = await markFalsePositive(req.params.locationId, {
+      reason: req.body?.reason,
+      notes: req.body?.notes || null,
+      userId: req.user?.id ?? null,
+      source: "review_queue",
+    });
+
+    res.json({ message: "Location rejected as false positive", ...result });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error("Reject location error:", error);
+    res.status(500).json({ message: "Failed to reject location", error: error.message });
+  }
+};
+
+// Mark any active location as a false positive. Body: { reason, notes? }
+exports.markFalsePositive = async (req, res) => {
+  try {
+    const result = await markFalsePositive(req.params.locationId, {
+      reason: req.body?.reason,
+      notes: req.body?.notes || null,
+      userId: req.user?.id ?? null,
+      source: "admin",
+    });
+
+    res.json({ message: "Location marked as false positive", ...result });
+  } catch (error) {
+    if (sendReviewError(res, error)) return;
+    console.error("Mark false positive error:", error);
+    res.status(500).json({ message: "Failed to mark location as false positive", error: error.message });
+  }
+};
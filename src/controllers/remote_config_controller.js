@@ -0,0 +1,90 @@
+const {
+  SCOPES,
+  validateLayerConfig,
+  listLayers,
+  upsertLayer,
+  deleteLayer,
+  resolveDetectionConfig,
+} = require("../services/remote_config_service");
+
+// Detection config for the app / sensor boxes (?deviceModel=&appVersion=).
+// Token optional: with one, the user's settings are layered on top.
+// Answers 304 when If-None-Match carries the current ETag.
+exports.getDetectionConfig = async (req, res) => {
+  try {
+    const { deviceModel, appVersion } = req.query;
+
+    const { etag, config } = await resolveDetectionConfig({
+      deviceModel: deviceModel || null,
+      appVersion: appVersion || null,
+      userId: req.user?.id ?? null,
+    });
+
+    res.set("ETag", etag);
+    res.set("Cache-Control", "private, no-cache");
+
+    const ifNoneMatch = req.get("If-None-Match");
+    if (ifNoneMatch && ifNoneMatch.split(",").map((t) => t.trim().replace(/^W\//, "")).includes(etag)) {
+      return res.status(304).end();
+    }
+
+    res.json(config);
+  } catch (error) {
+    console.error("Get detection config error:", error);
+    res.status(500).json({ message: "Failed to get detection config", error: error.message });
+  }
+};
+
+exports.getConfigLayers = async (req, res) => {
+  try {
+    const layers = await listLayers();
+    res.json({ layers, count: layers.length });
+  } catch (error) {
+    console.error("Get config layers error:", error);
+    res.status(500).json({ message: "Failed to get config layers", error: error.message });
+  }
+};
+
+// Body: { scope: "global"|"device_model", key? (device model), config, notes? }
+exports.upsertConfigLayer = async (req, res) => {
+  try {
+    const { scope, key, config, notes } = req.body || {};
+
+    if (!SCOPES.has(scope)) {
+      return res.status(400).json({ message: `scope must be one of ${[...SCOPES].join(", ")}` });
+    }
+    if (scope === "device_model" && !String(key || "").trim()) {
+      return res.status(400).json({ message: "key (device model) is required for scope device_model" });
+    }
+
+    const validation = validateLayerConfig(config);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const layer = await upsertLayer({
+      scope,
+      key,
+      config: validation.value,
+      notes: notes || null,
+      userId: req.user?.id ?? null,
+    });
+    res.json({ message: "Config layer saved", layer });
+  } catch (error) {
+    console.error("Save config layer error:", error);
+    res.status(500).json({ message: "Failed to save config layer", error: error.message });
+  }
+};
+
+exports.deleteConfigLayer = async (req, res) => {
+  try {
+    const deleted = await deleteLayer(req.params.layerId);
+    if (!deleted) {
+      return res.status(404).json({ message: "Config layer not found" });
+    }
+    res.json({ message: "Config layer deleted" });
+  } catch (error) {
+    console.error("Delete config layer error:", error);
+    res.status(500).json({ message: "Failed to delete config layer", error: error.message });
+  }
+};
@@ -1,6 +1,26 @@
 const db = require("../config/db");
 const { toPublicPhotoUrl } = require('../utils/photoUrl');
 const reportIngestionService = require("../services/report_ingestion_service");
+const { GRID_PRECISION } = require("../services/aggregated_location_service");
+const geohash = require("../utils/geohash");
+const { parseMinConfidence } = require("../services/location_confidence_service");
+const { listLocationCycles } = require("../services/repair_cycle_service");
+const { computeSlaDueDate } = require("../services/sla_policy_service");
+const { INACTIVE_LOCATION_STATUSES } = require("../utils/locationStatus");
+const {
+  ROLES,
+  actionForStatus,
+  findOpenAssignment,
+  createAssignment,
+  transitionAssignment,
+  transitionLocationAssignment,
+  lifecycleErrorStatus,
+  withTransaction,
+} = require("../services/assignment_lifecycle_service");
+const { recordAssignmentEvent } = require("../services/assignment_event_service");
+
+// The dashboard assignment routes are unauthenticated (see report_routes)
+const DASHBOARD_ACTOR = { role: ROLES.DASHBOARD, userId: null };
 
 // Helper function to convert ISO datetime to MySQL format
 const toMySQLDatetime = (isoString) => {
@@ -9,44 +29,6 @@ const toMySQLDatetime = (isoString) => {
   return date.toISOString().slice(0, 19).replace('T', ' ');
 };
 
-// Helper: format a JS Date (or ISO string) as MySQL DATE (YYYY-MM-DD)
-const toMySQLDate = (value) => {
-  if (!value) return null;
-  const d = value instanceof Date ? value : new Date(value);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toISOString().slice(0, 10);
-};
-
-const isWeekend = (d) => {
-  const day = d.getDay();
-  return day === 0 || day === 6;
-};
-
-// Adds business days (Mon-Fri) to a date.
-const addBusinessDays = (startDate, businessDays) => {
-  const result = new Date(startDate.getTime());
-  const n = Number(businessDays);
-  if (!Number.isFinite(n) || n <= 0) return result;
-  let added = 0;
-  while (added < n) {
-    result.setDate(result.getDate() + 1);
-    if (!isWeekend(result)) added += 1;
-  }
-  return result;
-};
-
-const SLA_BUSINESS_DAYS_BY_SEVERITY = {
-  High: 3,
-  Medium: 5,
-  Low: 7,
-};
-
-const computeDueDateForSeverity = (severity, fromDate = new Date()) => {
-  const sev = (severity || 'Low').toString();
-  const days = SLA_BUSINESS_DAYS_BY_SEVERITY[sev] ?? SLA_BUSINESS_DAYS_BY_SEVERITY.Low;
-  return addBusinessDays(fromDate, days);
-};
-
 /**
  * Submit a new road audit report from mobile app
  * Handles the JSON structure from pothole_user app
@@ -243,6 +225,11 @@ exports.getReportsByLocation = async (req, res) => {
 exports.getAggregatedLocations = async (req, res) => {
   try {
     const { status, severity, minLat, maxLat, minLng, maxLng } = req.query;
+    const minConfidence = parseMinConfidence(req.query.minConfidence);
+
+    if (Number.isNaN(minConfidence)) {
+      return res.status(400).json({ message: "minConfidence must be a number between 0 and 1" });
+    }
 
     let query = `
       SELECT 
@@ -273,6 +260,10 @@ exports.getAggregatedLocations = async (req, res) => {
     if (status) {
       query += " AND al.status = ?";
       params.push(status);
+    } else {
+      // Closed / false-positive locations only show up when asked for by status
+      query += " AND al.status NOT IN (?)";
+      params.push(INACTIVE_LOCATION_STATUSES);
     }
 
     if (severity) {
@@ -285,6 +276,16 @@ exports.getAggregatedLocations = async (req, res) => {
       params.push(minLat, maxLat, minLng, maxLng);
     }
 
+    if (minConfidence !== null) {
+      query += " AND al.confidence_score >= ?";
+      params.push(minConfidence);
+    }
+
+    // ?regression=true: only locations that reopened after a repair
+    if (req.query.regression === "true") {
+      query += " AND al.is_regression = TRUE";
+    }
+
     query += " ORDER BY al.report_count DESC LIMIT 500";
 
     const [locations] = await db.promise().query(query, params);
@@ -302,6 +303,158 @@ exports.getAggregatedLocations = async (req, res) => {
   }
 };
 
+// Map zoom level -> geohash precision whose cells are a few screen pixels wide or more
+const zoomToPrecision = (zoom) => {
+  const z = Number(zoom);
+  if (z <= 3) return 2;
+  if (z <= 6) return 3;
+  if (z <= 8) return 4;
+  if (z <= 11) return 5;
+  if (z <= 13) return 6;
+  if (z <= 15) return 7;
+  if (z <= 17) return 8;
+  return GRID_PRECISION;
+};
+
+/**
+ * Roll aggregated locations up into coarser geohash cells (map clusters when zoomed out).
+ * Query: precision (1..grid precision) or zoom, plus the same filters as /aggregated/locations
+ */
+exports.getAggregatedClusters = async (req, res) => {
+  try {
+    const { precision, zoom, status, severity, minLat, maxLat, minLng, maxLng } = req.query;
+
+    let p = GRID_PRECISION;
+    if (precision !== undefined) p = Number(precision);
+    else if (zoom !== undefined) p = zoomToPrecision(zoom);
+
+    if (!Number.isInteger(p) || p < 1 || p > GRID_PRECISION) {
+      return res.status(400).json({ message: `precision must be an integer between 1 and ${GRID_PRECISION}` });
+    }
+
+    let query = `
+      SELECT
+        LEFT(al.grid_id, ?) AS cell,
+        COUNT(*) AS location_count,
+        SUM(al.total_potholes) AS total_potholes,
+        SUM(al.total_patchy) AS total_patchy,
+        SUM(al.report_count) AS report_count,
+        ELT(MAX(FIELD(al.highest_severity, 'Low', 'Medium', 'High')), 'Low', 'Medium', 'High') AS highest_severity,
+        SUM(al.status = 'pending') AS pending_count,
+        AVG(al.latitude) AS latitude,
+        AVG(al.longitude) AS longitude,
+        MAX(al.last_reported_at) AS last_reported_at
+      FROM aggregated_locations al
+      WHERE 1=1
+    `;
+    const params = [p];
+
+    if (status) {
+      query += " AND al.status = ?";
+      params.push(status);
+    } else {
+      query += " AND al.status NOT IN (?)";
+      params.push(INACTIVE_LOCATION_STATUSES);
+    }
+
+    if (severity) {
+      query += " AND al.highest_severity = ?";
+      params.push(severity);
+    }
+
+    if (minLat && maxLat && minLng && maxLng) {
+      query += " AND al.latitude BETWEEN ? AND ? AND al.longitude BETWEEN ? AND ?";
+      params.push(minLat, maxLat, minLng, maxLng);
+    }
+
+    query += " GROUP BY cell ORDER BY location_count DESC LIMIT 2000";
+
+    const [rows] = await db.promise().query(query, params);
+
+    const clusters = rows
+      .filter((row) => geohash.isGeohash(row.cell))
+      .map((row) => ({
+        ...row,
+        location_count: Number(row.location_count),
+        total_potholes: Number(row.total_potholes),
+        total_patchy: Number(row.total_patchy),
+        report_count: Number(row.report_count),
+        pending_count: Number(row.pending_count),
+        latitude: Number(row.latitude),
+        longitude: Number(row.longitude),
+        bounds: geohash.bounds(row.cell),
+      }));
+
+    res.json({ precision: p, clusters, count: clusters.length });
+  } catch (error) {
+    console.error("Get aggregated clusters error:", error);
+    res.status(500).json({ message: "Failed to get clusters", error: error.message });
+  }
+};
+
+/**
+ * Get the event timeline of one aggregated location
+ * (every report anomaly / Firebase reading folded into it, oldest first,
+ * plus the archived repair cycles when the location reopened after a repair)
+ */
+exports.getAggregatedLocationTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source } = req.query;
+
+    const [locations] = await db.promise().query(
+      "SELECT * FROM aggregated_locations WHERE id = ?",
+      [id]
+    );
+
+    if (locations.length === 0) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    let query = `
+      SELECT id, repair_cycle, event_type, source, source_key, device_key, trip_key, severity,
+             latitude, longitude, event_at, created_at
+      FROM aggregated_location_events
+      WHERE aggregated_location_id = ?
+    `;
+    const params = [id];
+
+    if (source) {
+      query += " AND source = ?";
+      params.push(source);
+    }
+
+    query += " ORDER BY event_at ASC, id ASC";
+
+    const [events] = await db.promise().query(query, params);
+
+    const bySource = {};
+    const devices = new Set();
+    for (const ev of events) {
+      bySource[ev.source] = (bySource[ev.source] || 0) + 1;
+      if (ev.device_key) devices.add(ev.device_key);
+    }
+
+    const cycles = await listLocationCycles(id);
+
+    res.json({
+      location: locations[0],
+      cycles,
+      events,
+      summary: {
+        total: events.length,
+        bySource,
+        distinctDevices: devices.size,
+        firstEventAt: events.length ? events[0].event_at : null,
+        lastEventAt: events.length ? events[events.length - 1].event_at : null,
+      },
+    });
+  } catch (error) {
+    console.error("Get location timeline error:", error);
+    res.status(500).json({ message: "Failed to get location timeline", error: error.message });
+  }
+};
+
 /**
  * Update report status
  */
@@ -365,9 +518,10 @@ exports.getStatistics = async (req, res) => {
 
     const [hotspots] = await db.promise().query(
       `SELECT * FROM aggregated_locations 
-       WHERE highest_severity = 'High' 
+       WHERE highest_severity = 'High' AND status NOT IN (?)
        ORDER BY report_count DESC 
-       LIMIT 10`
+       LIMIT 10`,
+      [INACTIVE_LOCATION_STATUSES]
     );
 
     res.json({
@@ -476,7 +630,7 @@ exports.createWorkAssignment = async (req, res) => {
 
     // Validate location exists
     const [locations] = await db.promise().query(
-      "SELECT id, highest_severity FROM aggregated_locations WHERE id = ?",
+      "SELECT id, highest_severity, status FROM aggregated_locations WHERE id = ?",
       [locationId]
     );
 
@@ -496,71 +650,45 @@ exports.createWorkAssignment = async (req, res) => {
 
     const severity = (locations[0]?.highest_severity || 'Low').toString();
     const assignedAt = new Date();
-    const computedDueDate = toMySQLDate(computeDueDateForSeverity(severity, assignedAt));
-
-    // Check if assignment already exists
-    const [existing] = await db.promise().query(
-      "SELECT id FROM work_assignments WHERE aggregated_location_id = ? AND status NOT IN ('completed', 'verified')",
-      [locationId]
-    );
-
-    if (existing.length > 0) {
-      // Update existing assignment
-      await db.promise().query(
-        `UPDATE work_assignments 
-         SET contractor_id = ?, assigned_at = ?, due_date = ?, notes = ?, status = 'assigned', completed_at = NULL
-         WHERE id = ?`,
-        [
+    let computedDueDate = null;
+
+    // An open assignment is handed to the new contractor; otherwise a new one is created
+    const result = await withTransaction(async (connection) => {
+      computedDueDate = (await computeSlaDueDate(connection, { locationId, assignedAt })).dueDate;
+      const open = await findOpenAssignment(connection, locationId);
+      if (open) {
+        return transitionAssignment(connection, {
+          assignmentId: open.id,
+          action: "reassign",
+          actor: DASHBOARD_ACTOR,
           contractorId,
-          toMySQLDatetime(assignedAt.toISOString()),
-          computedDueDate,
-          notes || null,
-          existing[0].id,
-        ]
-      );
-
-      // Update location status
-      await db.promise().query(
-        "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-        [locationId]
-      );
-
-      return res.json({
-        message: "Assignment updated successfully",
-        assignmentId: existing[0].id,
-        assignedAt: assignedAt.toISOString(),
-        dueDate: computedDueDate,
-        severity,
-      });
-    }
-
-    // Create new assignment
-    const [result] = await db.promise().query(
-      `INSERT INTO work_assignments (aggregated_location_id, contractor_id, assigned_at, due_date, notes)
-       VALUES (?, ?, ?, ?, ?)`,
-      [
+          assignedAt: toMySQLDatetime(assignedAt.toISOString()),
+          dueDate: computedDueDate,
+          notes: notes || null,
+        });
+      }
+      return createAssignment(connection, {
         locationId,
         contractorId,
-        toMySQLDatetime(assignedAt.toISOString()),
-        computedDueDate,
-        notes || null,
-      ]
-    );
-
-    // Update location status
-    await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?",
-      [locationId]
-    );
+        actor: DASHBOARD_ACTOR,
+        assignedAt: toMySQLDatetime(assignedAt.toISOString()),
+        dueDate: computedDueDate,
+        notes: notes || null,
+      });
+    });
 
-    res.status(201).json({
-      message: "Assignment created successfully",
-      assignmentId: result.insertId,
+    res.status(result.from ? 200 : 201).json({
+      message: result.from ? "Assignment updated successfully" : "Assignment created successfully",
+      assignmentId: result.assignmentId,
       assignedAt: assignedAt.toISOString(),
       dueDate: computedDueDate,
       severity,
     });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Create work assignment error:", error);
     res.status(500).json({ message: "Failed to create assignment", error: error.message });
   }
@@ -574,64 +702,51 @@ exports.updateWorkAssignment = async (req, res) => {
     const { assignmentId } = req.params;
     const { status, notes } = req.body;
 
-    const validStatuses = ['assigned', 'in_progress', 'pending_verification', 'completed', 'verified'];
-    if (status && !validStatuses.includes(status)) {
-      return res.status(400).json({ message: "Invalid status" });
-    }
-
-    const updates = [];
-    const params = [];
-
-    if (status) {
-      updates.push("status = ?");
-      params.push(status);
-      
-      if (status === 'completed' || status === 'verified') {
-        updates.push("completed_at = NOW()");
-      }
-    }
-
-    if (notes !== undefined) {
-      updates.push("notes = ?");
-      params.push(notes);
-    }
-
-    if (updates.length === 0) {
+    if (!status && notes === undefined) {
       return res.status(400).json({ message: "No updates provided" });
     }
 
-    params.push(assignmentId);
-
-    const [result] = await db.promise().query(
-      `UPDATE work_assignments SET ${updates.join(", ")} WHERE id = ?`,
-      params
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Assignment not found" });
-    }
-
-    // If status is being updated, also update the location status
-    if (status) {
-      const [assignment] = await db.promise().query(
-        "SELECT aggregated_location_id FROM work_assignments WHERE id = ?",
+    const result = await withTransaction(async (connection) => {
+      const [assignments] = await connection.query(
+        "SELECT id, aggregated_location_id, status, notes FROM work_assignments WHERE id = ? FOR UPDATE",
         [assignmentId]
       );
-
-      if (assignment.length > 0) {
-        let locationStatus = status;
-        if (status === 'completed') locationStatus = 'pending_verification';
-        if (status === 'verified') locationStatus = 'verified';
-        
-        await db.promise().query(
-          "UPDATE aggregated_locations SET status = ? WHERE id = ?",
-          [locationStatus, assignment[0].aggregated_location_id]
-        );
+      if (assignments.length === 0) return null;
+
+      if (!status) {
+        await connection.query("UPDATE work_assignments SET notes = ? WHERE id = ?", [notes, assignmentId]);
+        await recordAssignmentEvent(connection, {
+          assignmentId: assignments[0].id,
+          locationId: assignments[0].aggregated_location_id,
+          eventType: "note",
+          fromStatus: assignments[0].status,
+          toStatus: assignments[0].status,
+          before: { notes: assignments[0].notes },
+          after: { notes },
+          note: notes,
+          actor: DASHBOARD_ACTOR,
+        });
+        return { to: assignments[0].status };
       }
+
+      return transitionAssignment(connection, {
+        assignmentId,
+        action: actionForStatus(assignments[0].status, status),
+        actor: DASHBOARD_ACTOR,
+        ...(notes !== undefined ? { notes } : {}),
+      });
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: "Assignment not found" });
     }
 
-    res.json({ message: "Assignment updated successfully" });
+    res.json({ message: "Assignment updated successfully", status: result.to });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Update work assignment error:", error);
     res.status(500).json({ message: "Failed to update assignment", error: error.message });
   }
@@ -691,46 +806,41 @@ exports.getVerifiedHistory = async (req, res) => {
 
 /**
  * Verify work completion (public endpoint for dashboard)
- * Updates both aggregated_locations and work_assignments to 'verified'
+ * Moves the location's pending_verification assignment and the location to 'verified'
  */
 exports.verifyLocation = async (req, res) => {
   try {
     const { locationId } = req.params;
     const { notes } = req.body;
 
-    // Update location status
-    const [locationResult] = await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-      [locationId]
-    );
-
-    if (locationResult.affectedRows === 0) {
-      return res.status(404).json({ message: "Location not found" });
-    }
-
-    // Update assignment status (match pending_verification, in_progress, or assigned)
-    const [assignmentResult] = await db.promise().query(
-      `UPDATE work_assignments 
-       SET status = 'verified', completed_at = NOW(), admin_notes = ?
-       WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-      [notes || 'Verified from dashboard', locationId]
+    const result = await withTransaction((connection) =>
+      transitionLocationAssignment(connection, {
+        locationId,
+        action: "verify",
+        actor: DASHBOARD_ACTOR,
+        adminNotes: notes || 'Verified from dashboard',
+      })
     );
 
-    console.log(`Verified location ${locationId}: location updated=${locationResult.affectedRows}, assignment updated=${assignmentResult.affectedRows}`);
+    console.log(`Verified location ${locationId}: assignment ${result.assignmentId} ${result.from} -> verified`);
 
     res.json({ 
       message: "Work verified successfully",
-      locationUpdated: locationResult.affectedRows > 0,
-      assignmentUpdated: assignmentResult.affectedRows > 0
+      locationUpdated: true,
+      assignmentUpdated: true
     });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Verify location error:", error);
     res.status(500).json({ message: "Failed to verify work", error: error.message });
   }
 };
 
 /**
- * Batch verify multiple locations (public endpoint)
+ * Batch verify multiple locations (public endpoint, all or nothing)
  */
 exports.batchVerifyLocations = async (req, res) => {
   const connection = await db.promise().getConnection();
@@ -741,39 +851,34 @@ exports.batchVerifyLocations = async (req, res) => {
     const { locationIds, notes } = req.body;
 
     if (!locationIds || !locationIds.length) {
+      await connection.rollback();
       return res.status(400).json({ message: "locationIds are required" });
     }
 
-    let locationsUpdated = 0;
-    let assignmentsUpdated = 0;
-
     for (const locationId of locationIds) {
-      const [locResult] = await connection.query(
-        "UPDATE aggregated_locations SET status = 'verified', verified_at = NOW() WHERE id = ?",
-        [locationId]
-      );
-      locationsUpdated += locResult.affectedRows;
-
-      const [assignResult] = await connection.query(
-        `UPDATE work_assignments 
-         SET status = 'verified', completed_at = NOW(), admin_notes = ?
-         WHERE aggregated_location_id = ? AND status IN ('pending_verification', 'in_progress', 'assigned')`,
-        [notes || 'Batch verified from dashboard', locationId]
-      );
-      assignmentsUpdated += assignResult.affectedRows;
+      await transitionLocationAssignment(connection, {
+        locationId,
+        action: "verify",
+        actor: DASHBOARD_ACTOR,
+        adminNotes: notes || 'Batch verified from dashboard',
+      });
     }
 
     await connection.commit();
 
-    console.log(`Batch verified ${locationIds.length} locations: locations updated=${locationsUpdated}, assignments updated=${assignmentsUpdated}`);
+    console.log(`Batch verified ${locationIds.length} locations`);
 
     res.json({ 
       message: `${locationIds.length} locations verified successfully`,
-      locationsUpdated,
-      assignmentsUpdated
+      locationsUpdated: locationIds.length,
+      assignmentsUpdated: locationIds.length
     });
   } catch (error) {
     await connection.rollback();
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error("Batch verify error:", error);
     res.status(500).json({ message: "Failed to batch verify", error: error.message });
   } finally {
@@ -791,28 +896,25 @@ exports.rejectLocationVerification = async (req, res) => {
     const { remarks, reason } = req.body || {};
     const remarkText = (remarks ?? reason ?? '').toString();
 
-    const [assignmentResult] = await db.promise().query(
-      `UPDATE work_assignments
-       SET status = 'in_progress', completed_at = NULL, remarks = ?
-       WHERE aggregated_location_id = ? AND status = 'pending_verification'`,
-      [remarkText || null, locationId]
-    );
-
-    if (assignmentResult.affectedRows === 0) {
-      return res.status(404).json({ message: 'No pending verification assignment found for this location' });
-    }
-
-    const [locationResult] = await db.promise().query(
-      "UPDATE aggregated_locations SET status = 'in_progress' WHERE id = ?",
-      [locationId]
+    await withTransaction((connection) =>
+      transitionLocationAssignment(connection, {
+        locationId,
+        action: "reject",
+        actor: DASHBOARD_ACTOR,
+        remarks: remarkText || null,
+      })
     );
 
     res.json({
       message: 'Verification rejected, sent back to contractor',
-      locationUpdated: locationResult.affectedRows > 0,
-      assignmentUpdated: assignmentResult.affectedRows > 0,
+      locationUpdated: true,
+      assignmentUpdated: true,
     });
   } catch (error) {
+    const httpStatus = lifecycleErrorStatus(error);
+    if (httpStatus) {
+      return res.status(httpStatus).json({ message: error.message, ...error.details });
+    }
     console.error('Reject location verification error:', error);
     res.status(500).json({ message: 'Failed to reject verification', error: error.message });
   }
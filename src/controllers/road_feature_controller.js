@@ -0,0 +1,124 @@
+const {
+  FEATURE_TYPES,
+  validateFeatureInput,
+  listRoadFeatures,
+  getRoadFeature,
+  createRoadFeature,
+  updateRoadFeature,
+  deleteRoadFeature,
+  markLocationAsFeature,
+} = require("../services/road_feature_service");
+
+// List road features (?featureType=&active=&minLat=&maxLat=&minLng=&maxLng=)
+exports.getRoadFeatures = async (req, res) => {
+  try {
+    const { featureType, active, minLat, maxLat, minLng, maxLng } = req.query;
+
+    if (featureType && !FEATURE_TYPES.has(featureType)) {
+      return res.status(400).json({ message: `featureType must be one of ${[...FEATURE_TYPES].join(", ")}` });
+    }
+
+    const features = await listRoadFeatures({ featureType, active, minLat, maxLat, minLng, maxLng });
+    res.json({ features, count: features.length });
+  } catch (error) {
+    console.error("Get road features error:", error);
+    res.status(500).json({ message: "Failed to get road features", error: error.message });
+  }
+};
+
+exports.getRoadFeatureById = async (req, res) => {
+  try {
+    const feature = await getRoadFeature(req.params.featureId);
+
+    if (!feature) {
+      return res.status(404).json({ message: "Road feature not found" });
+    }
+
+    res.json({ feature });
+  } catch (error) {
+    console.error("Get road feature error:", error);
+    res.status(500).json({ message: "Failed to get road feature", error: error.message });
+  }
+};
+
+// Body: { featureType, latitude?, longitude?, polygon?, radiusM?, maskAction?, name?, notes? }
+exports.createRoadFeature = async (req, res) => {
+  try {
+    const validation = validateFeatureInput(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const feature = await createRoadFeature(validation.value, req.user?.id ?? null);
+    res.status(201).json({ message: "Road feature created", feature });
+  } catch (error) {
+    console.error("Create road feature error:", error);
+    res.status(500).json({ message: "Failed to create road feature", error: error.message });
+  }
+};
+
+// Partial update, same fields as create plus `active`
+exports.updateRoadFeature = async (req, res) => {
+  try {
+    const validation = validateFeatureInput(req.body, { partial: true });
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const feature = await updateRoadFeature(req.params.featureId, validation.value);
+    if (!feature) {
+      return res.status(404).json({ message: "Road feature not found" });
+    }
+
+    res.json({ message: "Road feature updated", feature });
+  } catch (error) {
+    console.error("Update road feature error:", error);
+    res.status(500).json({ message: "Failed to update road feature", error: error.message });
+  }
+};
+
+exports.deleteRoadFeature = async (req, res) => {
+  try {
+    const removed = await deleteRoadFeature(req.params.featureId);
+
+    if (!removed) {
+      return res.status(404).json({ message: "Road feature not found" });
+    }
+
+    res.json({ message: "Road feature removed" });
+  } catch (error) {
+    console.error("Delete road feature error:", error);
+    res.status(500).json({ message: "Failed to remove road feature", error: error.message });
+  }
+};
+
+// Mask an aggregated location as a known feature and close it.
+// Body: { featureType? (default speed_breaker), radiusM?, maskAction?, name?, notes? }
+exports.markLocationAsFeature = async (req, res) => {
+  try {
+    const { featureType, radiusM, maskAction, name, notes } = req.body || {};
+
+    const result = await markLocationAsFeature(req.params.locationId, {
+      featureType,
+      radiusM,
+      maskAction,
+      name,
+      notes,
+      userId: req.user?.id ?? null,
+    });
+
+    res.status(201).json({ message: "Location closed as a road feature", ...result });
+  } catch (error) {
+    if (error.code === "LOCATION_NOT_FOUND") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.code === "LOCATION_CLOSED" || error.code === "LOCATION_HAS_ACTIVE_ASSIGNMENT") {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.code === "INVALID_ROAD_FEATURE") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Mark location as road feature error:", error);
+    res.status(500).json({ message: "Failed to mark location as road feature", error: error.message });
+  }
+};
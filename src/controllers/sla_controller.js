@@ -0,0 +1,200 @@
+const db = require("../config/db");
+const {
+  ESCALATION_LEVELS,
+  AT_RISK_HOURS,
+  runSlaEscalation,
+  listOverdueAssignments,
+  listAtRiskAssignments,
+  slaComplianceReport,
+} = require("../services/sla_escalation_service");
+const {
+  validatePolicyInput,
+  validateHolidayInput,
+  computeSlaDueDate,
+  listPolicies,
+  upsertPolicy,
+  deletePolicy,
+  listHolidays,
+  upsertHoliday,
+  deleteHoliday,
+} = require("../services/sla_policy_service");
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// Open assignments past their due date (?contractorId=&ward=&level=reminder|warning|breach)
+exports.getOverdueAssignments = async (req, res) => {
+  try {
+    const { contractorId, ward, level } = req.query;
+
+    if (level && !ESCALATION_LEVELS.includes(level)) {
+      return res.status(400).json({ message: `level must be one of: ${ESCALATION_LEVELS.join(", ")}` });
+    }
+
+    const assignments = await listOverdueAssignments({
+      contractorId: contractorId || null,
+      ward: ward || null,
+      level: level || null,
+    });
+    res.json({ count: assignments.length, assignments });
+  } catch (error) {
+    console.error("Get overdue assignments error:", error);
+    res.status(500).json({ message: "Failed to get overdue assignments", error: error.message });
+  }
+};
+
+// Open assignments due within the next `hours` (?hours=&contractorId=&ward=)
+exports.getAtRiskAssignments = async (req, res) => {
+  try {
+    const { contractorId, ward } = req.query;
+    const hours = req.query.hours === undefined ? AT_RISK_HOURS : Number(req.query.hours);
+
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 24 * 30) {
+      return res.status(400).json({ message: "hours must be a number between 0 and 720" });
+    }
+
+    const assignments = await listAtRiskAssignments({
+      hours,
+      contractorId: contractorId || null,
+      ward: ward || null,
+    });
+    res.json({ hours, count: assignments.length, assignments });
+  } catch (error) {
+    console.error("Get at-risk assignments error:", error);
+    res.status(500).json({ message: "Failed to get at-risk assignments", error: error.message });
+  }
+};
+
+// SLA compliance per contractor and ward (?from=YYYY-MM-DD&to=YYYY-MM-DD, by assigned date)
+exports.getSlaCompliance = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const report = await slaComplianceReport({ from: from || null, to: to || null });
+    res.json({ from: from || null, to: to || null, ...report });
+  } catch (error) {
+    console.error("Get SLA compliance error:", error);
+    res.status(500).json({ message: "Failed to get SLA compliance", error: error.message });
+  }
+};
+
+// Run an escalation pass now instead of waiting for the periodic job
+exports.runSlaEscalation = async (req, res) => {
+  try {
+    res.json(await runSlaEscalation());
+  } catch (error) {
+    if (error.code === "ESCALATION_RUNNING") {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Run SLA escalation error:", error);
+    res.status(500).json({ message: "Failed to run SLA escalation", error: error.message });
+  }
+};
+
+// SLA policies by severity / road type / ward, with the built-in defaults
+exports.getSlaPolicies = async (req, res) => {
+  try {
+    res.json(await listPolicies());
+  } catch (error) {
+    console.error("Get SLA policies error:", error);
+    res.status(500).json({ message: "Failed to get SLA policies", error: error.message });
+  }
+};
+
+// Create or replace. Body: { severity?, roadType?, ward?, businessDays, notes? } (omitted = any)
+exports.upsertSlaPolicy = async (req, res) => {
+  try {
+    const validation = validatePolicyInput(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const policy = await upsertPolicy(validation.value, req.user?.id ?? null);
+    res.json({ message: "SLA policy saved", policy });
+  } catch (error) {
+    console.error("Save SLA policy error:", error);
+    res.status(500).json({ message: "Failed to save SLA policy", error: error.message });
+  }
+};
+
+exports.deleteSlaPolicy = async (req, res) => {
+  try {
+    const deleted = await deletePolicy(req.params.policyId);
+    if (!deleted) {
+      return res.status(404).json({ message: "SLA policy not found" });
+    }
+    res.json({ message: "SLA policy removed" });
+  } catch (error) {
+    console.error("Delete SLA policy error:", error);
+    res.status(500).json({ message: "Failed to remove SLA policy", error: error.message });
+  }
+};
+
+// Holiday calendar (?from=YYYY-MM-DD&to=YYYY-MM-DD&ward=)
+exports.getSlaHolidays = async (req, res) => {
+  try {
+    const { from, to, ward } = req.query;
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: "from/to must be YYYY-MM-DD" });
+    }
+
+    const holidays = await listHolidays({ from: from || null, to: to || null, ward: ward || null });
+    res.json({ count: holidays.length, holidays });
+  } catch (error) {
+    console.error("Get SLA holidays error:", error);
+    res.status(500).json({ message: "Failed to get holidays", error: error.message });
+  }
+};
+
+// Body: { date: YYYY-MM-DD, name, ward? } (no ward = every ward)
+exports.upsertSlaHoliday = async (req, res) => {
+  try {
+    const validation = validateHolidayInput(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ message: validation.message });
+    }
+
+    const holiday = await upsertHoliday(validation.value, req.user?.id ?? null);
+    res.json({ message: "Holiday saved", holiday });
+  } catch (error) {
+    console.error("Save SLA holiday error:", error);
+    res.status(500).json({ message: "Failed to save holiday", error: error.message });
+  }
+};
+
+exports.deleteSlaHoliday = async (req, res) => {
+  try {
+    const deleted = await deleteHoliday(req.params.holidayId);
+    if (!deleted) {
+      return res.status(404).json({ message: "Holiday not found" });
+    }
+    res.json({ message: "Holiday removed" });
+  } catch (error) {
+    console.error("Delete SLA holiday error:", error);
+    res.status(500).json({ message: "Failed to remove holiday", error: error.message });
+  }
+};
+
+// Due date a new assignment of a location would get now (?locationId=)
+exports.getSlaDueDatePreview = async (req, res) => {
+  try {
+    const { locationId } = req.query;
+    if (!locationId) {
+      return res.status(400).json({ message: "locationId is required" });
+    }
+
+    const [locations] = await db.promise().query("SELECT id FROM aggregated_locations WHERE id = ?", [locationId]);
+    if (locations.length === 0) {
+      return res.status(404).json({ message: "Location not found" });
+    }
+
+    res.json({ locationId: locations[0].id, ...(await computeSlaDueDate(db.promise(), { locationId })) });
+  } catch (error) {
+    console.error("SLA due date preview error:", error);
+    res.status(500).json({ message: "Failed to compute due date", error: error.message });
+  }
+};
@@ -0,0 +1,161 @@
+const db = require("../config/db");
+
+const SYNC_NAMES = ["flags", "readings", "reports"];
+
+// List sync runs, newest first
+exports.getSyncRuns = async (req, res) => {
+  try {
+    const { syncName, status, trigger, dryRun, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (syncName && !SYNC_NAMES.includes(syncName)) {
+      return res.status(400).json({ message: "Invalid syncName" });
+    }
+
+    let whereClause = "WHERE 1=1";
+    const params = [];
+
+    if (syncName) {
+      whereClause += " AND sr.sync_name = ?";
+      params.push(syncName);
+    }
+
+    if (status) {
+      whereClause += " AND sr.status = ?";
+      params.push(status);
+    }
+
+    if (trigger) {
+      whereClause += " AND sr.trigger_source = ?";
+      params.push(trigger);
+    }
+
+    if (dryRun !== undefined) {
+      whereClause += " AND sr.dry_run = ?";
+      params.push(String(dryRun).toLowerCase() === "true");
+    }
+
+    const [runs] = await db.promise().query(
+      `SELECT sr.*, u.email as triggered_by_email
+       FROM sync_runs sr
+       LEFT JOIN users u ON sr.triggered_by = u.id
+       ${whereClause}
+       ORDER BY sr.started_at DESC, sr.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    const [total] = await db.promise().query(
+      `SELECT COUNT(*) as count FROM sync_runs sr ${whereClause}`,
+      params
+    );
+
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total[0].count,
+        totalPages: Math.ceil(total[0].count / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Get sync runs error:", error);
+    res.status(500).json({ message: "Failed to get sync runs", error: error.message });
+  }
+};
+
+// Get one run with item counts per status and the top denial/error reasons
+exports.getSyncRunById = async (req, res) => {
+  try {
+    const { runId } = req.params;
+
+    const [runs] = await db.promise().query(
+      `SELECT sr.*, u.email as triggered_by_email
+       FROM sync_runs sr
+       LEFT JOIN users u ON sr.triggered_by = u.id
+       WHERE sr.id = ?`,
+      [runId]
+    );
+
+    if (runs.length === 0) {
+      return res.status(404).json({ message: "Sync run not found" });
+    }
+
+    const [byStatus] = await db.promise().query(
+      "SELECT status, COUNT(*) as count FROM sync_run_items WHERE run_id = ? GROUP BY status",
+      [runId]
+    );
+
+    const [reasons] = await db.promise().query(
+      `SELECT status, reason, COUNT(*) as count
+       FROM sync_run_items
+       WHERE run_id = ? AND status IN ('denied', 'error')
+       GROUP BY status, reason
+       ORDER BY count DESC
+       LIMIT 50`,
+      [runId]
+    );
+
+    res.json({
+      run: runs[0],
+      itemsByStatus: byStatus.reduce((acc, curr) => ({ ...acc, [curr.status]: curr.count }), {}),
+      reasons
+    });
+  } catch (error) {
+    console.error("Get sync run error:", error);
+    res.status(500).json({ message: "Failed to get sync run", error: error.message });
+  }
+};
+
+// Drill into the items of a run (denied + error by default)
+exports.getSyncRunItems = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const { status, reason, deviceKey, page = 1, limit = 100 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = "WHERE run_id = ?";
+    const params = [runId];
+
+    if (status) {
+      whereClause += " AND status = ?";
+      params.push(status);
+    } else {
+      whereClause += " AND status IN ('denied', 'error')";
+    }
+
+    if (reason) {
+      whereClause += " AND reason = ?";
+      params.push(reason);
+    }
+
+    if (deviceKey) {
+      whereClause += " AND device_key = ?";
+      params.push(deviceKey);
+    }
+
+    const [items] = await db.promise().query(
+      `SELECT * FROM sync_run_items ${whereClause} ORDER BY id LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+
+    const [total] = await db.promise().query(
+      `SELECT COUNT(*) as count FROM sync_run_items ${whereClause}`,
+      params
+    );
+
+    res.json({
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total[0].count,
+        totalPages: Math.ceil(total[0].count / limit)
+      }
+    });
+  } catch (error) {
+    console.error("Get sync run items error:", error);
+    res.status(500).json({ message: "Failed to get sync run items", error: error.message });
+  }
+};
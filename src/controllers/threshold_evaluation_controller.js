@@ -0,0 +1,31 @@
+const { evaluateThresholdSets } = require("../services/threshold_evaluation_service");
+
+// Replay archived readings with candidate thresholds and score them against verified /
+// false-positive locations. Nothing is written.
+// Body: { candidates: [{ name?, thresholds: { PEAK_DELTA?, Z_MIN_THRESHOLD?, ... } }],
+//         from?, to? (ISO or unix ms), matchRadiusM?, maxReadings? (max 500000), includeCurrent? }
+exports.evaluateThresholds = async (req, res) => {
+  try {
+    const { candidates, from, to, matchRadiusM, maxReadings, includeCurrent } = req.body || {};
+
+    const result = await evaluateThresholdSets({
+      candidates,
+      from,
+      to,
+      ...(matchRadiusM !== undefined ? { matchRadiusM } : {}),
+      ...(maxReadings !== undefined ? { maxReadings } : {}),
+      includeCurrent: includeCurrent !== false && includeCurrent !== "false",
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.code === "INVALID_EVALUATION") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === "EVALUATION_RUNNING") {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error("Evaluate thresholds error:", error);
+    res.status(500).json({ message: "Failed to evaluate thresholds", error: error.message });
+  }
+};
@@ -5,6 +5,20 @@ const controller = require("../controllers/admin_controller");
 const firebaseSync = require("../controllers/firebase_sync_controller");
 const firebaseReadingsSync = require("../controllers/firebase_readings_sync_controller");
 const firebaseFlagsSync = require("../controllers/firebase_flags_sync_controller");
+const firebaseCursors = require("../controllers/firebase_cursor_controller");
+const syncRuns = require("../controllers/sync_run_controller");
+const deadLetters = require("../controllers/dead_letter_controller");
+const aggregatedRebuild = require("../controllers/aggregated_location_rebuild_controller");
+const defectLiability = require("../controllers/defect_liability_controller");
+const roadFeatures = require("../controllers/road_feature_controller");
+const locationReview = require("../controllers/location_review_controller");
+const labeledDataset = require("../controllers/labeled_dataset_controller");
+const thresholdEvaluation = require("../controllers/threshold_evaluation_controller");
+const detectionProfiles = require("../controllers/detection_profile_controller");
+const deviceCalibrations = require("../controllers/device_calibration_controller");
+const remoteConfig = require("../controllers/remote_config_controller");
+const sla = require("../controllers/sla_controller");
+const autoAssignment = require("../controllers/auto_assignment_controller");
 
 // Dashboard
 router.get("/dashboard", auth, role("admin"), controller.dashboard);
@@ -26,13 +40,77 @@ router.post("/contractors", auth, role("admin"), controller.createContractor);
 // Assignment
 router.post("/assign", auth, role("admin"), controller.assignToContractor);
 router.post("/assign/batch", auth, role("admin"), controller.batchAssign);
+// Automatic contractor selection (preview unless body.apply is true)
+router.post("/assign/auto", auth, role("admin"), autoAssignment.autoAssign);
 router.get("/assignments", auth, role("admin"), controller.getAssignments);
+router.get("/assignments/:assignmentId/history", auth, role("admin"), controller.getAssignmentHistory);
+
+// SLA tracking: overdue / at-risk assignments, compliance, escalation run
+router.get("/sla/overdue", auth, role("admin"), sla.getOverdueAssignments);
+router.get("/sla/at-risk", auth, role("admin"), sla.getAtRiskAssignments);
+router.get("/sla/compliance", auth, role("admin"), sla.getSlaCompliance);
+router.post("/sla/escalate", auth, role("admin"), sla.runSlaEscalation);
+
+// SLA policies (business days by severity / road type / ward) and holiday calendar
+router.get("/sla/policies", auth, role("admin"), sla.getSlaPolicies);
+router.put("/sla/policies", auth, role("admin"), sla.upsertSlaPolicy);
+router.delete("/sla/policies/:policyId", auth, role("admin"), sla.deleteSlaPolicy);
+router.get("/sla/holidays", auth, role("admin"), sla.getSlaHolidays);
+router.put("/sla/holidays", auth, role("admin"), sla.upsertSlaHoliday);
+router.delete("/sla/holidays/:holidayId", auth, role("admin"), sla.deleteSlaHoliday);
+router.get("/sla/due-date", auth, role("admin"), sla.getSlaDueDatePreview);
+
+// Defect liability periods and warranty failures (rework of failed repairs)
+router.get("/defect-liability", auth, role("admin"), defectLiability.getLiabilityPeriods);
+router.put("/defect-liability", auth, role("admin"), defectLiability.setLiabilityPeriod);
+router.delete("/defect-liability/:periodId", auth, role("admin"), defectLiability.deleteLiabilityPeriod);
+router.get("/reports/warranty-failures", auth, role("admin"), defectLiability.getWarrantyFailures);
 
 // Verification
 router.post("/verify/:locationId", auth, role("admin"), controller.verifyWork);
 router.post("/verify/batch", auth, role("admin"), controller.batchVerify);
 router.post("/verify/:locationId/reject", auth, role("admin"), controller.rejectVerification);
 
+// Rebuild aggregated locations from raw data (preview unless body.apply is true)
+router.post("/aggregated-locations/rebuild", auth, role("admin"), aggregatedRebuild.rebuildAggregatedLocations);
+
+// Known road features (speed breakers, rail crossings, ...) masking detections
+router.get("/road-features", auth, role("admin"), roadFeatures.getRoadFeatures);
+router.post("/road-features", auth, role("admin"), roadFeatures.createRoadFeature);
+router.get("/road-features/:featureId", auth, role("admin"), roadFeatures.getRoadFeatureById);
+router.patch("/road-features/:featureId", auth, role("admin"), roadFeatures.updateRoadFeature);
+router.delete("/road-features/:featureId", auth, role("admin"), roadFeatures.deleteRoadFeature);
+router.post("/aggregated-locations/:locationId/mark-feature", auth, role("admin"), roadFeatures.markLocationAsFeature);
+
+// Review queue for new low-confidence locations; rejections are stored as ground-truth labels
+router.get("/review-queue", auth, role("admin"), locationReview.getReviewQueue);
+router.post("/review-queue/:locationId/approve", auth, role("admin"), locationReview.approveLocation);
+router.post("/review-queue/:locationId/reject", auth, role("admin"), locationReview.rejectLocation);
+router.post("/aggregated-locations/:locationId/false-positive", auth, role("admin"), locationReview.markFalsePositive);
+
+// Labeled readings (outcome of each location) for threshold tuning / model training
+router.get("/datasets/labeled", auth, role("admin"), labeledDataset.exportLabeledDataset);
+
+// What-if replay of archived readings with candidate detection thresholds
+router.post("/detection/evaluate", auth, role("admin"), thresholdEvaluation.evaluateThresholds);
+
+// Versioned detection profiles (thresholds used by the syncs, switchable without a restart)
+router.get("/detection/profiles", auth, role("admin"), detectionProfiles.getDetectionProfiles);
+router.get("/detection/profiles/active", auth, role("admin"), detectionProfiles.getActiveDetectionProfile);
+router.post("/detection/profiles", auth, role("admin"), detectionProfiles.createDetectionProfile);
+router.post("/detection/profiles/:version/activate", auth, role("admin"), detectionProfiles.activateDetectionProfile);
+
+// Accelerometer calibration per device model / device
+router.get("/calibrations", auth, role("admin"), deviceCalibrations.getCalibrations);
+router.get("/calibrations/suggestions", auth, role("admin"), deviceCalibrations.getCalibrationSuggestions);
+router.put("/calibrations", auth, role("admin"), deviceCalibrations.upsertCalibration);
+router.delete("/calibrations/:calibrationId", auth, role("admin"), deviceCalibrations.deleteCalibration);
+
+// Remote config layers served at /api/config/detection
+router.get("/remote-config", auth, role("admin"), remoteConfig.getConfigLayers);
+router.put("/remote-config", auth, role("admin"), remoteConfig.upsertConfigLayer);
+router.delete("/remote-config/:layerId", auth, role("admin"), remoteConfig.deleteConfigLayer);
+
 // Map data
 router.get("/map/points", auth, role("admin"), controller.getMapPoints);
 
@@ -63,4 +141,19 @@ router.post(
     firebaseFlagsSync.syncFlaggedReadingsToAggregatedLocations
 );
 
+// Incremental sync cursors (admin only)
+router.get("/firebase/cursors", auth, role("admin"), firebaseCursors.getCursors);
+router.post("/firebase/cursors/reset", auth, role("admin"), firebaseCursors.resetCursors);
+
+// Sync run history (admin only)
+router.get("/firebase/sync-runs", auth, role("admin"), syncRuns.getSyncRuns);
+router.get("/firebase/sync-runs/:runId", auth, role("admin"), syncRuns.getSyncRunById);
+router.get("/firebase/sync-runs/:runId/items", auth, role("admin"), syncRuns.getSyncRunItems);
+
+// Dead-letter queue for denied/errored readings (admin only)
+router.get("/firebase/dead-letters", auth, role("admin"), deadLetters.getDeadLetters);
+router.post("/firebase/dead-letters/reingest", auth, role("admin"), deadLetters.reingestDeadLetters);
+router.post("/firebase/dead-letters/dismiss", auth, role("admin"), deadLetters.dismissDeadLetters);
+router.patch("/firebase/dead-letters/:deadLetterId", auth, role("admin"), deadLetters.correctDeadLetter);
+
 module.exports = router;
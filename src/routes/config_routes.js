@@ -0,0 +1,8 @@
+const router = require("express").Router();
+const optionalAuth = require("../middlewares/optionalAuthMiddleware");
+const controller = require("../controllers/remote_config_controller");
+
+// Remote detection config for the app and sensor devices (ETag cached)
+router.get("/detection", optionalAuth, controller.getDetectionConfig);
+
+module.exports = router;
@@ -18,6 +18,12 @@ router.get("/location/nearby", reportController.getReportsByLocation);
 // Get aggregated locations (for map display)
 router.get("/aggregated/locations", reportController.getAggregatedLocations);
 
+// Aggregated locations rolled up into coarser grid cells (?precision= or ?zoom=)
+router.get("/aggregated/clusters", reportController.getAggregatedClusters);
+
+// Event timeline of one aggregated location
+router.get("/aggregated/locations/:id/timeline", reportController.getAggregatedLocationTimeline);
+
 // Get contractors list (public - for dropdown)
 router.get("/contractors/list", reportController.getContractorsList);
 
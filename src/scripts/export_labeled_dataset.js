@@ -0,0 +1,64 @@
+const path = require("path");
+const fs = require("fs");
+
+// Load Backend_S3/.env (same behavior as src/server.js)
+require("dotenv").config({
+  path: path.resolve(__dirname, "..", "..", ".env"),
+});
+
+const { buildLabeledDataset, toCsv, toJsonl, parseLabels } = require("../services/labeled_dataset_service");
+
+// Usage:
+//   node src/scripts/export_labeled_dataset.js --out=dataset.csv
+//   node src/scripts/export_labeled_dataset.js --format=jsonl --out=dataset.jsonl --labels=verified,false_positive
+//   node src/scripts/export_labeled_dataset.js --from=2024-01-01 --to=2024-03-31 --include-reports --limit=50000
+//
+// Without --out the dataset is written to stdout (the summary always goes to stderr).
+// --format defaults to the --out extension, else csv.
+function parseArgs(argv) {
+  const args = { format: undefined, out: undefined, from: undefined, to: undefined, labels: undefined, includeReports: false, limit: undefined };
+
+  for (const raw of argv) {
+    const [key, ...rest] = raw.replace(/^--/, "").split("=");
+    const value = rest.length ? rest.join("=") : "true";
+
+    if (key === "format") args.format = value;
+    else if (key === "out") args.out = value;
+    else if (key === "from") args.from = value;
+    else if (key === "to") args.to = value;
+    else if (key === "labels") args.labels = value;
+    else if (key === "include-reports") args.includeReports = value !== "false";
+    else if (key === "limit") args.limit = Number(value);
+    else throw new Error(`Unknown option --${key}`);
+  }
+
+  if (!args.format) args.format = args.out && args.out.endsWith(".jsonl") ? "jsonl" : "csv";
+  if (args.format !== "csv" && args.format !== "jsonl") throw new Error("--format must be csv or jsonl");
+  return args;
+}
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const labels = parseLabels(args.labels);
+    if (labels === false) throw new Error("--labels must list verified, false_positive, road_feature or pending");
+
+    const { rows, summary } = await buildLabeledDataset({
+      from: args.from,
+      to: args.to,
+      ...(labels ? { labels } : {}),
+      includeReports: args.includeReports,
+      limit: args.limit,
+    });
+
+    const output = args.format === "jsonl" ? toJsonl(rows) : toCsv(rows);
+    if (args.out) fs.writeFileSync(path.resolve(args.out), output);
+    else process.stdout.write(output);
+
+    console.error(`[LabeledDataset] ${JSON.stringify(summary)}${args.out ? ` -> ${args.out}` : ""}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`[LabeledDataset] ${error.message}`);
+    process.exit(1);
+  }
+})();
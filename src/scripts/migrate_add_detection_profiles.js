@@ -0,0 +1,39 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+// Detection profile version stamped on ingested events and sync runs. The
+// detection_profiles table is created by `npm run db:init`.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    if (!(await columnExists(connection, "aggregated_location_events", "detection_profile_version"))) {
+      const sql =
+        "ALTER TABLE aggregated_location_events ADD COLUMN detection_profile_version INT NULL AFTER road_feature_id, ADD INDEX idx_detection_profile (detection_profile_version);";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    if (!(await columnExists(connection, "sync_runs", "detection_profile_version"))) {
+      const sql = "ALTER TABLE sync_runs ADD COLUMN detection_profile_version INT NULL AFTER thresholds;";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
@@ -0,0 +1,55 @@
+const db = require("../config/db");
+const { refreshLocationConfidence } = require("../services/location_confidence_service");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Checking aggregated_locations confidence columns...");
+
+    const table = "aggregated_locations";
+    const alters = [];
+    if (!(await columnExists(connection, table, "distinct_devices"))) {
+      alters.push("ADD COLUMN distinct_devices INT DEFAULT 0");
+    }
+    if (!(await columnExists(connection, table, "distinct_days"))) {
+      alters.push("ADD COLUMN distinct_days INT DEFAULT 0");
+    }
+    if (!(await columnExists(connection, table, "confidence_score"))) {
+      alters.push("ADD COLUMN confidence_score DECIMAL(4, 3) DEFAULT 0, ADD INDEX idx_confidence (confidence_score)");
+    }
+
+    if (alters.length) {
+      const sql = `ALTER TABLE ${table} ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    } else {
+      console.log("[MIGRATE] Columns already exist.");
+    }
+
+    // Backfill scores (and pothole_detections.confirmation_count) from the event log
+    const [rows] = await connection.query("SELECT id FROM aggregated_locations");
+    await connection.beginTransaction();
+    await refreshLocationConfidence(connection, rows.map((r) => r.id));
+    await connection.commit();
+    console.log(`[MIGRATE] Recomputed confidence for ${rows.length} locations.`);
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    await connection.rollback().catch(() => {});
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
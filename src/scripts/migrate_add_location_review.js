@@ -0,0 +1,57 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+// False-positive status and review columns on aggregated_locations. The
+// location_labels table is created by `npm run db:init`.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Adding 'false_positive' to aggregated_locations.status...");
+    await connection.query(
+      "ALTER TABLE aggregated_locations MODIFY status ENUM('pending', 'assigned', 'in_progress', 'pending_verification', 'verified', 'fixed', 'closed', 'false_positive') DEFAULT 'pending'"
+    );
+
+    const alters = [];
+    if (!(await columnExists(connection, "aggregated_locations", "review_status"))) {
+      alters.push(
+        "ADD COLUMN review_status ENUM('approved', 'rejected') NULL AFTER closed_at",
+        "ADD INDEX idx_review (review_status)"
+      );
+    }
+    if (!(await columnExists(connection, "aggregated_locations", "invalid_reason"))) {
+      alters.push("ADD COLUMN invalid_reason VARCHAR(50) NULL AFTER review_status");
+    }
+    if (!(await columnExists(connection, "aggregated_locations", "reviewed_by"))) {
+      alters.push(
+        "ADD COLUMN reviewed_by INT NULL AFTER invalid_reason",
+        "ADD FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL"
+      );
+    }
+    if (!(await columnExists(connection, "aggregated_locations", "reviewed_at"))) {
+      alters.push("ADD COLUMN reviewed_at TIMESTAMP NULL AFTER reviewed_by");
+    }
+
+    if (alters.length) {
+      const sql = `ALTER TABLE aggregated_locations ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
@@ -0,0 +1,54 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+// Columns for repair cycles / regressions. The aggregated_location_cycles table
+// itself is created by `npm run db:init`.
+const COLUMNS = [
+  ["aggregated_locations", "repair_cycle", "ADD COLUMN repair_cycle INT DEFAULT 1"],
+  ["aggregated_locations", "is_regression", "ADD COLUMN is_regression BOOLEAN DEFAULT FALSE, ADD INDEX idx_regression (is_regression)"],
+  ["aggregated_locations", "regression_of_assignment_id", "ADD COLUMN regression_of_assignment_id INT NULL"],
+  ["aggregated_locations", "reopened_at", "ADD COLUMN reopened_at TIMESTAMP NULL"],
+  ["aggregated_location_events", "repair_cycle", "ADD COLUMN repair_cycle INT NOT NULL DEFAULT 1 AFTER aggregated_location_id"],
+];
+
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Checking repair cycle columns...");
+
+    const byTable = {};
+    for (const [table, column, alter] of COLUMNS) {
+      if (!(await columnExists(connection, table, column))) {
+        (byTable[table] = byTable[table] || []).push(alter);
+      }
+    }
+
+    if (Object.keys(byTable).length === 0) {
+      console.log("[MIGRATE] Nothing to do. Columns already exist.");
+      process.exit(0);
+    }
+
+    for (const [table, alters] of Object.entries(byTable)) {
+      const sql = `ALTER TABLE ${table} ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
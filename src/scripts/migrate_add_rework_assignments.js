@@ -0,0 +1,56 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+// Rework / defect liability columns. The defect_liability_periods table is created
+// by `npm run db:init`.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Checking rework columns...");
+
+    const alters = [];
+    if (!(await columnExists(connection, "work_assignments", "is_rework"))) {
+      alters.push("ADD COLUMN is_rework BOOLEAN DEFAULT FALSE");
+    }
+    if (!(await columnExists(connection, "work_assignments", "rework_of_assignment_id"))) {
+      alters.push(
+        "ADD COLUMN rework_of_assignment_id INT NULL",
+        "ADD FOREIGN KEY (rework_of_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL"
+      );
+    }
+    if (!(await columnExists(connection, "work_assignments", "sla_payable"))) {
+      alters.push("ADD COLUMN sla_payable BOOLEAN DEFAULT TRUE");
+    }
+
+    if (alters.length) {
+      const sql = `ALTER TABLE work_assignments ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    if (!(await columnExists(connection, "aggregated_location_cycles", "rework_assignment_id"))) {
+      const sql =
+        "ALTER TABLE aggregated_location_cycles ADD COLUMN rework_assignment_id INT NULL AFTER contractor_id, " +
+        "ADD FOREIGN KEY (rework_assignment_id) REFERENCES work_assignments(id) ON DELETE SET NULL;";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
@@ -0,0 +1,70 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+const columnType = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COLUMN_TYPE AS type
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows?.[0]?.type || "";
+};
+
+// Road feature mask columns and the 'closed' location status. Run `npm run db:init`
+// first so the road_features table exists.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    // Only when 'closed' is missing, so a re-run (or one after migrate_add_location_review)
+    // cannot drop later status values; the list matches init_db.js.
+    if (!(await columnType(connection, "aggregated_locations", "status")).includes("'closed'")) {
+      console.log("[MIGRATE] Adding 'closed' to aggregated_locations.status...");
+      await connection.query(
+        "ALTER TABLE aggregated_locations MODIFY status ENUM('pending', 'assigned', 'in_progress', 'pending_verification', 'verified', 'fixed', 'closed', 'false_positive') DEFAULT 'pending'"
+      );
+    }
+
+    const alters = [];
+    if (!(await columnExists(connection, "aggregated_locations", "road_feature_id"))) {
+      alters.push(
+        "ADD COLUMN road_feature_id INT NULL AFTER verified_at",
+        "ADD FOREIGN KEY (road_feature_id) REFERENCES road_features(id) ON DELETE SET NULL"
+      );
+    }
+    if (!(await columnExists(connection, "aggregated_locations", "closed_at"))) {
+      alters.push("ADD COLUMN closed_at TIMESTAMP NULL AFTER road_feature_id");
+    }
+
+    if (alters.length) {
+      const sql = `ALTER TABLE aggregated_locations ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    if (!(await columnExists(connection, "aggregated_location_events", "road_feature_id"))) {
+      const sql =
+        "ALTER TABLE aggregated_location_events ADD COLUMN road_feature_id INT NULL AFTER trip_key, " +
+        "ADD INDEX idx_road_feature (road_feature_id);";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
@@ -0,0 +1,55 @@
+const db = require("../config/db");
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+// SLA escalation columns on work_assignments, and the 'escalated' assignment event type.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Checking SLA escalation columns...");
+
+    const alters = [];
+    if (!(await columnExists(connection, "work_assignments", "sla_escalation_level"))) {
+      alters.push(
+        "ADD COLUMN sla_escalation_level ENUM('none', 'reminder', 'warning', 'breach') DEFAULT 'none'",
+        "ADD INDEX idx_due_date (due_date)"
+      );
+    }
+    if (!(await columnExists(connection, "work_assignments", "sla_escalated_at"))) {
+      alters.push("ADD COLUMN sla_escalated_at TIMESTAMP NULL");
+    }
+    if (!(await columnExists(connection, "work_assignments", "sla_breach_minutes"))) {
+      alters.push("ADD COLUMN sla_breach_minutes INT NULL");
+    }
+
+    if (alters.length) {
+      const sql = `ALTER TABLE work_assignments ${alters.join(", ")};`;
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    if (await columnExists(connection, "assignment_events", "event_type")) {
+      const sql =
+        "ALTER TABLE assignment_events MODIFY COLUMN event_type " +
+        "ENUM('created', 'transition', 'reassigned', 'rejected', 'declined', 'photo', 'note', 'escalated') NOT NULL;";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
@@ -0,0 +1,32 @@
+const db = require("../config/db");
+
+const columnIsNullable = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT IS_NULLABLE AS nullable
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows?.[0]?.nullable === "YES";
+};
+
+// Lets aggregated_location_events keep events suppressed by a road feature that do not
+// fall on any location (aggregated_location_id NULL), as ingestion and the rebuild log them.
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    if (!(await columnIsNullable(connection, "aggregated_location_events", "aggregated_location_id"))) {
+      const sql = "ALTER TABLE aggregated_location_events MODIFY aggregated_location_id INT NULL;";
+      console.log("[MIGRATE] Applying:", sql);
+      await connection.query(sql);
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
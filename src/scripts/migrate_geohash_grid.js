@@ -0,0 +1,72 @@
+const db = require("../config/db");
+const { toGridId, GRID_PRECISION } = require("../services/aggregated_location_service");
+const { isGeohash } = require("../utils/geohash");
+
+// Moves aggregated_locations from the old "lat.toFixed(4)_lng.toFixed(4)" grid ids to
+// geohash cells (GRID_PRECISION) in place, so ids, status and assignments are kept.
+// Rows whose new cell is already taken are left untouched and listed; run the
+// aggregated_locations rebuild (preview first) to fold them in.
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COUNT(*) AS cnt
+     FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return (rows?.[0]?.cnt || 0) > 0;
+};
+
+(async () => {
+  const connection = await db.promise().getConnection();
+  try {
+    console.log("[MIGRATE] Widening aggregated_locations coordinates...");
+    await connection.query(
+      "ALTER TABLE aggregated_locations MODIFY latitude DECIMAL(10, 7) NOT NULL, MODIFY longitude DECIMAL(10, 7) NOT NULL"
+    );
+
+    if (!(await columnExists(connection, "aggregated_location_events", "source_row_id"))) {
+      console.log("[MIGRATE] Adding aggregated_location_events.source_row_id...");
+      await connection.query("ALTER TABLE aggregated_location_events ADD COLUMN source_row_id INT NULL AFTER source_key");
+    }
+
+    const [rows] = await connection.query("SELECT id, grid_id, latitude, longitude FROM aggregated_locations ORDER BY id");
+    const taken = new Set(rows.filter((r) => isGeohash(r.grid_id)).map((r) => r.grid_id));
+    const legacy = rows.filter((r) => !isGeohash(r.grid_id));
+
+    console.log(`[MIGRATE] ${legacy.length} of ${rows.length} locations use the old grid (precision ${GRID_PRECISION})`);
+
+    const conflicts = [];
+    let migrated = 0;
+
+    await connection.beginTransaction();
+    for (const row of legacy) {
+      const gridId = toGridId(row.latitude, row.longitude);
+      if (!gridId || taken.has(gridId)) {
+        conflicts.push({ id: row.id, gridId: row.grid_id, newGridId: gridId });
+        continue;
+      }
+      taken.add(gridId);
+
+      await connection.query("UPDATE aggregated_locations SET grid_id = ? WHERE id = ?", [gridId, row.id]);
+      await connection.query("UPDATE aggregated_location_events SET grid_id = ? WHERE aggregated_location_id = ?", [gridId, row.id]);
+      migrated += 1;
+    }
+    await connection.commit();
+
+    console.log(`[MIGRATE] Migrated ${migrated} locations.`);
+    if (conflicts.length) {
+      console.log("[MIGRATE] Left on the old grid (cell already taken):");
+      console.log(JSON.stringify(conflicts, null, 2));
+    }
+
+    console.log("[MIGRATE] Done.");
+    process.exit(0);
+  } catch (err) {
+    await connection.rollback().catch(() => {});
+    console.error("[MIGRATE] Failed:", err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+})();
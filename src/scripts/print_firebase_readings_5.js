@@ -5,7 +5,7 @@ require("dotenv").config({
   path: path.resolve(__dirname, "..", "..", ".env"),
 });
 
-const { getFirebaseAdmin } = require("../config/firebase");
+const { getReadingsSource } = require("../services/readings_source_service");
 
 function parseArgs(argv) {
   const args = {
@@ -66,8 +66,8 @@ async function main() {
   const basePath =
     args.path || process.env.FIREBASE_READINGS_PATH || process.env.FIREBASE_REPORTS_PATH || "UsersData";
 
-  const admin = getFirebaseAdmin();
-  const db = admin.database();
+  // Firebase by default; READINGS_SOURCE=file reads the local JSON stand-in instead
+  const db = getReadingsSource();
 
   let readingsRef = db.ref(basePath);
   let inferredPath = basePath;
@@ -0,0 +1,26 @@
+const path = require("path");
+
+// Load Backend_S3/.env (same behavior as src/server.js)
+require("dotenv").config({
+  path: path.resolve(__dirname, "..", "..", ".env"),
+});
+
+const { rebuildAggregatedLocations } = require("../services/aggregated_location_rebuild_service");
+
+// Usage:
+//   node src/scripts/rebuild_aggregated_locations.js           (preview: shadow tables + diff only)
+//   node src/scripts/rebuild_aggregated_locations.js --apply   (swap the rebuilt rows in)
+(async () => {
+  const apply = process.argv.slice(2).includes("--apply");
+
+  try {
+    const result = await rebuildAggregatedLocations({ apply });
+    console.log("\n=== Aggregated Locations Rebuild ===\n");
+    console.log(JSON.stringify(result, null, 2));
+    if (!apply) console.log("\nPreview only; re-run with --apply to swap the rebuilt rows in.");
+    process.exit(0);
+  } catch (error) {
+    console.error(`[Rebuild] ${error.message}`);
+    process.exit(1);
+  }
+})();
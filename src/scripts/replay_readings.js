@@ -0,0 +1,264 @@
+const path = require("path");
+const fs = require("fs");
+
+// Load Backend_S3/.env (same behavior as src/server.js)
+require("dotenv").config({
+  path: path.resolve(__dirname, "..", "..", ".env"),
+});
+
+const {
+  DEFAULT_THRESHOLDS,
+  createDetectionEngine,
+  flattenReadingsTree,
+  eventTimestampMs,
+} = require("../services/detection_engine_service");
+
+// Usage:
+//   node src/scripts/replay_readings.js --file=export.json
+//   node src/scripts/replay_readings.js --file=readings.csv --PEAK_DELTA=4 --PATCHY_MIN=2.5
+//   node src/scripts/replay_readings.js --file=export.json --apply
+//   node src/scripts/replay_readings.js --file=export.json --root=UsersData
+//
+// Input:
+//   JSON: a Firebase export (UsersData/<uid>/readings/<id> or any nesting), or an array of readings.
+//         The export is read from --root down (default: FIREBASE_READINGS_PATH, like the
+//         readings sync) as far as it contains that path, so devices resolve per uid and
+//         --apply writes the sync's source keys. An export of the root node itself works too.
+//   CSV:  header row; columns like key,uid,deviceId,tripId,Latitude,Longitude,Vibration,Speed,timestamp.
+//
+// Thresholds default to the READINGS_* env vars and can be overridden per run with
+// --<NAME>=<value> where NAME is one of the keys printed in the summary.
+// Nothing is written to MySQL unless --apply is given.
+function parseArgs(argv) {
+  const args = {
+    file: undefined,
+    root: process.env.FIREBASE_READINGS_PATH || process.env.FIREBASE_REPORTS_PATH || "UsersData",
+    apply: false,
+    quiet: false,
+    limit: undefined,
+    thresholds: {},
+  };
+
+  for (const raw of argv) {
+    if (!raw.startsWith("--")) {
+      if (!args.file) args.file = raw;
+      continue;
+    }
+
+    const [key, ...rest] = raw.slice(2).split("=");
+    const value = rest.length ? rest.join("=") : "true";
+
+    if (key === "file") args.file = value;
+    else if (key === "root") args.root = value === "true" ? "" : value;
+    else if (key === "apply") args.apply = value !== "false";
+    else if (key === "quiet") args.quiet = value !== "false";
+    else if (key === "limit") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n > 0) args.limit = Math.floor(n);
+    } else if (Object.prototype.hasOwnProperty.call(DEFAULT_THRESHOLDS, key)) {
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`Invalid number for --${key}: ${value}`);
+      args.thresholds[key] = n;
+    } else {
+      throw new Error(`Unknown option --${key}`);
+    }
+  }
+
+  return args;
+}
+
+function splitCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out.map((v) => v.trim());
+}
+
+function coerceCsvValue(value) {
+  if (value === "") return undefined;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : value;
+}
+
+// Entries come out in the same { key, pathParts, reading } shape as flattenReadingsTree,
+// so the engine resolves device/trip exactly as it does for Firebase.
+function toEntry(reading, index) {
+  const key = String(reading.key ?? reading.id ?? reading.timestamp ?? reading.Timestamp ?? index);
+  const uid = reading.uid ?? reading.userId;
+  const pathParts = uid !== undefined ? [String(uid), "readings", key] : [key];
+  return { key, pathParts, reading };
+}
+
+function loadCsvEntries(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]);
+  return lines.slice(1).map((line, i) => {
+    const cells = splitCsvLine(line);
+    const reading = {};
+    header.forEach((col, idx) => {
+      const v = coerceCsvValue(cells[idx] ?? "");
+      if (v !== undefined) reading[col] = v;
+    });
+    return toEntry(reading, i);
+  });
+}
+
+function rootParts(root) {
+  return String(root || "").split("/").filter((p) => p !== "");
+}
+
+// Entries plus `prefix`: the Firebase path their pathParts are relative to.
+// A JSON export is descended along the sync root as far as it contains it, so device
+// buckets (uids) come first in pathParts; an export without the root's first segment
+// is taken as an export of the root node itself, as are CSV files and arrays.
+function loadJsonEntries(text, root) {
+  const parsed = JSON.parse(text);
+  const parts = rootParts(root);
+  if (Array.isArray(parsed)) {
+    return { prefix: parts, entries: parsed.filter((r) => r && typeof r === "object").map(toEntry) };
+  }
+
+  let node = parsed;
+  const matched = [];
+  for (const part of parts) {
+    if (!node || typeof node !== "object" || !(part in node)) break;
+    node = node[part];
+    matched.push(part);
+  }
+  return { prefix: matched.length ? matched : parts, entries: flattenReadingsTree(node || {}) };
+}
+
+function loadEntries(file, root) {
+  const text = fs.readFileSync(file, "utf8");
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".csv") return { prefix: rootParts(root), entries: loadCsvEntries(text) };
+  return loadJsonEntries(text, root);
+}
+
+function fmt(n) {
+  return Number.isFinite(n) ? n.toFixed(3) : "NaN";
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.log("Usage: node src/scripts/replay_readings.js --file=<export.json|readings.csv> [--root=UsersData] [--apply] [--quiet] [--limit=N] [--PEAK_DELTA=3.5 ...]");
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(args.file)) {
+    console.log(`[Replay] File not found: ${args.file}`);
+    process.exit(1);
+  }
+
+  const { prefix, entries } = loadEntries(args.file, args.root);
+  entries.sort((a, b) => {
+    const aTs = eventTimestampMs(a.key, a.reading) || 0;
+    const bTs = eventTimestampMs(b.key, b.reading) || 0;
+    return aTs - bTs;
+  });
+  const candidates = args.limit ? entries.slice(0, args.limit) : entries;
+
+  const engine = createDetectionEngine({ thresholds: args.thresholds });
+
+  // Only touch MySQL when asked to; requiring db opens a pool.
+  const ingestAggregatedEvent = args.apply
+    ? require("../services/reading_ingestion_service").ingestAggregatedEvent
+    : null;
+
+  const summary = {
+    file: args.file,
+    root: args.root,
+    apply: args.apply,
+    thresholds: engine.thresholds,
+    readings: candidates.length,
+    potholes: 0,
+    patchy: 0,
+    denied: 0,
+    invalid: 0,
+    written: 0,
+    errors: 0,
+    devices: {},
+  };
+
+  console.log(`[Replay] file=${args.file} readings=${candidates.length} apply=${args.apply}`);
+
+  for (const entry of candidates) {
+    const decision = engine.processReading(entry);
+    const m = decision.metrics;
+    const metrics = m ? ` speed=${m.speed} z=${fmt(m.zCorrected)} delta=${fmt(m.delta)}` : "";
+
+    if (decision.status === "denied") {
+      summary.denied += 1;
+      if (!m) summary.invalid += 1;
+      if (!args.quiet) {
+        console.log(`DENIED   key=${entry.key} device=${decision.deviceKey} trip=${decision.tripKey || "-"}${metrics} reason=${decision.reason}`);
+      }
+      continue;
+    }
+
+    const ev = decision.event;
+    if (ev.type === "pothole") summary.potholes += 1;
+    if (ev.type === "patchy") summary.patchy += 1;
+
+    if (!args.quiet) {
+      console.log(`DETECTED key=${entry.key} device=${decision.deviceKey} trip=${decision.tripKey}${metrics} type=${ev.type} severity=${ev.severity}`);
+    }
+
+    if (ingestAggregatedEvent) {
+      try {
+        const r = await ingestAggregatedEvent({
+          ...ev,
+          source: "firebase_reading",
+          // Same key as the readings sync's itemPath
+          sourceKey: [...prefix, ...(entry.pathParts.length ? entry.pathParts : [entry.key])].join("/"),
+        });
+        summary.written += 1;
+        if (!args.quiet) console.log(`         -> gridId=${r.gridId} aggregatedLocationId=${r.aggregatedLocationId} created=${r.created}`);
+      } catch (err) {
+        summary.errors += 1;
+        engine.recordError(decision.deviceKey);
+        console.log(`ERROR    key=${entry.key} error=${err.message}`);
+      }
+    }
+  }
+
+  summary.devices = engine.summary();
+
+  console.log("\n=== Replay Summary ===\n");
+  console.log(JSON.stringify(summary, null, 2));
+
+  process.exit(summary.errors > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error("[Replay] Failed:", err.message);
+  process.exit(1);
+});
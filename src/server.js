@@ -4,12 +4,30 @@ require("dotenv").config({
 });
 const app = require("./app");
 const { runFlaggedReadingsSync, startFlaggedReadingsWatcher } = require("./controllers/firebase_flags_sync_controller");
+const { startSlaEscalationJob } = require("./services/sla_escalation_service");
+const { startAutoAssignmentJob } = require("./services/auto_assignment_service");
 
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 
+  // SLA escalation job (see sla_escalation_service).
+  // SLA_ESCALATION_JOB (default: true)
+  const slaJobRaw = process.env.SLA_ESCALATION_JOB;
+  const slaJobEnabled = slaJobRaw === undefined ? true : String(slaJobRaw).toLowerCase() !== "false";
+  if (slaJobEnabled) {
+    startSlaEscalationJob();
+  } else {
+    console.log("[SlaEscalation] disabled via SLA_ESCALATION_JOB=false");
+  }
+
+  // Scheduled auto-assignment of High severity locations (see auto_assignment_service).
+  // AUTO_ASSIGN_JOB (default: false)
+  if (String(process.env.AUTO_ASSIGN_JOB || "false").toLowerCase() === "true") {
+    startAutoAssignmentJob();
+  }
+
   // Startup sync: fetch from Firebase and upsert into MySQL on every backend start.
   // Controlled via env vars:
   // STARTUP_FLAGS_SYNC (default: true)
@@ -26,10 +44,10 @@ app.listen(PORT, () => {
   const reprocess = String(process.env.STARTUP_FLAGS_SYNC_REPROCESS || "false").toLowerCase() === "true";
 
   setImmediate(() => {
-    runFlaggedReadingsSync({ limit, dryRun: false, reprocess })
+    runFlaggedReadingsSync({ limit, dryRun: false, reprocess, trigger: "startup" })
       .then((r) => {
         console.log(
-          `[StartupFlagsSync] done migrated=${r.migrated} denied=${r.denied} flagged=${r.flagged} candidates=${r.candidates}`
+          `[StartupFlagsSync] done run=${r.runId} migrated=${r.migrated} denied=${r.denied} flagged=${r.flagged} candidates=${r.candidates}`
         );
       })
       .catch((err) => {
@@ -0,0 +1,509 @@
+const db = require("../config/db");
+const { assignGridIds, foldEventsByGrid } = require("./aggregated_location_service");
+const { refreshLocationConfidence } = require("./location_confidence_service");
+const { loadFeaturesNear, matchFeatures } = require("./road_feature_service");
+
+// Recompute aggregated_locations from raw data.
+//
+// Raw events are the report anomalies (pothole_detections, road_anomalies) plus the
+// archived Firebase events in aggregated_location_events. They are folded with the
+// current grid rules into shadow tables, diffed against the live tables and,
+// when applied, swapped in inside one transaction.
+//
+// Location ids are kept stable by matching on grid_id, so status, verified_at and
+// every work_assignments / reading_dead_letters reference survive the rebuild.
+// Live rows that no longer match any grid are deleted, unless they carry workflow
+// (non-pending status, verified_at, a review decision or assignments); those are
+// kept as-is and reported as `retained` so an admin can resolve them.
+//
+// Reopened locations only count events of their current repair cycle; earlier events
+// are kept in the event log under the cycle they fell in (by the cycle end times in
+// aggregated_location_cycles).
+//
+// Active road features mask events as on ingestion. Suppressed events are never counted
+// and never create a location, but every one stays in the event log with its
+// road_feature_id: under the location it falls on, or with a NULL location when there
+// is none, so the archived Firebase events survive until the feature is removed.
+//
+// Firebase events ingested before aggregated_location_events existed are not in the
+// archive, so review the preview diff before applying.
+
+const SHADOW_LOCATIONS = "aggregated_locations_shadow";
+const SHADOW_EVENTS = "aggregated_location_events_shadow";
+const INSERT_CHUNK = 500;
+const DIFF_SAMPLE_LIMIT = 50;
+
+// Both rebuilds would share the shadow tables.
+let rebuildInProgress = false;
+
+const COUNTER_FIELDS = ["total_potholes", "total_patchy", "highest_severity", "report_count"];
+
+function toUnixSeconds(value) {
+  if (!value) return null;
+  const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+async function loadRawEvents() {
+  const [potholes] = await db.promise().query(
+    `SELECT pd.id, pd.latitude, pd.longitude, pd.severity, UNIX_TIMESTAMP(pd.timestamp) * 1000 AS ts_ms,
+            r.report_id, r.device_id
+     FROM pothole_detections pd
+     JOIN reports r ON pd.report_id = r.id
+     ORDER BY pd.id`
+  );
+
+  const [patchy] = await db.promise().query(
+    `SELECT ra.id, ra.start_latitude AS latitude, ra.start_longitude AS longitude, ra.severity,
+            UNIX_TIMESTAMP(ra.start_timestamp) * 1000 AS ts_ms, r.report_id, r.device_id
+     FROM road_anomalies ra
+     JOIN reports r ON ra.report_id = r.id
+     ORDER BY ra.id`
+  );
+
+  const [firebase] = await db.promise().query(
+    `SELECT event_type, source, source_key, source_row_id, device_key, trip_key, detection_profile_version, severity, latitude, longitude,
+            UNIX_TIMESTAMP(event_at) * 1000 AS ts_ms
+     FROM aggregated_location_events
+     WHERE source IN ('firebase_flag', 'firebase_reading')
+     ORDER BY id`
+  );
+
+  const fromReport = (type) => (row) => ({
+    type,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    severity: row.severity,
+    timestampMs: row.ts_ms,
+    source: "report",
+    sourceKey: row.report_id,
+    sourceRowId: row.id,
+    deviceKey: row.device_id,
+  });
+
+  const all = [
+    ...potholes.map(fromReport("pothole")),
+    ...patchy.map(fromReport("patchy")),
+    ...firebase.map((row) => ({
+      type: row.event_type,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      severity: row.severity,
+      timestampMs: row.ts_ms,
+      source: row.source,
+      sourceKey: row.source_key,
+      sourceRowId: row.source_row_id,
+      deviceKey: row.device_key,
+      tripKey: row.trip_key,
+      detectionProfileVersion: row.detection_profile_version,
+    })),
+  ];
+
+  // Rows without usable coordinates cannot be placed on the grid.
+  const located = all.filter(
+    (e) => e.latitude !== null && e.longitude !== null && Number.isFinite(Number(e.latitude)) && Number.isFinite(Number(e.longitude))
+  );
+
+  const masks = matchFeatures(located, await loadFeaturesNear(db.promise(), located));
+  const events = [];
+  const maskedEvents = [];
+  located.forEach((event, index) => {
+    const feature = masks[index];
+    if (!feature) events.push(event);
+    else if (feature.mask_action === "suppress") maskedEvents.push({ ...event, roadFeatureId: feature.id });
+    else events.push({ ...event, roadFeatureId: feature.id });
+  });
+
+  return {
+    events,
+    maskedEvents,
+    counts: {
+      reportPotholes: potholes.length,
+      reportPatchy: patchy.length,
+      firebase: firebase.length,
+      skipped: all.length - located.length,
+      masked: maskedEvents.length,
+    },
+  };
+}
+
+// High-water marks of every raw table; the swap is refused if they moved meanwhile.
+async function rawWatermarks(connection, lock = false) {
+  const suffix = lock ? " FOR UPDATE" : "";
+  const marks = {};
+  for (const table of ["pothole_detections", "road_anomalies", "aggregated_location_events"]) {
+    const [rows] = await connection.query(`SELECT MAX(id) AS maxId FROM ${table}${suffix}`);
+    marks[table] = rows[0].maxId === null ? 0 : Number(rows[0].maxId);
+  }
+  return marks;
+}
+
+async function loadLiveLocations() {
+  const [rows] = await db.promise().query(
+    `SELECT al.*,
+            (SELECT COUNT(*) FROM work_assignments wa WHERE wa.aggregated_location_id = al.id) AS assignment_count
+     FROM aggregated_locations al`
+  );
+  return rows;
+}
+
+function hasWorkflow(row) {
+  return (
+    row.status !== "pending" ||
+    Boolean(row.verified_at) ||
+    Boolean(row.review_status) ||
+    Number(row.assignment_count) > 0 ||
+    Number(row.repair_cycle) > 1
+  );
+}
+
+// location id -> finished cycles ({ cycle_number, ended_ms }) in cycle order
+async function loadFinishedCycles() {
+  const [rows] = await db.promise().query(
+    `SELECT aggregated_location_id, cycle_number, ended_at
+     FROM aggregated_location_cycles
+     ORDER BY aggregated_location_id, cycle_number`
+  );
+  const byLocation = new Map();
+  for (const row of rows) {
+    const key = String(row.aggregated_location_id);
+    if (!byLocation.has(key)) byLocation.set(key, []);
+    byLocation.get(key).push({ cycle_number: row.cycle_number, ended_ms: toUnixSeconds(row.ended_at) * 1000 });
+  }
+  return byLocation;
+}
+
+function cycleFor(live, finishedCycles, tsMs) {
+  if (tsMs) {
+    for (const c of finishedCycles || []) {
+      if (tsMs < c.ended_ms) return c.cycle_number;
+    }
+  }
+  return Number(live.repair_cycle) || 1;
+}
+
+function buildShadow(events, liveRows, finishedCycles, maskedEvents = []) {
+  const liveByGrid = new Map(liveRows.map((r) => [r.grid_id, r]));
+  let nextId = liveRows.reduce((max, r) => Math.max(max, Number(r.id)), 0) + 1;
+
+  // Live locations act as merge anchors, so border events rejoin the location they belong to.
+  const gridIds = assignGridIds(events, liveRows);
+
+  const locations = [];
+  const eventRows = [];
+  const currentEvents = [];
+  const currentGridIds = [];
+
+  events.forEach((event, index) => {
+    const live = liveByGrid.get(gridIds[index]);
+    if (!live) {
+      currentEvents.push(event);
+      currentGridIds.push(gridIds[index]);
+      return;
+    }
+    const cycle = cycleFor(live, finishedCycles.get(String(live.id)), Number(event.timestampMs) || null);
+    if (cycle === (Number(live.repair_cycle) || 1)) {
+      currentEvents.push(event);
+      currentGridIds.push(gridIds[index]);
+    } else {
+      eventRows.push({ locationId: Number(live.id), repairCycle: cycle, gridId: live.grid_id, event });
+    }
+  });
+
+  const grids = foldEventsByGrid(currentEvents, currentGridIds);
+
+  for (const g of grids) {
+    const live = liveByGrid.get(g.gridId);
+    const location = {
+      id: live ? Number(live.id) : nextId++,
+      grid_id: g.gridId,
+      // Matched rows keep their stored coordinates; only new grids take the first event's.
+      latitude: live ? live.latitude : g.latitude,
+      longitude: live ? live.longitude : g.longitude,
+      road_name: live ? live.road_name : null,
+      total_potholes: g.potholes,
+      total_patchy: g.patchy,
+      highest_severity: g.severity,
+      report_count: g.events,
+      ward: live ? live.ward : null,
+      first_ts: g.firstTs,
+      last_ts: g.lastTs,
+      status: live ? live.status : "pending",
+      verified_at: live ? live.verified_at : null,
+    };
+    locations.push(location);
+
+    for (const index of g.indexes) {
+      eventRows.push({
+        locationId: location.id,
+        repairCycle: live ? Number(live.repair_cycle) || 1 : 1,
+        gridId: g.gridId,
+        event: currentEvents[index],
+      });
+    }
+  }
+
+  // Masked events never create or count into a location; they join the log of the
+  // location they fall on (one that survives the swap) or are kept without one.
+  const anchorByGrid = new Map(locations.map((l) => [l.grid_id, l]));
+  for (const live of liveRows) {
+    if (!anchorByGrid.has(live.grid_id) && hasWorkflow(live)) anchorByGrid.set(live.grid_id, live);
+  }
+  const maskedGridIds = assignGridIds(maskedEvents, [...anchorByGrid.values()]);
+  maskedEvents.forEach((event, index) => {
+    const gridId = maskedGridIds[index];
+    const location = anchorByGrid.get(gridId);
+    if (!location) {
+      eventRows.push({ locationId: null, repairCycle: 1, gridId, event });
+      return;
+    }
+    const live = liveByGrid.get(gridId);
+    const cycle = live ? cycleFor(live, finishedCycles.get(String(live.id)), Number(event.timestampMs) || null) : 1;
+    eventRows.push({ locationId: Number(location.id), repairCycle: cycle, gridId, event });
+  });
+
+  return { locations, eventRows };
+}
+
+function diffShadow(shadowLocations, liveRows) {
+  const shadowByGrid = new Map(shadowLocations.map((l) => [l.grid_id, l]));
+  const diff = { unchanged: 0, changed: 0, added: 0, removed: 0, retained: 0, samples: [] };
+
+  const sample = (entry) => {
+    if (diff.samples.length < DIFF_SAMPLE_LIMIT) diff.samples.push(entry);
+  };
+
+  for (const live of liveRows) {
+    const shadow = shadowByGrid.get(live.grid_id);
+
+    if (!shadow) {
+      if (hasWorkflow(live)) {
+        diff.retained += 1;
+        sample({ change: "retained", id: live.id, gridId: live.grid_id, status: live.status });
+      } else {
+        diff.removed += 1;
+        sample({ change: "removed", id: live.id, gridId: live.grid_id });
+      }
+      continue;
+    }
+
+    const fields = {};
+    for (const field of COUNTER_FIELDS) {
+      if (String(live[field]) !== String(shadow[field])) {
+        fields[field] = { live: live[field], rebuilt: shadow[field] };
+      }
+    }
+    if (shadow.first_ts && toUnixSeconds(live.first_reported_at) !== shadow.first_ts) {
+      fields.first_reported_at = { live: live.first_reported_at, rebuilt: new Date(shadow.first_ts * 1000) };
+    }
+    if (shadow.last_ts && toUnixSeconds(live.last_reported_at) !== shadow.last_ts) {
+      fields.last_reported_at = { live: live.last_reported_at, rebuilt: new Date(shadow.last_ts * 1000) };
+    }
+
+    if (Object.keys(fields).length) {
+      diff.changed += 1;
+      sample({ change: "changed", id: live.id, gridId: live.grid_id, fields });
+    } else {
+      diff.unchanged += 1;
+    }
+  }
+
+  const liveGrids = new Set(liveRows.map((r) => r.grid_id));
+  for (const shadow of shadowLocations) {
+    if (liveGrids.has(shadow.grid_id)) continue;
+    diff.added += 1;
+    sample({
+      change: "added",
+      id: shadow.id,
+      gridId: shadow.grid_id,
+      reportCount: shadow.report_count,
+      highestSeverity: shadow.highest_severity,
+    });
+  }
+
+  return diff;
+}
+
+async function writeShadowTables({ locations, eventRows }) {
+  const q = (sql, params) => db.promise().query(sql, params);
+
+  // Recreated every run so the shadow always has the live table's current columns.
+  await q(`DROP TABLE IF EXISTS ${SHADOW_EVENTS}`);
+  await q(`DROP TABLE IF EXISTS ${SHADOW_LOCATIONS}`);
+  await q(`CREATE TABLE ${SHADOW_LOCATIONS} LIKE aggregated_locations`);
+  await q(`CREATE TABLE ${SHADOW_EVENTS} LIKE aggregated_location_events`);
+
+  for (let i = 0; i < locations.length; i += INSERT_CHUNK) {
+    const chunk = locations.slice(i, i + INSERT_CHUNK);
+    const placeholders = chunk
+      .map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(FROM_UNIXTIME(?), NOW()), COALESCE(FROM_UNIXTIME(?), NOW()), ?, ?)")
+      .join(", ");
+    const params = [];
+    for (const l of chunk) {
+      params.push(
+        l.id, l.grid_id, l.latitude, l.longitude, l.road_name, l.total_potholes, l.total_patchy,
+        l.highest_severity, l.report_count, l.ward, l.first_ts, l.last_ts, l.status, l.verified_at
+      );
+    }
+    await q(
+      `INSERT INTO ${SHADOW_LOCATIONS}
+       (id, grid_id, latitude, longitude, road_name, total_potholes, total_patchy, highest_severity,
+        report_count, ward, first_reported_at, last_reported_at, status, verified_at)
+       VALUES ${placeholders}`,
+      params
+    );
+  }
+
+  for (let i = 0; i < eventRows.length; i += INSERT_CHUNK) {
+    const chunk = eventRows.slice(i, i + INSERT_CHUNK);
+    const placeholders = chunk
+      .map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(FROM_UNIXTIME(?), NOW(3)))")
+      .join(", ");
+    const params = [];
+    for (const { locationId, repairCycle, gridId, event } of chunk) {
+      params.push(
+        locationId,
+        repairCycle,
+        gridId,
+        event.type,
+        event.source,
+        event.sourceKey ?? null,
+        event.sourceRowId ?? null,
+        event.deviceKey || null,
+        event.tripKey || null,
+        event.roadFeatureId ?? null,
+        event.detectionProfileVersion ?? null,
+        event.severity || "Low",
+        event.latitude,
+        event.longitude,
+        event.timestampMs ? Number(event.timestampMs) / 1000 : null
+      );
+    }
+    await q(
+      `INSERT INTO ${SHADOW_EVENTS}
+       (aggregated_location_id, repair_cycle, grid_id, event_type, source, source_key, source_row_id, device_key, trip_key, road_feature_id, detection_profile_version, severity, latitude, longitude, event_at)
+       VALUES ${placeholders}`,
+      params
+    );
+  }
+}
+
+async function swapShadowTables(watermarks, liveRows, shadowLocations) {
+  const shadowGrids = new Set(shadowLocations.map((l) => l.grid_id));
+  const removedIds = liveRows
+    .filter((r) => !shadowGrids.has(r.grid_id) && !hasWorkflow(r))
+    .map((r) => r.id);
+
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Locking reads also block new raw rows until commit.
+    const current = await rawWatermarks(connection, true);
+    const moved = Object.keys(watermarks).filter((t) => current[t] !== watermarks[t]);
+    if (moved.length) {
+      const err = new Error(`New data arrived during the rebuild (${moved.join(", ")}); run it again`);
+      err.code = "REBUILD_STALE";
+      throw err;
+    }
+
+    const [updated] = await connection.query(
+      `UPDATE aggregated_locations al
+       JOIN ${SHADOW_LOCATIONS} s ON s.id = al.id
+       SET al.total_potholes = s.total_potholes,
+           al.total_patchy = s.total_patchy,
+           al.highest_severity = s.highest_severity,
+           al.report_count = s.report_count,
+           al.first_reported_at = s.first_reported_at,
+           al.last_reported_at = s.last_reported_at`
+    );
+
+    const [inserted] = await connection.query(
+      `INSERT INTO aggregated_locations
+       (id, grid_id, latitude, longitude, road_name, total_potholes, total_patchy, highest_severity,
+        report_count, ward, first_reported_at, last_reported_at, status, verified_at)
+       SELECT s.id, s.grid_id, s.latitude, s.longitude, s.road_name, s.total_potholes, s.total_patchy,
+              s.highest_severity, s.report_count, s.ward, s.first_reported_at, s.last_reported_at,
+              s.status, s.verified_at
+       FROM ${SHADOW_LOCATIONS} s
+       LEFT JOIN aggregated_locations al ON al.id = s.id
+       WHERE al.id IS NULL`
+    );
+
+    let removed = 0;
+    if (removedIds.length) {
+      const [result] = await connection.query("DELETE FROM aggregated_locations WHERE id IN (?)", [removedIds]);
+      removed = result.affectedRows;
+    }
+
+    await connection.query("DELETE FROM aggregated_location_events");
+    const [events] = await connection.query(
+      `INSERT INTO aggregated_location_events
+       (aggregated_location_id, repair_cycle, grid_id, event_type, source, source_key, source_row_id, device_key, trip_key, road_feature_id, detection_profile_version, severity, latitude, longitude, event_at)
+       SELECT aggregated_location_id, repair_cycle, grid_id, event_type, source, source_key, source_row_id, device_key, trip_key, road_feature_id, detection_profile_version, severity, latitude, longitude, event_at
+       FROM ${SHADOW_EVENTS}
+       ORDER BY id`
+    );
+
+    const keptIds = [
+      ...shadowLocations.map((l) => l.id),
+      ...liveRows.filter((r) => !shadowGrids.has(r.grid_id) && hasWorkflow(r)).map((r) => r.id),
+    ];
+    await refreshLocationConfidence(connection, keptIds);
+
+    await connection.commit();
+    return { updated: updated.affectedRows, inserted: inserted.affectedRows, removed, events: events.affectedRows };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Rebuild aggregated_locations into the shadow tables and diff against the live ones.
+ * With `apply: true` the shadow is swapped in; otherwise nothing live is touched.
+ */
+async function rebuildAggregatedLocations({ apply = false } = {}) {
+  if (rebuildInProgress) {
+    const err = new Error("A rebuild is already running");
+    err.code = "REBUILD_RUNNING";
+    throw err;
+  }
+
+  rebuildInProgress = true;
+  try {
+    return await runRebuild(apply);
+  } finally {
+    rebuildInProgress = false;
+  }
+}
+
+async function runRebuild(apply) {
+  const startedAt = Date.now();
+
+  const watermarks = await rawWatermarks(db.promise());
+  const { events, maskedEvents, counts } = await loadRawEvents();
+  const liveRows = await loadLiveLocations();
+
+  const shadow = buildShadow(events, liveRows, await loadFinishedCycles(), maskedEvents);
+  await writeShadowTables(shadow);
+
+  const diff = diffShadow(shadow.locations, liveRows);
+  const swap = apply ? await swapShadowTables(watermarks, liveRows, shadow.locations) : null;
+
+  return {
+    applied: Boolean(swap),
+    sourceEvents: { ...counts, total: events.length },
+    live: { locations: liveRows.length },
+    shadow: { locations: shadow.locations.length, events: shadow.eventRows.length },
+    diff,
+    swap,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  rebuildAggregatedLocations,
+};
@@ -0,0 +1,402 @@
+const db = require("../config/db");
+const { severityOrder, normalizeUnixMs } = require("../utils/readingPayload");
+const geohash = require("../utils/geohash");
+const { refreshLocationConfidence } = require("./location_confidence_service");
+const { reopenRepairedLocations } = require("./repair_cycle_service");
+const { loadFeaturesNear, matchFeatures, recordSuppressedEvents } = require("./road_feature_service");
+
+// Single write path into aggregated_locations, shared by report and reading ingestion.
+//
+// Events are folded per grid_id in memory, then written with one multi-row
+// INSERT ... ON DUPLICATE KEY UPDATE. The unique key on grid_id makes the upsert
+// atomic, so concurrent watcher events cannot race into duplicate rows, and
+// highest_severity is computed in SQL against the row's current value.
+//
+// Every event is also appended to aggregated_location_events (same transaction),
+// so a location's counters can always be traced back to the readings/reports
+// that produced them, and its confidence score (distinct devices/days) is
+// refreshed from that log.
+//
+// Events landing on a verified/fixed location reopen it as a new repair cycle
+// (see repair_cycle_service) before they are counted.
+//
+// Events inside an active road feature (speed breaker, rail crossing, ...) are
+// suppressed or tagged before folding (see road_feature_service). Suppressed events
+// are never counted but still go to the event log, under the location they fall on
+// or with a NULL location, as the rebuild keeps them.
+//
+// Grid cells are geohashes (src/utils/geohash.js). Env:
+// GRID_PRECISION       geohash length of a location cell (default 9, ~4.8m x 4.8m)
+// GRID_MERGE_RADIUS_M  an event joins an existing location within this distance of it
+//                      (default 8), whichever cell that location is in, so a pothole on
+//                      a cell border does not split into two locations
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const GRID_PRECISION = Math.min(Math.max(Math.floor(envNumber("GRID_PRECISION", 9)), 1), geohash.MAX_PRECISION);
+const GRID_MERGE_RADIUS_M = envNumber("GRID_MERGE_RADIUS_M", 8);
+
+const UPSERT_CHUNK = 500;
+
+const EVENT_SOURCES = new Set(["report", "firebase_flag", "firebase_reading"]);
+
+function toGridId(latitude, longitude, precision = GRID_PRECISION) {
+  return geohash.encode(latitude, longitude, precision);
+}
+
+/**
+ * Pick a grid_id per event (same order as `events`).
+ * `anchors` are existing locations ({ grid_id, latitude, longitude }); an event joins
+ * the nearest anchor within GRID_MERGE_RADIUS_M (searching every cell the radius reaches),
+ * otherwise its own cell becomes a new anchor for the rest of the batch.
+ */
+function assignGridIds(events, anchors = []) {
+  const byCell = new Map();
+  const addAnchor = (gridId, latitude, longitude) => {
+    if (!byCell.has(gridId)) byCell.set(gridId, []);
+    byCell.get(gridId).push({ gridId, latitude: Number(latitude), longitude: Number(longitude) });
+  };
+  for (const a of anchors) addAnchor(a.grid_id, a.latitude, a.longitude);
+
+  return events.map((event) => {
+    const cell = toGridId(event.latitude, event.longitude);
+    if (!cell) return null;
+
+    const lat = Number(event.latitude);
+    const lng = Number(event.longitude);
+    let best = null;
+    let bestDistance = Infinity;
+
+    // The radius can span more than one cell (8m vs ~4.8m cells by default)
+    for (const candidateCell of geohash.cellsWithin(lat, lng, GRID_MERGE_RADIUS_M, GRID_PRECISION)) {
+      for (const anchor of byCell.get(candidateCell) || []) {
+        const d = geohash.distanceMeters(lat, lng, anchor.latitude, anchor.longitude);
+        if (d <= GRID_MERGE_RADIUS_M && d < bestDistance) {
+          best = anchor;
+          bestDistance = d;
+        }
+      }
+    }
+
+    if (best) return best.gridId;
+    // grid_id is unique, so an event always lands in its own cell if that is taken
+    if (byCell.has(cell)) return cell;
+    addAnchor(cell, lat, lng);
+    return cell;
+  });
+}
+
+// Existing locations in every cell within the merge radius of the events
+async function loadGridAnchors(connection, events) {
+  const cells = new Set();
+  for (const event of events) {
+    for (const c of geohash.cellsWithin(event.latitude, event.longitude, GRID_MERGE_RADIUS_M, GRID_PRECISION)) {
+      cells.add(c);
+    }
+  }
+  if (cells.size === 0) return [];
+
+  const [rows] = await connection.query(
+    "SELECT grid_id, latitude, longitude FROM aggregated_locations WHERE grid_id IN (?)",
+    [[...cells]]
+  );
+  return rows;
+}
+
+function higherSeverity(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return severityOrder[b] > severityOrder[a] ? b : a;
+}
+
+function eventSeverity(event) {
+  return severityOrder[event.severity] ? event.severity : "Low";
+}
+
+function eventTimestampMs(event) {
+  return normalizeUnixMs(event.timestampMs ?? event.timestamp ?? event.time);
+}
+
+// event: {
+//   type: 'pothole' | 'patchy', latitude, longitude, severity?, timestampMs?,
+//   source: 'report' | 'firebase_flag' | 'firebase_reading', sourceKey?, deviceKey?, tripKey?,
+//   sourceRowId?   (report events: pothole_detections.id / road_anomalies.id)
+//   roadFeatureId? (set by ingestion when a tagging road feature matched)
+// }
+function foldEventsByGrid(events, gridIds = assignGridIds(events)) {
+  const grids = new Map();
+
+  events.forEach((event, index) => {
+    const gridId = gridIds[index];
+    if (!gridId) {
+      throw new Error("Invalid latitude/longitude for aggregated event");
+    }
+    if (!EVENT_SOURCES.has(event.source)) {
+      throw new Error(`Invalid source "${event.source}" for aggregated event`);
+    }
+
+    const severity = eventSeverity(event);
+    const tsMs = eventTimestampMs(event);
+    const tsSeconds = tsMs ? Math.floor(tsMs / 1000) : null;
+
+    let grid = grids.get(gridId);
+    if (!grid) {
+      grid = {
+        gridId,
+        // Exact coordinates of the first event; grid_id is the cell it fell in.
+        latitude: Number(event.latitude),
+        longitude: Number(event.longitude),
+        potholes: 0,
+        patchy: 0,
+        events: 0,
+        severity,
+        firstTs: null,
+        lastTs: null,
+        indexes: [],
+      };
+      grids.set(gridId, grid);
+    }
+
+    grid.potholes += event.type === "pothole" ? 1 : 0;
+    grid.patchy += event.type === "patchy" ? 1 : 0;
+    grid.events += 1;
+    grid.severity = higherSeverity(grid.severity, severity);
+    if (tsSeconds) {
+      grid.firstTs = grid.firstTs === null ? tsSeconds : Math.min(grid.firstTs, tsSeconds);
+      grid.lastTs = grid.lastTs === null ? tsSeconds : Math.max(grid.lastTs, tsSeconds);
+    }
+    grid.indexes.push(index);
+  });
+
+  return [...grids.values()];
+}
+
+// Rows for aggregated_location_events, one per input event.
+async function insertLocationEvents(connection, events, results) {
+  for (let i = 0; i < events.length; i += UPSERT_CHUNK) {
+    const chunk = events.slice(i, i + UPSERT_CHUNK);
+
+    const placeholders = chunk
+      .map(() => "(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(FROM_UNIXTIME(?), NOW(3)))")
+      .join(",\n       ");
+    const params = [];
+    chunk.forEach((event, n) => {
+      const result = results[i + n];
+      const tsMs = eventTimestampMs(event);
+      params.push(
+        result.aggregatedLocationId,
+        result.repairCycle,
+        result.gridId,
+        event.type,
+        event.source,
+        event.sourceKey !== undefined && event.sourceKey !== null ? String(event.sourceKey) : null,
+        event.sourceRowId ?? null,
+        event.deviceKey || null,
+        event.tripKey || null,
+        event.roadFeatureId ?? null,
+        event.detectionProfileVersion ?? null,
+        eventSeverity(event),
+        Number(event.latitude),
+        Number(event.longitude),
+        tsMs ? tsMs / 1000 : null
+      );
+    });
+
+    await connection.query(
+      `INSERT INTO aggregated_location_events
+       (aggregated_location_id, repair_cycle, grid_id, event_type, source, source_key, source_row_id, device_key, trip_key, road_feature_id, detection_profile_version, severity, latitude, longitude, event_at)
+       VALUES
+       ${placeholders}`,
+      params
+    );
+  }
+}
+
+// Log suppressed events (carrying roadFeatureId) without counting them
+async function insertSuppressedEvents(connection, events) {
+  if (events.length === 0) return;
+
+  const anchors = await loadGridAnchors(connection, events);
+  const gridIds = assignGridIds(events, anchors);
+  const anchorGrids = new Set(anchors.map((a) => a.grid_id));
+  const located = [...new Set(gridIds.filter((gridId) => anchorGrids.has(gridId)))];
+
+  let byGrid = new Map();
+  if (located.length) {
+    const [rows] = await connection.query(
+      "SELECT id, grid_id, repair_cycle FROM aggregated_locations WHERE grid_id IN (?)",
+      [located]
+    );
+    byGrid = new Map(rows.map((r) => [r.grid_id, r]));
+  }
+
+  const results = gridIds.map((gridId) => {
+    const row = byGrid.get(gridId);
+    return { gridId, aggregatedLocationId: row ? row.id : null, repairCycle: row ? row.repair_cycle : 1 };
+  });
+  await insertLocationEvents(connection, events, results);
+}
+
+/**
+ * Upsert a batch of events inside the caller's transaction.
+ * Returns one result per input event (same order):
+ * { gridId, created, reopened, aggregatedLocationId, repairCycle, highestSeverity, suppressed, roadFeatureId }.
+ * Suppressed events (masked by a road feature) have null location fields; they are logged
+ * but never counted.
+ */
+async function upsertAggregatedEvents(connection, allEvents) {
+  if (!allEvents || allEvents.length === 0) return [];
+
+  const masks = matchFeatures(allEvents, await loadFeaturesNear(connection, allEvents));
+  const allResults = new Array(allEvents.length);
+  const events = [];
+  const eventIndexes = [];
+  const suppressed = new Map();
+  const suppressedEvents = [];
+
+  allEvents.forEach((event, index) => {
+    const feature = masks[index];
+    if (feature && feature.mask_action === "suppress") {
+      suppressed.set(feature.id, (suppressed.get(feature.id) || 0) + 1);
+      suppressedEvents.push({ ...event, roadFeatureId: feature.id });
+      allResults[index] = {
+        gridId: null,
+        created: false,
+        reopened: false,
+        aggregatedLocationId: null,
+        repairCycle: null,
+        highestSeverity: null,
+        suppressed: true,
+        roadFeatureId: feature.id,
+      };
+      return;
+    }
+    events.push(feature ? { ...event, roadFeatureId: feature.id } : event);
+    eventIndexes.push(index);
+  });
+
+  await recordSuppressedEvents(connection, suppressed);
+  if (events.length === 0) {
+    await insertSuppressedEvents(connection, suppressedEvents);
+    return allResults;
+  }
+
+  const grids = foldEventsByGrid(events, assignGridIds(events, await loadGridAnchors(connection, events)));
+  const results = new Array(events.length);
+
+  for (let i = 0; i < grids.length; i += UPSERT_CHUNK) {
+    const chunk = grids.slice(i, i + UPSERT_CHUNK);
+    const chunkGridIds = chunk.map((g) => g.gridId);
+
+    // Lock only rows that exist, so repaired locations can be reopened before this batch
+    // is counted into them. A locking read on a missing grid_id would take a gap lock,
+    // and two transactions holding gap locks deadlock on each other's inserts.
+    const [known] = await connection.query("SELECT grid_id FROM aggregated_locations WHERE grid_id IN (?)", [
+      chunkGridIds,
+    ]);
+    const existingGrids = new Set(known.map((r) => r.grid_id));
+    let existingRows = [];
+    if (existingGrids.size) {
+      [existingRows] = await connection.query(
+        "SELECT id, grid_id, status, verified_at, highest_severity FROM aggregated_locations WHERE grid_id IN (?) FOR UPDATE",
+        [[...existingGrids]]
+      );
+    }
+    const reopened = await reopenRepairedLocations(connection, existingRows);
+
+    const placeholders = chunk
+      .map(() => "(?, ?, ?, ?, ?, ?, ?, COALESCE(FROM_UNIXTIME(?), NOW()), COALESCE(FROM_UNIXTIME(?), NOW()))")
+      .join(",\n       ");
+    const params = [];
+    for (const g of chunk) {
+      params.push(g.gridId, g.latitude, g.longitude, g.potholes, g.patchy, g.severity, g.events, g.firstTs, g.lastTs);
+    }
+
+    await connection.query(
+      `INSERT INTO aggregated_locations
+       (grid_id, latitude, longitude, total_potholes, total_patchy, highest_severity, report_count, first_reported_at, last_reported_at)
+       VALUES
+       ${placeholders}
+       ON DUPLICATE KEY UPDATE
+         total_potholes = total_potholes + VALUES(total_potholes),
+         total_patchy = total_patchy + VALUES(total_patchy),
+         report_count = report_count + VALUES(report_count),
+         highest_severity = IF(
+           FIELD(VALUES(highest_severity), 'Low', 'Medium', 'High') > FIELD(highest_severity, 'Low', 'Medium', 'High'),
+           VALUES(highest_severity),
+           highest_severity
+         ),
+         first_reported_at = LEAST(COALESCE(first_reported_at, VALUES(first_reported_at)), VALUES(first_reported_at)),
+         last_reported_at = GREATEST(COALESCE(last_reported_at, VALUES(last_reported_at)), VALUES(last_reported_at))`,
+      params
+    );
+
+    // Rows are locked by the upsert until commit, so this read sees exactly our write.
+    const [rows] = await connection.query(
+      "SELECT id, grid_id, highest_severity, repair_cycle, report_count FROM aggregated_locations WHERE grid_id IN (?)",
+      [chunkGridIds]
+    );
+    const byGrid = new Map(rows.map((r) => [r.grid_id, r]));
+
+    for (const g of chunk) {
+      const row = byGrid.get(g.gridId);
+      // A grid missing above may have been inserted by a concurrent transaction since;
+      // then the upsert added to its count instead of creating it.
+      const created = !existingGrids.has(g.gridId) && Number(row.report_count) === g.events;
+      g.indexes.forEach((eventIndex, n) => {
+        results[eventIndex] = {
+          gridId: g.gridId,
+          created: created && n === 0,
+          reopened: reopened.has(row.id) && n === 0,
+          aggregatedLocationId: row.id,
+          repairCycle: row.repair_cycle,
+          highestSeverity: row.highest_severity,
+          suppressed: false,
+          roadFeatureId: events[eventIndex].roadFeatureId ?? null,
+        };
+      });
+    }
+  }
+
+  await insertLocationEvents(connection, events, results);
+  // After the upsert, so a suppressed event can join a location this batch created
+  await insertSuppressedEvents(connection, suppressedEvents);
+  await refreshLocationConfidence(connection, results.map((r) => r.aggregatedLocationId));
+
+  results.forEach((result, n) => {
+    allResults[eventIndexes[n]] = result;
+  });
+  return allResults;
+}
+
+/**
+ * Ingest many events in one transaction (all or nothing).
+ */
+async function ingestAggregatedEvents(events) {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+    const results = await upsertAggregatedEvents(connection, events);
+    await connection.commit();
+    return results;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  GRID_PRECISION,
+  toGridId,
+  assignGridIds,
+  foldEventsByGrid,
+  upsertAggregatedEvents,
+  ingestAggregatedEvents,
+};
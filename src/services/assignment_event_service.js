@@ -0,0 +1,119 @@
+const db = require("../config/db");
+
+// Assignment audit trail.
+//
+// Every change to a work assignment appends one row to assignment_events: who made
+// it (user id and role), when, and the affected columns before and after. Rows are
+// never updated or deleted, so the trail survives the free-text notes / remarks /
+// admin_notes columns being overwritten, and declined (deleted) assignments.
+//
+//   created     assignment created (assign, rework)
+//   transition  status change (start, submit, verify)
+//   reassigned  moved to another contractor or re-dated
+//   rejected    verification rejected, back to in_progress
+//   declined    contractor declined the job (assignment deleted)
+//   photo       pre/post work photo uploaded
+//   note        notes edited without a status change
+//   escalated   SLA escalation level raised (see sla_escalation_service)
+//
+// Status changes are recorded by assignment_lifecycle_service inside the transition's
+// transaction; photos and notes by the controllers that write them.
+
+const EVENT_TYPES = ["created", "transition", "reassigned", "rejected", "declined", "photo", "note", "escalated"];
+const DEFAULT_RECENT_EVENTS = 5;
+
+function parseJson(value) {
+  if (!value) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function toEvent(row) {
+  return {
+    ...row,
+    before_values: parseJson(row.before_values),
+    after_values: parseJson(row.after_values),
+  };
+}
+
+/**
+ * Append one event. `connection` is a transaction connection or db.promise().
+ * event: { assignmentId, locationId, eventType, action, fromStatus, toStatus, before, after, note, actor }
+ */
+async function recordAssignmentEvent(connection, event) {
+  if (!EVENT_TYPES.includes(event.eventType)) {
+    throw new Error(`Unknown assignment event type "${event.eventType}"`);
+  }
+
+  const [result] = await connection.query(
+    `INSERT INTO assignment_events
+     (assignment_id, aggregated_location_id, event_type, action, from_status, to_status,
+      before_values, after_values, note, actor_user_id, actor_role)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      event.assignmentId,
+      event.locationId ?? null,
+      event.eventType,
+      event.action ?? null,
+      event.fromStatus ?? null,
+      event.toStatus ?? null,
+      event.before ? JSON.stringify(event.before) : null,
+      event.after ? JSON.stringify(event.after) : null,
+      event.note ?? null,
+      event.actor?.userId ?? null,
+      event.actor?.role || "system",
+    ]
+  );
+  return result.insertId;
+}
+
+/**
+ * Full history of one assignment, oldest first, with the actor's email.
+ */
+async function getAssignmentHistory(assignmentId) {
+  const [rows] = await db.promise().query(
+    `SELECT ae.*, u.email AS actor_email
+     FROM assignment_events ae
+     LEFT JOIN users u ON ae.actor_user_id = u.id
+     WHERE ae.assignment_id = ?
+     ORDER BY ae.id ASC`,
+    [assignmentId]
+  );
+  return rows.map(toEvent);
+}
+
+/**
+ * The latest `limit` events of each assignment, newest first.
+ * Returns a Map of assignment id -> events.
+ */
+async function getRecentAssignmentEvents(assignmentIds, limit = DEFAULT_RECENT_EVENTS) {
+  const byAssignment = new Map();
+  if (!assignmentIds.length) return byAssignment;
+
+  const [rows] = await db.promise().query(
+    `SELECT id, assignment_id, event_type, action, from_status, to_status, note, actor_role, created_at
+     FROM assignment_events
+     WHERE assignment_id IN (?)
+     ORDER BY id DESC`,
+    [assignmentIds]
+  );
+
+  for (const row of rows) {
+    const events = byAssignment.get(row.assignment_id) || [];
+    if (events.length >= limit) continue;
+    events.push(row);
+    byAssignment.set(row.assignment_id, events);
+  }
+  return byAssignment;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordAssignmentEvent,
+  getAssignmentHistory,
+  getRecentAssignmentEvents,
+};
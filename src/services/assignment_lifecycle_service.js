@@ -0,0 +1,391 @@
+const db = require("../config/db");
+const { INACTIVE_LOCATION_STATUSES } = require("../utils/locationStatus");
+const { slaDeadlineSql } = require("../utils/slaDueDate");
+const { recordAssignmentEvent } = require("./assignment_event_service");
+
+// Work assignment lifecycle: the one state machine behind the admin, dashboard
+// (public /api/reports) and contractor routes.
+//
+//   action    assignment status                    location status        who
+//   assign    (none)              -> assigned      pending -> assigned    admin, dashboard, system
+//   reassign  assigned|in_progress -> assigned     -> assigned            admin, dashboard
+//   start     assigned            -> in_progress   -> in_progress         contractor, admin, dashboard
+//   submit    assigned|in_progress -> pending_verification                contractor, admin, dashboard
+//   verify    pending_verification -> verified     -> verified            admin, dashboard
+//   reject    pending_verification -> in_progress  -> in_progress         admin, dashboard
+//   decline   assigned|in_progress -> (deleted)    -> pending             contractor
+//
+// Contractors only act on their own assignments. 'completed' is a legacy assignment
+// status and is treated like pending_verification (and accepted as an alias of it when
+// requested). Locations follow their open assignment; the other location changes
+// (reopen after repair, closed as a road feature, false_positive) belong to
+// repair_cycle_service, road_feature_service and location_review_service.
+//
+// Every change is appended to assignment_events (see assignment_event_service) in the
+// same transaction, with the changed columns before and after.
+//
+// Errors carry a code: ILLEGAL_TRANSITION (409), TRANSITION_FORBIDDEN (403),
+// ASSIGNMENT_NOT_FOUND / LOCATION_NOT_FOUND (404), INVALID_TRANSITION (400).
+
+const ROLES = {
+  ADMIN: "admin",
+  DASHBOARD: "dashboard",
+  CONTRACTOR: "contractor",
+  SYSTEM: "system",
+};
+
+const OPEN_ASSIGNMENT_STATUSES = ["assigned", "in_progress", "pending_verification", "completed"];
+
+const ACTIONS = {
+  assign: { from: [null], to: "assigned", location: "assigned", roles: ["admin", "dashboard", "system"] },
+  reassign: { from: ["assigned", "in_progress"], to: "assigned", location: "assigned", roles: ["admin", "dashboard"] },
+  start: { from: ["assigned"], to: "in_progress", location: "in_progress", roles: ["contractor", "admin", "dashboard"] },
+  submit: {
+    from: ["assigned", "in_progress"],
+    to: "pending_verification",
+    location: "pending_verification",
+    roles: ["contractor", "admin", "dashboard"],
+  },
+  verify: { from: ["pending_verification", "completed"], to: "verified", location: "verified", roles: ["admin", "dashboard"] },
+  reject: { from: ["pending_verification", "completed"], to: "in_progress", location: "in_progress", roles: ["admin", "dashboard"] },
+  decline: { from: ["assigned", "in_progress"], to: null, location: "pending", roles: ["contractor"] },
+};
+
+// Allowed aggregated_locations.status changes, whoever makes them
+const LOCATION_TRANSITIONS = {
+  pending: ["assigned", "closed", "false_positive"],
+  assigned: ["assigned", "in_progress", "pending_verification", "pending"],
+  in_progress: ["assigned", "pending_verification", "pending"],
+  pending_verification: ["verified", "in_progress"],
+  verified: ["pending", "closed", "false_positive"],
+  fixed: ["pending", "closed", "false_positive"],
+  closed: [],
+  false_positive: [],
+};
+
+// Location statuses that only mirror an open assignment; drift between them is
+// corrected by the next transition instead of blocking it.
+const MIRROR_STATUSES = new Set(["pending", "assigned", "in_progress", "pending_verification"]);
+
+const ERROR_STATUS = {
+  ILLEGAL_TRANSITION: 409,
+  TRANSITION_FORBIDDEN: 403,
+  ASSIGNMENT_NOT_FOUND: 404,
+  LOCATION_NOT_FOUND: 404,
+  INVALID_TRANSITION: 400,
+};
+
+// Columns whose before/after values go into the audit trail
+const AUDITED_COLUMNS = ["status", "contractor_id", "assigned_at", "due_date", "completed_at", "notes", "remarks", "admin_notes"];
+
+const EVENT_TYPE_BY_ACTION = { reassign: "reassigned", reject: "rejected", decline: "declined" };
+
+function lifecycleError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+// HTTP status for a lifecycle error, or null for anything else
+function lifecycleErrorStatus(error) {
+  return ERROR_STATUS[error?.code] || null;
+}
+
+function canMoveLocation(from, to) {
+  if ((LOCATION_TRANSITIONS[from] || []).includes(to)) return true;
+  return MIRROR_STATUSES.has(from) && MIRROR_STATUSES.has(to);
+}
+
+/**
+ * The action that moves an assignment from `currentStatus` to `requestedStatus`
+ * (for routes that take a target status). 'completed' means pending_verification.
+ */
+function actionForStatus(currentStatus, requestedStatus) {
+  const target = requestedStatus === "completed" ? "pending_verification" : requestedStatus;
+  const match = Object.entries(ACTIONS).find(
+    ([name, def]) => name !== "reassign" && def.to === target && def.from.includes(currentStatus)
+  );
+  if (match) return match[0];
+
+  if (!Object.values(ACTIONS).some((def) => def.to === target)) {
+    throw lifecycleError("INVALID_TRANSITION", `Invalid status "${requestedStatus}"`);
+  }
+  throw lifecycleError(
+    "ILLEGAL_TRANSITION",
+    `Assignment cannot move from ${currentStatus} to ${target}`,
+    { from: currentStatus, to: target }
+  );
+}
+
+function checkActor(action, actor, assignment = null) {
+  const def = ACTIONS[action];
+  if (!def.roles.includes(actor?.role)) {
+    throw lifecycleError("TRANSITION_FORBIDDEN", `${actor?.role || "anonymous"} may not ${action} an assignment`, { action });
+  }
+  if (actor.role === ROLES.CONTRACTOR && assignment && String(assignment.contractor_id) !== String(actor.contractorId)) {
+    // Other contractors' jobs are not visible to them at all
+    throw lifecycleError("ASSIGNMENT_NOT_FOUND", "Job not found");
+  }
+}
+
+async function loadAuditedColumns(connection, assignmentId) {
+  const [rows] = await connection.query(
+    `SELECT ${AUDITED_COLUMNS.join(", ")} FROM work_assignments WHERE id = ?`,
+    [assignmentId]
+  );
+  return rows[0] || null;
+}
+
+// Only the audited columns that differ between the two rows
+function changedColumns(before, after) {
+  const diff = { before: {}, after: {} };
+  for (const column of AUDITED_COLUMNS) {
+    const from = before ? before[column] ?? null : null;
+    const to = after ? after[column] ?? null : null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    diff.before[column] = from;
+    diff.after[column] = to;
+  }
+  return diff;
+}
+
+async function lockLocation(connection, locationId) {
+  const [rows] = await connection.query(
+    "SELECT id, status, highest_severity FROM aggregated_locations WHERE id = ? FOR UPDATE",
+    [locationId]
+  );
+  if (!rows.length) throw lifecycleError("LOCATION_NOT_FOUND", "Location not found");
+  return rows[0];
+}
+
+function checkLocation(action, location) {
+  const target = ACTIONS[action].location;
+  if (INACTIVE_LOCATION_STATUSES.includes(location.status) || !canMoveLocation(location.status, target)) {
+    throw lifecycleError(
+      "ILLEGAL_TRANSITION",
+      `Location is ${location.status} and cannot move to ${target}`,
+      { locationId: location.id, locationStatus: location.status }
+    );
+  }
+}
+
+async function findOpenAssignment(connection, locationId) {
+  const [rows] = await connection.query(
+    `SELECT * FROM work_assignments
+     WHERE aggregated_location_id = ? AND status IN (?)
+     ORDER BY id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [locationId, OPEN_ASSIGNMENT_STATUSES]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Assign a location to a contractor (action 'assign'). Refused while the location has
+ * an open assignment. `reworkOf` marks a non-payable rework of that assignment.
+ * Runs inside the caller's transaction. Returns { assignmentId, locationId, from, to }.
+ */
+async function createAssignment(
+  connection,
+  { locationId, contractorId, actor, assignedAt = null, dueDate = null, notes = null, reworkOf = null }
+) {
+  checkActor("assign", actor);
+  const location = await lockLocation(connection, locationId);
+
+  const open = await findOpenAssignment(connection, location.id);
+  if (open) {
+    throw lifecycleError(
+      "ILLEGAL_TRANSITION",
+      `Location already has an open assignment (#${open.id}, ${open.status})`,
+      { locationId: location.id, assignmentId: open.id, assignmentStatus: open.status }
+    );
+  }
+  checkLocation("assign", location);
+
+  const [result] = await connection.query(
+    `INSERT INTO work_assignments
+     (aggregated_location_id, contractor_id, assigned_by, assigned_at, due_date, notes, is_rework, rework_of_assignment_id, sla_payable)
+     VALUES (?, ?, ?, COALESCE(?, NOW()), ?, ?, ?, ?, ?)`,
+    [
+      location.id,
+      contractorId,
+      actor.userId ?? null,
+      assignedAt,
+      dueDate,
+      notes,
+      Boolean(reworkOf),
+      reworkOf,
+      !reworkOf,
+    ]
+  );
+
+  await connection.query("UPDATE aggregated_locations SET status = 'assigned' WHERE id = ?", [location.id]);
+
+  const created = await loadAuditedColumns(connection, result.insertId);
+  await recordAssignmentEvent(connection, {
+    assignmentId: result.insertId,
+    locationId: location.id,
+    eventType: "created",
+    action: "assign",
+    toStatus: "assigned",
+    after: created,
+    note: notes,
+    actor,
+  });
+
+  return { assignmentId: result.insertId, locationId: location.id, from: null, to: "assigned" };
+}
+
+/**
+ * Apply `action` to one assignment inside the caller's transaction.
+ * options: { contractorId, assignedAt, dueDate (reassign), notes, appendNotes, remarks, adminNotes,
+ *            reason (recorded in the audit trail only) }
+ * Returns { assignmentId, locationId, action, from, to, locationFrom, locationTo }.
+ */
+async function transitionAssignment(connection, { assignmentId, action, actor, ...options }) {
+  const def = ACTIONS[action];
+  if (!def || action === "assign") {
+    throw lifecycleError("INVALID_TRANSITION", `Unknown assignment action "${action}"`);
+  }
+
+  const [rows] = await connection.query("SELECT * FROM work_assignments WHERE id = ? FOR UPDATE", [assignmentId]);
+  if (!rows.length) {
+    throw lifecycleError("ASSIGNMENT_NOT_FOUND", actor?.role === ROLES.CONTRACTOR ? "Job not found" : "Assignment not found");
+  }
+  const assignment = rows[0];
+  checkActor(action, actor, assignment);
+
+  if (!def.from.includes(assignment.status)) {
+    throw lifecycleError(
+      "ILLEGAL_TRANSITION",
+      `Cannot ${action} an assignment that is ${assignment.status}`,
+      { assignmentId: assignment.id, from: assignment.status, action }
+    );
+  }
+
+  const location = await lockLocation(connection, assignment.aggregated_location_id);
+  checkLocation(action, location);
+
+  if (action === "decline") {
+    await connection.query("DELETE FROM work_assignments WHERE id = ?", [assignment.id]);
+  } else {
+    const sets = ["status = ?"];
+    const params = [def.to];
+
+    if (action === "reassign") {
+      // A reassignment restarts the SLA clock
+      sets.push(
+        "contractor_id = ?",
+        "assigned_at = ?",
+        "due_date = ?",
+        "completed_at = NULL",
+        "sla_escalation_level = 'none'",
+        "sla_escalated_at = NULL",
+        "sla_breach_minutes = NULL"
+      );
+      params.push(options.contractorId, options.assignedAt || new Date(), options.dueDate ?? null);
+    }
+    if (action === "submit") {
+      // Freeze how late the work was handed in (sla_escalation_service updates it while open)
+      sets.push(
+        "completed_at = NOW()",
+        "remarks = NULL",
+        `sla_breach_minutes = IF(due_date IS NULL OR NOW() <= ${slaDeadlineSql()}, NULL, TIMESTAMPDIFF(MINUTE, ${slaDeadlineSql()}, NOW()))`
+      );
+    }
+    if (action === "verify") {
+      sets.push("completed_at = COALESCE(completed_at, NOW())", "admin_notes = ?");
+      params.push(options.adminNotes ?? null);
+    }
+    if (action === "reject") {
+      sets.push("completed_at = NULL", "remarks = ?");
+      params.push(options.remarks ?? null);
+    }
+    if (options.appendNotes) {
+      sets.push("notes = CONCAT(COALESCE(notes, ''), '\n', ?)");
+      params.push(options.appendNotes);
+    } else if (options.notes !== undefined) {
+      sets.push("notes = ?");
+      params.push(options.notes);
+    }
+
+    await connection.query(`UPDATE work_assignments SET ${sets.join(", ")} WHERE id = ?`, [...params, assignment.id]);
+  }
+
+  await connection.query(
+    `UPDATE aggregated_locations SET status = ?${action === "verify" ? ", verified_at = NOW()" : ""} WHERE id = ?`,
+    [def.location, location.id]
+  );
+
+  const after = action === "decline" ? null : await loadAuditedColumns(connection, assignment.id);
+  const diff = changedColumns(assignment, after);
+  await recordAssignmentEvent(connection, {
+    assignmentId: assignment.id,
+    locationId: location.id,
+    eventType: EVENT_TYPE_BY_ACTION[action] || "transition",
+    action,
+    fromStatus: assignment.status,
+    toStatus: def.to,
+    before: diff.before,
+    after: after ? diff.after : null,
+    note: options.reason ?? options.remarks ?? options.adminNotes ?? options.appendNotes ?? options.notes ?? null,
+    actor,
+  });
+
+  return {
+    assignmentId: assignment.id,
+    locationId: location.id,
+    action,
+    from: assignment.status,
+    to: def.to,
+    locationFrom: location.status,
+    locationTo: def.location,
+  };
+}
+
+/**
+ * Apply `action` to the open assignment of a location (verify / reject by location id).
+ */
+async function transitionLocationAssignment(connection, { locationId, action, actor, ...options }) {
+  const open = await findOpenAssignment(connection, locationId);
+  if (!open) {
+    const location = await lockLocation(connection, locationId);
+    throw lifecycleError(
+      "ILLEGAL_TRANSITION",
+      `Location has no open assignment (status ${location.status})`,
+      { locationId: location.id, locationStatus: location.status }
+    );
+  }
+  return transitionAssignment(connection, { assignmentId: open.id, action, actor, ...options });
+}
+
+async function withTransaction(work) {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  ROLES,
+  ACTIONS,
+  LOCATION_TRANSITIONS,
+  OPEN_ASSIGNMENT_STATUSES,
+  lifecycleErrorStatus,
+  actionForStatus,
+  findOpenAssignment,
+  createAssignment,
+  transitionAssignment,
+  transitionLocationAssignment,
+  withTransaction,
+};
@@ -0,0 +1,349 @@
+const db = require("../config/db");
+const geohash = require("../utils/geohash");
+const { slaDeadlineSql } = require("../utils/slaDueDate");
+const { ROLES, createAssignment, lifecycleErrorStatus, withTransaction } = require("./assignment_lifecycle_service");
+const { computeSlaDueDate } = require("./sla_policy_service");
+
+// Automatic contractor assignment.
+//
+// For each pending location (not rejected in review, optionally above a confidence
+// floor) every active contractor is scored; the best one gets the job.
+//   coverage  1 at the centre of the contractor's service area, 0 at its edge.
+//             Contractors whose area does not reach the location are skipped;
+//             contractors without a service area cover everywhere with score 0.
+//   workload  1 with no open jobs (assigned / in_progress), 0 at AUTO_ASSIGN_MAX_OPEN;
+//             contractors at the cap are skipped.
+//   on-time   share of payable jobs handed in by their due date over the last
+//             AUTO_ASSIGN_HISTORY_DAYS, smoothed so new contractors start at 0.5.
+// Severity sets the weights (High leans on reliability, Low on spreading the load)
+// and the order: High locations are planned first, oldest first within a severity.
+// Jobs planned earlier in the same run count towards a contractor's workload.
+//
+// Previews only plan. Applying creates the assignments through the lifecycle
+// service, with the due date from the SLA policies, and only picks locations that some
+// active contractor with capacity left covers, so uncovered ones never fill the batch.
+// The scheduled job applies the plan for High severity locations only.
+//
+// Env:
+// AUTO_ASSIGN_MAX_OPEN          open jobs per contractor before it is skipped (default 20)
+// AUTO_ASSIGN_HISTORY_DAYS      on-time history window (default 180)
+// AUTO_ASSIGN_BATCH             locations per run (default 50)
+// AUTO_ASSIGN_MIN_CONFIDENCE    confidence floor of the scheduled job (default 0.5)
+// AUTO_ASSIGN_INTERVAL_MS       how often the scheduled job runs (default 600000 = 10 min)
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const MAX_OPEN = Math.max(1, envNumber("AUTO_ASSIGN_MAX_OPEN", 20));
+const HISTORY_DAYS = Math.max(1, envNumber("AUTO_ASSIGN_HISTORY_DAYS", 180));
+const DEFAULT_BATCH = Math.max(1, envNumber("AUTO_ASSIGN_BATCH", 50));
+const SCHEDULED_MIN_CONFIDENCE = Math.min(1, Math.max(0, envNumber("AUTO_ASSIGN_MIN_CONFIDENCE", 0.5)));
+const JOB_INTERVAL_MS = Math.max(60000, envNumber("AUTO_ASSIGN_INTERVAL_MS", 10 * 60 * 1000));
+const MAX_BATCH = 500;
+
+const SEVERITIES = ["High", "Medium", "Low"];
+const WEIGHTS = {
+  High: { coverage: 0.3, workload: 0.2, onTime: 0.5 },
+  Medium: { coverage: 0.4, workload: 0.3, onTime: 0.3 },
+  Low: { coverage: 0.4, workload: 0.4, onTime: 0.2 },
+};
+const ALTERNATIVES = 3;
+
+let runInProgress = false;
+let jobTimer = null;
+// Unassignable location ids of the job's last run, so a backlog nobody covers is logged once
+let lastUnassignable = "";
+
+function autoAssignError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function round(value, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Km between a location (al) and a contractor's service area centre (c)
+const AREA_DISTANCE_KM_SQL = `6371 * 2 * ASIN(SQRT(
+  POW(SIN(RADIANS(al.latitude - c.service_area_lat) / 2), 2) +
+  COS(RADIANS(c.service_area_lat)) * COS(RADIANS(al.latitude)) *
+  POW(SIN(RADIANS(al.longitude - c.service_area_lng) / 2), 2)))`;
+
+// `coverableOnly` keeps only locations some active contractor with capacity left can
+// take, before the LIMIT: otherwise a batch of uncovered old locations would be picked
+// by every run and newer ones never reached.
+async function loadCandidateLocations({ locationIds = null, severities = SEVERITIES, minConfidence = null, coverableOnly = false, limit }) {
+  let where = "al.status = 'pending' AND (al.review_status IS NULL OR al.review_status <> 'rejected') AND al.highest_severity IN (?)";
+  const params = [severities];
+  if (locationIds) {
+    where += " AND al.id IN (?)";
+    params.push(locationIds);
+  }
+  if (minConfidence !== null) {
+    where += " AND al.confidence_score >= ?";
+    params.push(minConfidence);
+  }
+  if (coverableOnly) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM contractors c
+      WHERE c.is_active = TRUE
+        AND (SELECT COUNT(*) FROM work_assignments wa
+             WHERE wa.contractor_id = c.id AND wa.status IN ('assigned', 'in_progress')) < ?
+        AND (c.service_area_lat IS NULL OR c.service_area_lng IS NULL OR NOT (c.service_radius_km > 0)
+             OR ${AREA_DISTANCE_KM_SQL} <= c.service_radius_km))`;
+    params.push(MAX_OPEN);
+  }
+
+  const [rows] = await db.promise().query(
+    `SELECT al.id, al.grid_id, al.latitude, al.longitude, al.road_name, al.ward,
+            al.highest_severity, al.confidence_score, al.first_reported_at
+     FROM aggregated_locations al
+     WHERE ${where}
+     ORDER BY FIELD(al.highest_severity, 'High', 'Medium', 'Low'), al.first_reported_at IS NULL, al.first_reported_at, al.id
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return rows;
+}
+
+async function loadContractors() {
+  const deadline = slaDeadlineSql("wa.due_date");
+  const [rows] = await db.promise().query(
+    `SELECT c.id, c.company_name, c.service_area_lat, c.service_area_lng, c.service_radius_km,
+            (SELECT COUNT(*) FROM work_assignments wa
+             WHERE wa.contractor_id = c.id AND wa.status IN ('assigned', 'in_progress')) AS open_jobs,
+            (SELECT COUNT(*) FROM work_assignments wa
+             WHERE wa.contractor_id = c.id AND wa.sla_payable = TRUE AND wa.due_date IS NOT NULL
+               AND wa.completed_at IS NOT NULL AND wa.status IN ('pending_verification', 'completed', 'verified')
+               AND wa.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)) AS handed_in,
+            (SELECT COUNT(*) FROM work_assignments wa
+             WHERE wa.contractor_id = c.id AND wa.sla_payable = TRUE AND wa.due_date IS NOT NULL
+               AND wa.completed_at IS NOT NULL AND wa.status IN ('pending_verification', 'completed', 'verified')
+               AND wa.completed_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+               AND wa.completed_at <= ${deadline}) AS on_time
+     FROM contractors c
+     WHERE c.is_active = TRUE`,
+    [HISTORY_DAYS, HISTORY_DAYS]
+  );
+
+  return rows.map((row) => {
+    const handedIn = Number(row.handed_in);
+    const onTime = Number(row.on_time);
+    const hasArea =
+      row.service_area_lat !== null && row.service_area_lng !== null && Number(row.service_radius_km) > 0;
+    return {
+      id: row.id,
+      name: row.company_name,
+      area: hasArea
+        ? { lat: Number(row.service_area_lat), lng: Number(row.service_area_lng), radiusKm: Number(row.service_radius_km) }
+        : null,
+      openJobs: Number(row.open_jobs),
+      handedIn,
+      // Laplace smoothing: no history reads as 0.5, a few jobs move it only a little
+      onTimeRate: (onTime + 1) / (handedIn + 2),
+    };
+  });
+}
+
+/**
+ * Score `contractor` for `location`. Returns null when the contractor cannot take it.
+ */
+function scoreContractor(contractor, location, openJobs) {
+  if (openJobs >= MAX_OPEN) return null;
+
+  let coverage = 0;
+  let distanceKm = null;
+  if (contractor.area) {
+    distanceKm =
+      geohash.distanceMeters(contractor.area.lat, contractor.area.lng, location.latitude, location.longitude) / 1000;
+    if (distanceKm > contractor.area.radiusKm) return null;
+    coverage = 1 - distanceKm / contractor.area.radiusKm;
+  }
+
+  const workload = 1 - openJobs / MAX_OPEN;
+  const weights = WEIGHTS[location.highest_severity] || WEIGHTS.Low;
+  const score = weights.coverage * coverage + weights.workload * workload + weights.onTime * contractor.onTimeRate;
+
+  return {
+    contractorId: contractor.id,
+    contractorName: contractor.name,
+    score: round(score),
+    breakdown: {
+      coverage: round(coverage),
+      workload: round(workload),
+      onTime: round(contractor.onTimeRate),
+      weights,
+    },
+    distanceKm: distanceKm === null ? null : round(distanceKm, 2),
+    openJobs,
+    handedIn: contractor.handedIn,
+  };
+}
+
+/**
+ * Plan assignments without writing anything.
+ * options: { locationIds?, severities?, minConfidence?, coverableOnly?, limit? }
+ * Returns { plan: [{ location, choice, alternatives, reason? }], contractors, planned, unassignable }.
+ */
+async function planAutoAssignments({
+  locationIds = null,
+  severities = SEVERITIES,
+  minConfidence = null,
+  coverableOnly = false,
+  limit = DEFAULT_BATCH,
+} = {}) {
+  const batch = Math.min(MAX_BATCH, Math.max(1, Math.floor(Number(limit)) || DEFAULT_BATCH));
+  const [locations, contractors] = await Promise.all([
+    loadCandidateLocations({ locationIds, severities, minConfidence, coverableOnly, limit: batch }),
+    loadContractors(),
+  ]);
+
+  const workload = new Map(contractors.map((c) => [c.id, c.openJobs]));
+  const plan = [];
+
+  for (const location of locations) {
+    const scored = contractors
+      .map((c) => scoreContractor(c, location, workload.get(c.id)))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.openJobs - b.openJobs);
+
+    const entry = {
+      location: {
+        id: location.id,
+        gridId: location.grid_id,
+        latitude: Number(location.latitude),
+        longitude: Number(location.longitude),
+        roadName: location.road_name,
+        ward: location.ward,
+        severity: location.highest_severity,
+        confidence: location.confidence_score === null ? null : Number(location.confidence_score),
+      },
+      choice: scored[0] || null,
+      alternatives: scored.slice(1, 1 + ALTERNATIVES),
+    };
+    if (!entry.choice) {
+      entry.reason = contractors.length
+        ? "No active contractor covers this location with capacity left"
+        : "No active contractors";
+    } else {
+      workload.set(entry.choice.contractorId, workload.get(entry.choice.contractorId) + 1);
+    }
+    plan.push(entry);
+  }
+
+  return {
+    plan,
+    contractors: contractors.length,
+    planned: plan.filter((p) => p.choice).length,
+    unassignable: plan.filter((p) => !p.choice).length,
+  };
+}
+
+function assignmentNote(choice) {
+  const parts = [`Auto-assigned (score ${choice.score}`];
+  if (choice.distanceKm !== null) parts.push(`${choice.distanceKm} km from service area centre`);
+  parts.push(`${choice.openJobs} open jobs`, `on-time ${Math.round(choice.breakdown.onTime * 100)}%)`);
+  return parts.join(", ");
+}
+
+/**
+ * Plan and, unless dryRun, create the assignments.
+ * options: planAutoAssignments options plus { dryRun = true, actor }
+ * Returns the plan with per-entry { assignmentId, dueDate } or { error } when applied.
+ */
+async function runAutoAssignment({ dryRun = true, actor = { role: ROLES.SYSTEM, userId: null }, ...options } = {}) {
+  const startedAt = Date.now();
+  // Previews write nothing, so only applying runs are serialized
+  if (dryRun) {
+    return { dryRun: true, ...(await planAutoAssignments(options)), durationMs: Date.now() - startedAt };
+  }
+
+  if (runInProgress) {
+    throw autoAssignError("AUTO_ASSIGN_RUNNING", "An auto-assignment run is already in progress");
+  }
+
+  runInProgress = true;
+  try {
+    // Applying skips what nobody can take; previews still list it with the reason
+    const result = await planAutoAssignments({ ...options, coverableOnly: true });
+
+    let assigned = 0;
+    for (const entry of result.plan) {
+      if (!entry.choice) continue;
+      try {
+        const created = await withTransaction(async (connection) => {
+          const sla = await computeSlaDueDate(connection, { locationId: entry.location.id });
+          const assignment = await createAssignment(connection, {
+            locationId: entry.location.id,
+            contractorId: entry.choice.contractorId,
+            actor,
+            dueDate: sla.dueDate,
+            notes: assignmentNote(entry.choice),
+          });
+          return { assignmentId: assignment.assignmentId, dueDate: sla.dueDate };
+        });
+        Object.assign(entry, created);
+        assigned += 1;
+      } catch (error) {
+        // Someone else assigned or closed it since planning; the rest of the batch goes on
+        if (!lifecycleErrorStatus(error)) throw error;
+        entry.error = error.message;
+      }
+    }
+
+    return { dryRun: false, ...result, assigned, durationMs: Date.now() - startedAt };
+  } finally {
+    runInProgress = false;
+  }
+}
+
+function startAutoAssignmentJob({ intervalMs = JOB_INTERVAL_MS } = {}) {
+  if (jobTimer) return jobTimer;
+
+  const tick = () => {
+    runAutoAssignment({ dryRun: false, severities: ["High"], minConfidence: SCHEDULED_MIN_CONFIDENCE })
+      .then((r) => {
+        const unassignable = r.plan
+          .filter((p) => !p.choice)
+          .map((p) => p.location.id)
+          .sort((a, b) => a - b)
+          .join(",");
+        if (r.assigned > 0 || unassignable !== lastUnassignable) {
+          console.log(
+            `[AutoAssign] candidates=${r.plan.length} assigned=${r.assigned} unassignable=${r.unassignable}`
+          );
+        }
+        lastUnassignable = unassignable;
+      })
+      .catch((err) => {
+        if (err.code !== "AUTO_ASSIGN_RUNNING") console.error(`[AutoAssign] failed: ${err.message}`);
+      });
+  };
+
+  setImmediate(tick);
+  jobTimer = setInterval(tick, intervalMs);
+  jobTimer.unref();
+  console.log(`[AutoAssign] High severity every ${Math.round(intervalMs / 1000)}s (min confidence ${SCHEDULED_MIN_CONFIDENCE})`);
+  return jobTimer;
+}
+
+function stopAutoAssignmentJob() {
+  if (jobTimer) clearInterval(jobTimer);
+  jobTimer = null;
+}
+
+module.exports = {
+  SEVERITIES,
+  MAX_BATCH,
+  scoreContractor,
+  planAutoAssignments,
+  runAutoAssignment,
+  startAutoAssignmentJob,
+  stopAutoAssignmentJob,
+};
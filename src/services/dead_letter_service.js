@@ -0,0 +1,242 @@
+const db = require("../config/db");
+const { ingestAggregatedEvents } = require("./reading_ingestion_service");
+const { createDetectionEngine } = require("./detection_engine_service");
+const { getReadingsSource } = require("./readings_source_service");
+const { getActiveProfile } = require("./detection_profile_service");
+const { getCalibrationResolver } = require("./device_calibration_service");
+
+// Dead-letter queue for readings the flags/readings syncs could not ingest.
+//
+// Only data-quality denials and ingestion errors land here. The ordinary
+// "this reading is not an event" outcomes are expected for most readings and
+// would drown the queue, so they are not mirrored.
+const NOT_DEAD_LETTER_REASONS = new Set([
+  "Flags false (potholeFlag & patchyFlag)",
+  "No pothole/patchy conditions met",
+]);
+
+const severityOrder = { Low: 1, Medium: 2, High: 3 };
+
+function shouldDeadLetter(status, reason) {
+  if (status === "error") return true;
+  return status === "denied" && !NOT_DEAD_LETTER_REASONS.has(reason);
+}
+
+function stripMigration(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const { _migration, ...rest } = payload;
+  return rest;
+}
+
+/**
+ * Mirror one denied/errored reading into reading_dead_letters.
+ * Repeated failures of the same item update the existing row. Best-effort: never throws.
+ */
+async function recordDeadLetter({ syncName, sourceName, firebasePath, key, deviceKey = null, status, reason, payload }) {
+  if (!shouldDeadLetter(status, reason)) return;
+
+  try {
+    await db.promise().query(
+      `INSERT INTO reading_dead_letters
+       (sync_name, source_name, firebase_path, item_key, device_key, failure_status, reason, raw_payload)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         attempts = attempts + 1,
+         failure_status = VALUES(failure_status),
+         reason = VALUES(reason),
+         raw_payload = VALUES(raw_payload),
+         device_key = COALESCE(VALUES(device_key), device_key),
+         status = IF(status = 'reingested', status, 'open'),
+         last_seen_at = NOW()`,
+      [
+        syncName,
+        sourceName,
+        firebasePath,
+        key !== undefined ? String(key) : null,
+        deviceKey,
+        status,
+        reason || null,
+        JSON.stringify(stripMigration(payload) ?? null),
+      ]
+    );
+  } catch (error) {
+    console.error(`[DeadLetters] failed to record ${firebasePath}: ${error.message}`);
+  }
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Build the payload to re-ingest: raw reading with the admin's corrections on top.
+// Corrected coordinates imply a usable fix, so gpsFix is forced on.
+function applyCorrections(raw, corrections) {
+  const merged = { ...(raw || {}) };
+  const c = corrections || {};
+
+  if (c.latitude !== undefined && c.longitude !== undefined) {
+    delete merged.latitude;
+    delete merged.lat;
+    delete merged.longitude;
+    delete merged.lon;
+    merged.Latitude = Number(c.latitude);
+    merged.Longitude = Number(c.longitude);
+    merged.gpsFix = true;
+    delete merged.GpsFix;
+  }
+
+  if (c.potholeFlag !== undefined) {
+    merged.potholeFlag = Boolean(c.potholeFlag);
+    delete merged.pothole;
+  }
+
+  if (c.patchyFlag !== undefined) {
+    merged.patchyFlag = Boolean(c.patchyFlag);
+    delete merged.patchy;
+  }
+
+  return merged;
+}
+
+function validateCorrections(body) {
+  const corrections = {};
+  const { latitude, longitude, potholeFlag, patchyFlag, severity } = body || {};
+
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    return { ok: false, message: "latitude and longitude must be corrected together" };
+  }
+
+  if (latitude !== undefined) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat === 0 || lng === 0) {
+      return { ok: false, message: "Invalid latitude/longitude" };
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return { ok: false, message: "Latitude/Longitude out of range" };
+    }
+    corrections.latitude = lat;
+    corrections.longitude = lng;
+  }
+
+  if (potholeFlag !== undefined) corrections.potholeFlag = Boolean(potholeFlag);
+  if (patchyFlag !== undefined) corrections.patchyFlag = Boolean(patchyFlag);
+
+  if (severity !== undefined && severity !== null) {
+    if (!severityOrder[severity]) return { ok: false, message: "Invalid severity" };
+    corrections.severity = severity;
+  }
+
+  return { ok: true, corrections };
+}
+
+/**
+ * Re-ingest dead letters through ingestAggregatedEvents, using the stored corrections.
+ * Returns one outcome per id; items that still fail stay open with the new reason.
+ */
+async function reingestDeadLetters(ids, userId = null) {
+  const [rows] = await db.promise().query(
+    "SELECT * FROM reading_dead_letters WHERE id IN (?)",
+    [ids]
+  );
+
+  const profile = await getActiveProfile();
+  const engine = createDetectionEngine({ thresholds: profile.thresholds, calibration: await getCalibrationResolver() });
+  const source = getReadingsSource();
+  const outcomes = [];
+
+  for (const id of ids) {
+    const row = rows.find((r) => String(r.id) === String(id));
+    if (!row) {
+      outcomes.push({ id, status: "not_found" });
+      continue;
+    }
+    if (row.status === "reingested") {
+      outcomes.push({ id, status: "skipped", reason: "already_reingested" });
+      continue;
+    }
+
+    const corrections = parseJson(row.corrections) || {};
+    const payload = applyCorrections(parseJson(row.raw_payload), corrections);
+    const decision = engine.processFlaggedReading({
+      key: row.item_key,
+      reading: payload,
+      pathParts: row.device_key ? [row.device_key, "readings", row.item_key] : [row.item_key],
+    });
+
+    if (decision.status === "denied") {
+      await db.promise().query(
+        "UPDATE reading_dead_letters SET reason = ?, attempts = attempts + 1, last_seen_at = NOW() WHERE id = ?",
+        [decision.reason, row.id]
+      );
+      outcomes.push({ id: row.id, status: "denied", reason: decision.reason });
+      continue;
+    }
+
+    const events = decision.events.map((ev) => ({
+      ...ev,
+      ...(corrections.severity && ev.type === "pothole" ? { severity: corrections.severity } : {}),
+      source: row.sync_name === "readings" ? "firebase_reading" : "firebase_flag",
+      sourceKey: row.firebase_path,
+      detectionProfileVersion: profile.version,
+    }));
+
+    try {
+      const ingestResults = await ingestAggregatedEvents(events);
+      const lastResult = ingestResults[ingestResults.length - 1];
+
+      await db.promise().query(
+        `UPDATE reading_dead_letters
+         SET status = 'reingested', reingested_at = NOW(), reingested_by = ?, aggregated_location_id = ?
+         WHERE id = ?`,
+        [userId, lastResult?.aggregatedLocationId ?? null, row.id]
+      );
+
+      // Keep the source in step so the item is not picked up (and denied) again.
+      try {
+        await source.ref(row.firebase_path).update({
+          _migration: {
+            status: "migrated",
+            processed: true,
+            at: new Date().toISOString(),
+            type: events.map((e) => e.type).join(","),
+            severity: events.map((e) => e.severity).join(","),
+            reingestedFromDeadLetter: row.id,
+          },
+        });
+      } catch (e) {
+        console.error(`[DeadLetters] re-ingested ${row.id} but could not mark source: ${e.message}`);
+      }
+
+      outcomes.push({
+        id: row.id,
+        status: "reingested",
+        types: events.map((e) => e.type),
+        aggregatedLocationId: lastResult?.aggregatedLocationId ?? null,
+      });
+    } catch (error) {
+      await db.promise().query(
+        `UPDATE reading_dead_letters
+         SET failure_status = 'error', reason = ?, attempts = attempts + 1, last_seen_at = NOW()
+         WHERE id = ?`,
+        [error.message, row.id]
+      );
+      outcomes.push({ id: row.id, status: "error", error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+module.exports = {
+  shouldDeadLetter,
+  recordDeadLetter,
+  validateCorrections,
+  reingestDeadLetters,
+};
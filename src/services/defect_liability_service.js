@@ -0,0 +1,181 @@
+const db = require("../config/db");
+const { computeSlaDueDate } = require("./sla_policy_service");
+const { ROLES, createAssignment } = require("./assignment_lifecycle_service");
+
+// Defect liability periods (repair warranty windows).
+//
+// A contractor is responsible for a repair that fails within its liability period
+// after verification. Periods live in defect_liability_periods: one row per
+// contractor, plus an optional global row (contractor_id NULL). Without either, the
+// DEFECT_LIABILITY_DAYS env var applies (default 180; 0 disables rework).
+//
+// When a verified location reopens inside the window (see repair_cycle_service), a
+// rework assignment is created for the same contractor, linked to the failed
+// assignment and marked sla_payable = FALSE.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const DEFAULT_LIABILITY_DAYS = Math.max(0, envNumber("DEFECT_LIABILITY_DAYS", 180));
+
+async function getLiabilityDays(connection, contractorId) {
+  const [rows] = await connection.query(
+    `SELECT liability_days FROM defect_liability_periods
+     WHERE contractor_id = ? OR contractor_id IS NULL
+     ORDER BY contractor_id IS NULL
+     LIMIT 1`,
+    [contractorId]
+  );
+  return rows.length ? Number(rows[0].liability_days) : DEFAULT_LIABILITY_DAYS;
+}
+
+/**
+ * Create a rework assignment when `assignment` (the one that closed the previous
+ * cycle) was verified less than its contractor's liability period ago.
+ * Runs inside the caller's transaction. Returns the rework assignment id or null.
+ */
+async function createReworkIfUnderLiability(connection, { locationId, assignment, verifiedAt, severity }) {
+  if (!assignment || assignment.status !== "verified" || !verifiedAt) return null;
+
+  const days = await getLiabilityDays(connection, assignment.contractor_id);
+  if (days <= 0) return null;
+
+  const verifiedMs = new Date(verifiedAt).getTime();
+  if (!Number.isFinite(verifiedMs) || Date.now() - verifiedMs > days * 24 * 60 * 60 * 1000) return null;
+
+  const assignedAt = new Date();
+  const result = await createAssignment(connection, {
+    locationId,
+    contractorId: assignment.contractor_id,
+    actor: { role: ROLES.SYSTEM, userId: null },
+    assignedAt,
+    dueDate: (await computeSlaDueDate(connection, { locationId, assignedAt, severity })).dueDate,
+    notes: `Rework: repair from assignment #${assignment.id} failed within the ${days}-day defect liability period`,
+    reworkOf: assignment.id,
+  });
+
+  return result.assignmentId;
+}
+
+async function listLiabilityPeriods() {
+  const [rows] = await db.promise().query(
+    `SELECT dlp.*, c.company_name AS contractor_name
+     FROM defect_liability_periods dlp
+     LEFT JOIN contractors c ON dlp.contractor_id = c.id
+     ORDER BY dlp.contractor_id IS NOT NULL, c.company_name`
+  );
+  return { defaultDays: DEFAULT_LIABILITY_DAYS, periods: rows };
+}
+
+// Upsert the period of one contractor, or the global one when contractorId is null.
+async function setLiabilityPeriod({ contractorId = null, liabilityDays, notes = null, userId = null }) {
+  const [existing] = await db.promise().query(
+    "SELECT id FROM defect_liability_periods WHERE contractor_id <=> ?",
+    [contractorId]
+  );
+
+  if (existing.length) {
+    await db.promise().query(
+      "UPDATE defect_liability_periods SET liability_days = ?, notes = ?, updated_by = ? WHERE id = ?",
+      [liabilityDays, notes, userId, existing[0].id]
+    );
+    return existing[0].id;
+  }
+
+  const [result] = await db.promise().query(
+    `INSERT INTO defect_liability_periods (contractor_id, liability_days, notes, updated_by)
+     VALUES (?, ?, ?, ?)`,
+    [contractorId, liabilityDays, notes, userId]
+  );
+  return result.insertId;
+}
+
+async function deleteLiabilityPeriod(id) {
+  const [result] = await db.promise().query("DELETE FROM defect_liability_periods WHERE id = ?", [id]);
+  return result.affectedRows;
+}
+
+/**
+ * Warranty failures per contractor: verified repairs vs. rework assignments they caused.
+ * `from` / `to` (YYYY-MM-DD) filter rework assignments by assigned_at.
+ */
+async function warrantyFailureReport({ from = null, to = null, contractorId = null } = {}) {
+  let reworkWhere = "rw.rework_of_assignment_id IS NOT NULL";
+  const reworkParams = [];
+
+  if (from) {
+    reworkWhere += " AND rw.assigned_at >= ?";
+    reworkParams.push(from);
+  }
+  if (to) {
+    reworkWhere += " AND rw.assigned_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    reworkParams.push(to);
+  }
+  if (contractorId) {
+    reworkWhere += " AND rw.contractor_id = ?";
+    reworkParams.push(contractorId);
+  }
+
+  const [failures] = await db.promise().query(
+    `SELECT rw.id AS rework_assignment_id,
+            rw.status AS rework_status,
+            rw.assigned_at AS rework_assigned_at,
+            rw.due_date AS rework_due_date,
+            orig.id AS original_assignment_id,
+            orig.completed_at AS original_completed_at,
+            lc.verified_at AS original_verified_at,
+            DATEDIFF(rw.assigned_at, lc.verified_at) AS days_to_failure,
+            rw.contractor_id,
+            c.company_name AS contractor_name,
+            al.id AS aggregated_location_id,
+            al.grid_id, al.latitude, al.longitude, al.road_name, al.ward
+     FROM work_assignments rw
+     JOIN work_assignments orig ON orig.id = rw.rework_of_assignment_id
+     JOIN contractors c ON rw.contractor_id = c.id
+     JOIN aggregated_locations al ON rw.aggregated_location_id = al.id
+     LEFT JOIN aggregated_location_cycles lc ON lc.work_assignment_id = orig.id
+     WHERE ${reworkWhere}
+     ORDER BY rw.assigned_at DESC`,
+    reworkParams
+  );
+
+  const [verified] = await db.promise().query(
+    `SELECT c.id AS contractor_id, c.company_name AS contractor_name, COUNT(wa.id) AS verified_repairs
+     FROM contractors c
+     LEFT JOIN work_assignments wa ON wa.contractor_id = c.id AND wa.status = 'verified' AND wa.is_rework = FALSE
+     ${contractorId ? "WHERE c.id = ?" : ""}
+     GROUP BY c.id, c.company_name`,
+    contractorId ? [contractorId] : []
+  );
+
+  const contractors = verified
+    .map((row) => {
+      const own = failures.filter((f) => f.contractor_id === row.contractor_id);
+      const verifiedRepairs = Number(row.verified_repairs);
+      return {
+        contractorId: row.contractor_id,
+        contractorName: row.contractor_name,
+        verifiedRepairs,
+        warrantyFailures: own.length,
+        openRework: own.filter((f) => f.rework_status !== "verified").length,
+        failureRate: verifiedRepairs ? Math.round((own.length / verifiedRepairs) * 1000) / 1000 : null,
+      };
+    })
+    .filter((c) => c.verifiedRepairs > 0 || c.warrantyFailures > 0)
+    .sort((a, b) => b.warrantyFailures - a.warrantyFailures);
+
+  return { contractors, failures };
+}
+
+module.exports = {
+  getLiabilityDays,
+  createReworkIfUnderLiability,
+  listLiabilityPeriods,
+  setLiabilityPeriod,
+  deleteLiabilityPeriod,
+  warrantyFailureReport,
+};
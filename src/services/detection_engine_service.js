@@ -0,0 +1,486 @@
+const {
+  validateReadingPayload,
+  normalizeReading,
+  normalizeUnixMs,
+  mapVibrationToSeverity,
+} = require("../utils/readingPayload");
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Backend-tuned defaults (can be overridden via env vars)
+// Use these if your Firebase "Vibration" values aren't exactly the same scale as the app.
+//
+// Env overrides:
+// READINGS_MIN_SPEED_KMH
+// READINGS_SPEED_NOISE_KMH
+// READINGS_POTHOLE_PEAK_DELTA
+// READINGS_POTHOLE_Z_MIN
+// READINGS_POTHOLE_COOLDOWN_MS
+// READINGS_POTHOLE_HIGH_Z
+// READINGS_PATCHY_MIN
+// READINGS_PATCHY_MAX
+// READINGS_PATCHY_DURATION_MS
+// READINGS_PATCHY_RESET_MS
+// READINGS_TRIP_GAP_MS (a gap this long between two readings of one device starts a new trip)
+function loadThresholdsFromEnv() {
+  return {
+    MIN_SPEED: envNumber("READINGS_MIN_SPEED_KMH", 0),
+    SPEED_NOISE: envNumber("READINGS_SPEED_NOISE_KMH", 3),
+    PEAK_DELTA: envNumber("READINGS_POTHOLE_PEAK_DELTA", 3.5),
+    Z_MIN_THRESHOLD: envNumber("READINGS_POTHOLE_Z_MIN", 8.0),
+    COOLDOWN_MS: envNumber("READINGS_POTHOLE_COOLDOWN_MS", 4000),
+    POTHOLE_HIGH_Z: envNumber("READINGS_POTHOLE_HIGH_Z", 12.0),
+    PATCHY_MIN: envNumber("READINGS_PATCHY_MIN", 2.0),
+    PATCHY_MAX: envNumber("READINGS_PATCHY_MAX", 6.0),
+    PATCHY_DURATION: envNumber("READINGS_PATCHY_DURATION_MS", 3000),
+    PATCHY_RESET_MS: envNumber("READINGS_PATCHY_RESET_MS", 800),
+    TRIP_GAP_MS: envNumber("READINGS_TRIP_GAP_MS", 5 * 60 * 1000),
+  };
+}
+
+const DEFAULT_THRESHOLDS = loadThresholdsFromEnv();
+
+/**
+ * Apply threshold overrides on top of `base` (default: the env thresholds).
+ * Unknown keys and non-numeric values throw with code INVALID_THRESHOLDS.
+ */
+function mergeThresholds(overrides, base = DEFAULT_THRESHOLDS) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    const err = new Error("thresholds must be an object");
+    err.code = "INVALID_THRESHOLDS";
+    throw err;
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_THRESHOLDS, key)) {
+      const err = new Error(`Unknown threshold "${key}"`);
+      err.code = "INVALID_THRESHOLDS";
+      throw err;
+    }
+    const n = Number(value);
+    if (value === null || value === "" || !Number.isFinite(n)) {
+      const err = new Error(`Threshold "${key}" must be a number`);
+      err.code = "INVALID_THRESHOLDS";
+      throw err;
+    }
+    thresholds[key] = n;
+  }
+  return thresholds;
+}
+
+// ---------------------------------------------------------------------------
+// Reading tree helpers (UsersData/<uid>/readings/<readingId> and similar)
+// ---------------------------------------------------------------------------
+
+function looksLikeReading(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  // Heuristics: either flags exist, or coordinates exist.
+  if (
+    obj.potholeFlag !== undefined ||
+    obj.patchyFlag !== undefined ||
+    obj.pothole !== undefined ||
+    obj.patchy !== undefined
+  ) {
+    return true;
+  }
+  if (
+    obj.Latitude !== undefined ||
+    obj.Longitude !== undefined ||
+    obj.latitude !== undefined ||
+    obj.longitude !== undefined ||
+    obj.lat !== undefined ||
+    obj.lon !== undefined
+  ) {
+    return true;
+  }
+  return false;
+}
+
+function flattenReadingsTree(root) {
+  const out = [];
+
+  function walk(node, pathParts) {
+    if (!node || typeof node !== "object") return;
+
+    // If this node itself looks like a reading payload, treat it as a leaf.
+    if (looksLikeReading(node)) {
+      out.push({ pathParts, key: pathParts[pathParts.length - 1] || "", reading: node });
+      return;
+    }
+
+    // Otherwise traverse children.
+    for (const [k, v] of Object.entries(node)) {
+      if (v && typeof v === "object") {
+        walk(v, [...pathParts, k]);
+      }
+    }
+  }
+
+  walk(root, []);
+  return out;
+}
+
+function eventTimestampMs(key, reading) {
+  // Prefer payload timestamp; fallback to Firebase key (often unix seconds)
+  const fromPayload = normalizeUnixMs(reading?.timestamp ?? reading?.Timestamp);
+  if (fromPayload) return fromPayload;
+  return normalizeUnixMs(key);
+}
+
+// Device identity: explicit payload id first, then the uid bucket the reading
+// lives under (first path segment below the sync root). A reading sitting
+// directly under the root has no bucket, so it falls into "default".
+function resolveDeviceKey(reading, pathParts = []) {
+  const fromPayload = reading?.deviceId ?? reading?.device_id ?? reading?.DeviceId;
+  if (fromPayload !== undefined && fromPayload !== null && String(fromPayload) !== "") {
+    return String(fromPayload);
+  }
+  if (pathParts.length >= 2) return String(pathParts[0]);
+  return "default";
+}
+
+function resolveTripKey(reading) {
+  const trip = reading?.tripId ?? reading?.trip_id ?? reading?.sessionId ?? reading?.session_id;
+  if (trip === undefined || trip === null || String(trip) === "") return null;
+  return String(trip);
+}
+
+// ---------------------------------------------------------------------------
+// Flag helpers (device already decided pothole/patchy)
+// ---------------------------------------------------------------------------
+
+function getLat(reading) {
+  const v = Number(reading.Latitude ?? reading.latitude ?? reading.lat);
+  return Number.isFinite(v) ? v : NaN;
+}
+
+function getLon(reading) {
+  const v = Number(reading.Longitude ?? reading.longitude ?? reading.lon);
+  return Number.isFinite(v) ? v : NaN;
+}
+
+function getVibration(reading) {
+  const v = Number(reading.zCorrected ?? reading.Vibration ?? reading.vibration ?? reading.z);
+  return Number.isFinite(v) ? v : 0;
+}
+
+function getFlag(reading, primaryKey, fallbackKey) {
+  if (!reading || typeof reading !== "object") return false;
+  if (reading[primaryKey] !== undefined) return Boolean(reading[primaryKey]);
+  if (fallbackKey && reading[fallbackKey] !== undefined) return Boolean(reading[fallbackKey]);
+  return false;
+}
+
+function isGpsLocked(reading) {
+  if (!reading || typeof reading !== "object") return true;
+  // If gpsFix is provided, respect it.
+  if (reading.gpsFix !== undefined) return Boolean(reading.gpsFix);
+  if (reading.GpsFix !== undefined) return Boolean(reading.GpsFix);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Engine
+// ---------------------------------------------------------------------------
+
+function newDetectionState() {
+  // Mirrors HomeScreen refs in the app
+  return {
+    prevZ: 0,
+    lastDetectionTime: 0,
+    patchyStart: null,
+    patchyAlert: false,
+    lastPatchyVibrationTime: 0,
+  };
+}
+
+function newDeviceStats() {
+  return {
+    readings: 0,
+    detected: 0,
+    denied: 0,
+    errors: 0,
+    potholeEvents: 0,
+    patchyEvents: 0,
+    trips: 0,
+  };
+}
+
+/**
+ * Create a detection engine that keeps pothole/patchy state per device and per trip.
+ *
+ * One engine instance should live for the duration of a sync run (or a watcher),
+ * and every reading should be fed through it in timestamp order per device.
+ *
+ * options.thresholds   overrides of DEFAULT_THRESHOLDS
+ * options.calibration  (deviceKey, reading) => { scale, offset } | null, applied to the
+ *                      vibration magnitude before any threshold or severity cut-off
+ *                      (see device_calibration_service)
+ */
+function createDetectionEngine(options = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+  const calibration = typeof options.calibration === "function" ? options.calibration : null;
+
+  // deviceKey -> { tripKey, tripSeq, lastTimestampMs, state }
+  const devices = new Map();
+  // deviceKey -> counters reported back to callers
+  const stats = new Map();
+
+  function statsFor(deviceKey) {
+    if (!stats.has(deviceKey)) stats.set(deviceKey, newDeviceStats());
+    return stats.get(deviceKey);
+  }
+
+  // Returns the detection state for (device, trip), starting a new trip when the
+  // explicit trip id changes or when the device was silent longer than TRIP_GAP_MS.
+  function stateFor(deviceKey, explicitTripKey, timestampMs) {
+    let device = devices.get(deviceKey);
+    const gapExceeded =
+      device &&
+      !explicitTripKey &&
+      device.lastTimestampMs &&
+      timestampMs - device.lastTimestampMs > thresholds.TRIP_GAP_MS;
+    const tripChanged = device && explicitTripKey && device.tripKey !== explicitTripKey;
+
+    if (!device || gapExceeded || tripChanged) {
+      const tripSeq = (device ? device.tripSeq : 0) + 1;
+      device = {
+        tripKey: explicitTripKey || `trip-${tripSeq}`,
+        tripSeq,
+        lastTimestampMs: timestampMs,
+        state: newDetectionState(),
+      };
+      devices.set(deviceKey, device);
+      statsFor(deviceKey).trips += 1;
+    }
+
+    device.lastTimestampMs = Math.max(device.lastTimestampMs || 0, timestampMs);
+    return device;
+  }
+
+  function computeSpeedKmh(rawSpeed) {
+    let sp = Number(rawSpeed);
+    if (!Number.isFinite(sp)) sp = 0;
+    if (sp < thresholds.SPEED_NOISE) sp = 0;
+    return sp;
+  }
+
+  // Vibration magnitude on the reference scale the thresholds are tuned for
+  function calibratedZ(deviceKey, reading, vibration) {
+    const z = Math.abs(Number(vibration));
+    if (!calibration || !Number.isFinite(z)) return z;
+    const c = calibration(deviceKey, reading);
+    if (!c) return z;
+    return Math.max(0, z * c.scale + c.offset);
+  }
+
+  function mapPotholeSeverityFromZ(zCorrected) {
+    return zCorrected >= thresholds.POTHOLE_HIGH_Z ? "High" : "Medium";
+  }
+
+  /**
+   * Run one raw reading through the vibration-based pothole/patchy logic.
+   * Returns { status: "detected" | "denied", deviceKey, tripKey, reason?, event?, metrics? }.
+   */
+  function processReading({ key, reading, pathParts = [] }) {
+    const deviceKey = resolveDeviceKey(reading, pathParts);
+    const deviceStats = statsFor(deviceKey);
+    deviceStats.readings += 1;
+
+    const validation = validateReadingPayload(reading);
+    if (!validation.ok) {
+      deviceStats.denied += 1;
+      return { status: "denied", deviceKey, tripKey: null, reason: validation.message };
+    }
+
+    const normalized = normalizeReading(reading);
+    const timestampMs = eventTimestampMs(key, reading) || Date.now();
+    const device = stateFor(deviceKey, resolveTripKey(reading), timestampMs);
+    const s = device.state;
+    const t = thresholds;
+
+    const speed = computeSpeedKmh(normalized.speed);
+    const zCorrected = calibratedZ(deviceKey, reading, normalized.vibration);
+    const delta = Math.abs(zCorrected - s.prevZ);
+
+    // --- 1) PATCHY LOGIC (same as app) ---
+    let detectedEvent = null;
+    if (
+      speed >= t.MIN_SPEED &&
+      Number.isFinite(zCorrected) &&
+      zCorrected >= t.PATCHY_MIN &&
+      zCorrected < t.PATCHY_MAX
+    ) {
+      s.lastPatchyVibrationTime = timestampMs;
+      if (!s.patchyStart) s.patchyStart = timestampMs;
+
+      if (timestampMs - s.patchyStart >= t.PATCHY_DURATION && !s.patchyAlert) {
+        detectedEvent = {
+          type: "patchy",
+          latitude: normalized.latitude,
+          longitude: normalized.longitude,
+          severity: "Low",
+          timestampMs,
+        };
+        s.patchyAlert = true;
+      }
+    } else if (timestampMs - s.lastPatchyVibrationTime > t.PATCHY_RESET_MS) {
+      s.patchyStart = null;
+      s.patchyAlert = false;
+    }
+
+    // --- 2) POTHOLE LOGIC (same as app) ---
+    if (!detectedEvent) {
+      if (
+        speed >= t.MIN_SPEED &&
+        Number.isFinite(zCorrected) &&
+        delta > t.PEAK_DELTA &&
+        zCorrected >= t.Z_MIN_THRESHOLD &&
+        timestampMs - s.lastDetectionTime > t.COOLDOWN_MS
+      ) {
+        detectedEvent = {
+          type: "pothole",
+          latitude: normalized.latitude,
+          longitude: normalized.longitude,
+          severity: mapPotholeSeverityFromZ(zCorrected),
+          timestampMs,
+        };
+        s.lastDetectionTime = timestampMs;
+      }
+    }
+
+    s.prevZ = Number.isFinite(zCorrected) ? zCorrected : s.prevZ;
+
+    const metrics = { speed, zCorrected, delta, timestampMs };
+
+    if (!detectedEvent) {
+      deviceStats.denied += 1;
+      return {
+        status: "denied",
+        deviceKey,
+        tripKey: device.tripKey,
+        reason: "No pothole/patchy conditions met",
+        metrics,
+      };
+    }
+
+    detectedEvent.deviceKey = deviceKey;
+    detectedEvent.tripKey = device.tripKey;
+
+    deviceStats.detected += 1;
+    if (detectedEvent.type === "pothole") deviceStats.potholeEvents += 1;
+    if (detectedEvent.type === "patchy") deviceStats.patchyEvents += 1;
+
+    return { status: "detected", deviceKey, tripKey: device.tripKey, event: detectedEvent, metrics };
+  }
+
+  /**
+   * Evaluate a reading whose pothole/patchy decision was already made on-device
+   * (potholeFlag/patchyFlag). Returns { status, deviceKey, flagged, reason?, events? }.
+   */
+  function processFlaggedReading({ key, reading, pathParts = [] }) {
+    const deviceKey = resolveDeviceKey(reading, pathParts);
+    const deviceStats = statsFor(deviceKey);
+    deviceStats.readings += 1;
+
+    const deny = (reason, flagged) => {
+      deviceStats.denied += 1;
+      return { status: "denied", deviceKey, tripKey: null, flagged, reason };
+    };
+
+    const potholeFlag = getFlag(reading, "potholeFlag", "pothole");
+    const patchyFlag = getFlag(reading, "patchyFlag", "patchy");
+
+    if (!potholeFlag && !patchyFlag) {
+      return deny("Flags false (potholeFlag & patchyFlag)", false);
+    }
+
+    const lat = getLat(reading);
+    const lon = getLon(reading);
+
+    // Deny when GPS isn't locked (or coords are clearly missing)
+    if (!isGpsLocked(reading) || lat === 0 || lon === 0) {
+      return deny("gps_not_locked_or_zero_coords", true);
+    }
+
+    // Only deny non-finite values after the zero check
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return deny("invalid_coordinates", true);
+    }
+
+    const vibration = getVibration(reading);
+    const timestampMs = eventTimestampMs(key, reading) || Date.now();
+    const device = stateFor(deviceKey, resolveTripKey(reading), timestampMs);
+
+    const events = [];
+    if (potholeFlag) {
+      events.push({
+        type: "pothole",
+        latitude: lat,
+        longitude: lon,
+        severity: mapVibrationToSeverity(calibratedZ(deviceKey, reading, vibration)),
+        timestampMs,
+        deviceKey,
+        tripKey: device.tripKey,
+      });
+    }
+    if (patchyFlag) {
+      events.push({
+        type: "patchy",
+        latitude: lat,
+        longitude: lon,
+        severity: "Low",
+        timestampMs,
+        deviceKey,
+        tripKey: device.tripKey,
+      });
+    }
+
+    deviceStats.detected += 1;
+    deviceStats.potholeEvents += potholeFlag ? 1 : 0;
+    deviceStats.patchyEvents += patchyFlag ? 1 : 0;
+
+    return { status: "detected", deviceKey, tripKey: device.tripKey, flagged: true, events };
+  }
+
+  // Called when a detected reading failed to ingest, so per-device counts stay honest.
+  function recordError(deviceKey) {
+    const deviceStats = statsFor(deviceKey);
+    deviceStats.errors += 1;
+    if (deviceStats.detected > 0) deviceStats.detected -= 1;
+  }
+
+  function summary() {
+    const out = {};
+    for (const [deviceKey, deviceStats] of stats.entries()) {
+      out[deviceKey] = { ...deviceStats };
+    }
+    return out;
+  }
+
+  return {
+    thresholds,
+    processReading,
+    processFlaggedReading,
+    recordError,
+    summary,
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  loadThresholdsFromEnv,
+  mergeThresholds,
+  looksLikeReading,
+  flattenReadingsTree,
+  eventTimestampMs,
+  resolveDeviceKey,
+  resolveTripKey,
+  createDetectionEngine,
+};
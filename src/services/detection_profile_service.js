@@ -0,0 +1,210 @@
+const db = require("../config/db");
+const { DEFAULT_THRESHOLDS, mergeThresholds } = require("./detection_engine_service");
+
+// Versioned detection profiles.
+//
+// A profile is a complete set of detection engine thresholds stored in
+// detection_profiles. Profiles are immutable: saving a change creates the next
+// version. At most one version is active; with none active the engine runs on the
+// READINGS_* env thresholds, reported as version 0.
+//
+// The syncs resolve the active profile when they start (the flags watcher before
+// every reading) and stamp its version on each event they ingest
+// (aggregated_location_events.detection_profile_version), so activating a profile
+// takes effect without a restart and every event can be traced back to the
+// thresholds that produced it.
+//
+// Env:
+// DETECTION_PROFILE_CACHE_MS  how long the active profile is cached (default 30000).
+//                             Activation in this process clears the cache at once;
+//                             other processes pick it up within this window.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const CACHE_MS = Math.max(0, envNumber("DETECTION_PROFILE_CACHE_MS", 30000));
+const ENV_PROFILE_VERSION = 0;
+
+let cached = null;
+let cachedAt = 0;
+
+function profileError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function envProfile() {
+  return { version: ENV_PROFILE_VERSION, name: "env", thresholds: { ...DEFAULT_THRESHOLDS } };
+}
+
+function parseThresholds(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+function toProfile(row) {
+  return {
+    version: row.version,
+    name: row.name,
+    // Keys added to the engine after the profile was saved fall back to env values
+    thresholds: { ...DEFAULT_THRESHOLDS, ...parseThresholds(row.thresholds) },
+  };
+}
+
+function invalidateActiveProfile() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * The active profile: { version, name, thresholds }.
+ * Falls back to the env thresholds (version 0) when no profile is active, and keeps
+ * the last known profile when the lookup fails so a database hiccup never stops detection.
+ */
+async function getActiveProfile({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_MS) return cached;
+
+  try {
+    const [rows] = await db.promise().query(
+      "SELECT version, name, thresholds FROM detection_profiles WHERE is_active = TRUE ORDER BY version DESC LIMIT 1"
+    );
+    cached = rows.length ? toProfile(rows[0]) : envProfile();
+    cachedAt = Date.now();
+    return cached;
+  } catch (error) {
+    console.error(`[DetectionProfiles] could not load the active profile: ${error.message}`);
+    return cached || envProfile();
+  }
+}
+
+async function listProfiles() {
+  const [rows] = await db.promise().query(
+    `SELECT dp.*, cu.email AS created_by_email, au.email AS activated_by_email,
+            (SELECT COUNT(*) FROM aggregated_location_events e WHERE e.detection_profile_version = dp.version) AS event_count
+     FROM detection_profiles dp
+     LEFT JOIN users cu ON dp.created_by = cu.id
+     LEFT JOIN users au ON dp.activated_by = au.id
+     ORDER BY dp.version DESC`
+  );
+  return rows.map((row) => ({ ...row, thresholds: parseThresholds(row.thresholds) }));
+}
+
+async function getProfile(version) {
+  const [rows] = await db.promise().query("SELECT * FROM detection_profiles WHERE version = ?", [version]);
+  if (!rows.length) return null;
+  return { ...rows[0], thresholds: parseThresholds(rows[0].thresholds) };
+}
+
+async function inTransaction(work) {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function setActive(connection, version, userId) {
+  await connection.query("UPDATE detection_profiles SET is_active = FALSE WHERE is_active = TRUE");
+  if (version === ENV_PROFILE_VERSION) return;
+  await connection.query(
+    "UPDATE detection_profiles SET is_active = TRUE, activated_by = ?, activated_at = NOW() WHERE version = ?",
+    [userId, version]
+  );
+}
+
+/**
+ * Save a new profile version.
+ * `thresholds` are overrides on top of `baseVersion` (default: the active profile;
+ * 0 = env thresholds), so the stored set is always complete.
+ * Returns { version, thresholds, active }.
+ */
+async function createProfile({ name, thresholds, notes = null, baseVersion = null, activate = false, userId = null }) {
+  if (!name || !String(name).trim()) throw profileError("INVALID_PROFILE", "name is required");
+
+  let base;
+  if (baseVersion === null || baseVersion === undefined || baseVersion === "") {
+    base = (await getActiveProfile({ fresh: true })).thresholds;
+  } else if (Number(baseVersion) === ENV_PROFILE_VERSION) {
+    base = DEFAULT_THRESHOLDS;
+  } else {
+    const baseProfile = await getProfile(baseVersion);
+    if (!baseProfile) throw profileError("PROFILE_NOT_FOUND", `Profile version ${baseVersion} not found`);
+    base = { ...DEFAULT_THRESHOLDS, ...baseProfile.thresholds };
+  }
+
+  let merged;
+  try {
+    merged = mergeThresholds(thresholds || {}, base);
+  } catch (error) {
+    throw profileError("INVALID_PROFILE", error.message);
+  }
+
+  const version = await inTransaction(async (connection) => {
+    const [[{ next }]] = await connection.query(
+      "SELECT COALESCE(MAX(version), 0) + 1 AS next FROM detection_profiles FOR UPDATE"
+    );
+    await connection.query(
+      "INSERT INTO detection_profiles (version, name, thresholds, notes, created_by) VALUES (?, ?, ?, ?, ?)",
+      [next, String(name).trim(), JSON.stringify(merged), notes, userId]
+    );
+    if (activate) await setActive(connection, next, userId);
+    return next;
+  });
+
+  if (activate) invalidateActiveProfile();
+  return { version, thresholds: merged, active: Boolean(activate) };
+}
+
+/**
+ * Make `version` the active profile (0 reverts to the env thresholds).
+ * Returns { version, previousVersion }.
+ */
+async function activateProfile(version, { userId = null } = {}) {
+  const target = Number(version);
+  if (!Number.isInteger(target) || target < 0) {
+    throw profileError("INVALID_PROFILE", "version must be a non-negative integer");
+  }
+
+  const previous = await inTransaction(async (connection) => {
+    if (target !== ENV_PROFILE_VERSION) {
+      const [rows] = await connection.query("SELECT id FROM detection_profiles WHERE version = ?", [target]);
+      if (!rows.length) throw profileError("PROFILE_NOT_FOUND", `Profile version ${target} not found`);
+    }
+
+    const [active] = await connection.query(
+      "SELECT version FROM detection_profiles WHERE is_active = TRUE ORDER BY version DESC LIMIT 1 FOR UPDATE"
+    );
+    await setActive(connection, target, userId);
+    return active.length ? active[0].version : ENV_PROFILE_VERSION;
+  });
+
+  invalidateActiveProfile();
+  return { version: target, previousVersion: previous };
+}
+
+module.exports = {
+  ENV_PROFILE_VERSION,
+  getActiveProfile,
+  invalidateActiveProfile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  activateProfile,
+};
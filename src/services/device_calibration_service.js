@@ -0,0 +1,394 @@
+const db = require("../config/db");
+const { loadArchivedEntries, parseMaxReadings, DEFAULT_MAX_READINGS, MAX_READINGS } = require("./readings_archive_service");
+const { getActiveProfile } = require("./detection_profile_service");
+const { resolveDeviceKey } = require("./detection_engine_service");
+const { normalizeReading } = require("../utils/readingPayload");
+
+// Accelerometer calibration per device model (and optionally per device).
+//
+// Phones and sensor boxes report the same bump with very different vibration
+// magnitudes, while the detection thresholds and the 7.0 / 9.0 severity cut-offs
+// assume one reference scale. A calibration maps a device's magnitude onto that scale:
+//
+//   z' = max(0, |z| * scale + offset)
+//
+// A device-scope row (scope_key = device key) wins over a model-scope row (scope_key =
+// device model, matched case-insensitively). The model comes from the reading itself
+// (deviceModel / device_model) or else from users.device_model of the device.
+//
+// Suggestions match each device's (and model's) distribution of moving readings to
+// the fleet's: the p50 and p95 of its raw magnitudes are mapped linearly onto the
+// fleet's calibrated p50 and p95. Devices with too few readings get no suggestion.
+//
+// Env:
+// CALIBRATION_CACHE_MS  how long the syncs cache calibrations (default 30000)
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const CACHE_MS = Math.max(0, envNumber("CALIBRATION_CACHE_MS", 30000));
+
+const SCOPES = new Set(["model", "device"]);
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+const MAX_ABS_OFFSET = 20;
+
+// Suggestions are clamped tighter than manual values: beyond this the data is suspect
+const SUGGESTED_MIN_SCALE = 0.25;
+const SUGGESTED_MAX_SCALE = 4;
+const DEFAULT_MIN_SAMPLES = 500;
+const DEFAULT_SUGGESTION_DAYS = 30;
+const LOW_QUANTILE = 0.5;
+const HIGH_QUANTILE = 0.95;
+
+let cached = null;
+let cachedAt = 0;
+let suggestionInProgress = false;
+
+function calibrationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function modelKey(model) {
+  if (model === undefined || model === null) return null;
+  const key = String(model).trim().toLowerCase();
+  return key || null;
+}
+
+function readingModel(reading) {
+  return reading?.deviceModel ?? reading?.device_model ?? null;
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function validateCalibrationInput(body) {
+  if (!body || typeof body !== "object") {
+    return { ok: false, message: "Payload must be an object" };
+  }
+  if (!SCOPES.has(body.scope)) {
+    return { ok: false, message: `scope must be one of ${[...SCOPES].join(", ")}` };
+  }
+
+  const key = body.key === undefined || body.key === null ? "" : String(body.key).trim();
+  if (!key || key.length > 255) {
+    return { ok: false, message: "key (device model or device id) is required" };
+  }
+
+  const scale = body.scale === undefined ? 1 : Number(body.scale);
+  if (!Number.isFinite(scale) || scale < MIN_SCALE || scale > MAX_SCALE) {
+    return { ok: false, message: `scale must be between ${MIN_SCALE} and ${MAX_SCALE}` };
+  }
+
+  const offset = body.offset === undefined ? 0 : Number(body.offset);
+  if (!Number.isFinite(offset) || Math.abs(offset) > MAX_ABS_OFFSET) {
+    return { ok: false, message: `offset must be between -${MAX_ABS_OFFSET} and ${MAX_ABS_OFFSET}` };
+  }
+
+  return {
+    ok: true,
+    value: {
+      scope: body.scope,
+      scope_key: key,
+      vibration_scale: scale,
+      vibration_offset: offset,
+      active: body.active === undefined ? true : body.active === true || body.active === "true",
+      source: body.source === "suggested" ? "suggested" : "manual",
+      sample_count: Number.isInteger(Number(body.sampleCount)) ? Number(body.sampleCount) : null,
+      notes: body.notes || null,
+    },
+  };
+}
+
+async function listCalibrations({ scope = null } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (scope) {
+    where += " AND dc.scope = ?";
+    params.push(scope);
+  }
+
+  const [rows] = await db.promise().query(
+    `SELECT dc.*, u.email AS created_by_email
+     FROM device_calibrations dc
+     LEFT JOIN users u ON dc.created_by = u.id
+     ${where}
+     ORDER BY dc.scope, dc.scope_key`,
+    params
+  );
+  return rows;
+}
+
+function invalidateCalibrations() {
+  cached = null;
+  cachedAt = 0;
+}
+
+/**
+ * Create or replace the calibration of one device model / device.
+ * Returns the stored row.
+ */
+async function upsertCalibration(value, userId = null) {
+  await db.promise().query(
+    `INSERT INTO device_calibrations
+     (scope, scope_key, vibration_scale, vibration_offset, active, source, sample_count, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       vibration_scale = VALUES(vibration_scale),
+       vibration_offset = VALUES(vibration_offset),
+       active = VALUES(active),
+       source = VALUES(source),
+       sample_count = VALUES(sample_count),
+       notes = VALUES(notes)`,
+    [
+      value.scope,
+      value.scope_key,
+      value.vibration_scale,
+      value.vibration_offset,
+      value.active,
+      value.source,
+      value.sample_count,
+      value.notes,
+      userId,
+    ]
+  );
+  invalidateCalibrations();
+
+  const [rows] = await db.promise().query(
+    "SELECT * FROM device_calibrations WHERE scope = ? AND scope_key = ?",
+    [value.scope, value.scope_key]
+  );
+  return rows[0];
+}
+
+async function deleteCalibration(id) {
+  const [result] = await db.promise().query("DELETE FROM device_calibrations WHERE id = ?", [id]);
+  invalidateCalibrations();
+  return result.affectedRows > 0;
+}
+
+// device key -> device model, from the app registrations
+async function loadUserDeviceModels() {
+  const [rows] = await db.promise().query(
+    "SELECT device_id, device_model FROM users WHERE device_id IS NOT NULL AND device_model IS NOT NULL ORDER BY id"
+  );
+  const models = new Map();
+  for (const row of rows) models.set(String(row.device_id), row.device_model);
+  return models;
+}
+
+function buildResolver(rows, userModels) {
+  const byDevice = new Map();
+  const byModel = new Map();
+  for (const row of rows) {
+    const calibration = {
+      id: row.id,
+      scope: row.scope,
+      scale: Number(row.vibration_scale),
+      offset: Number(row.vibration_offset),
+    };
+    if (row.scope === "device") byDevice.set(String(row.scope_key), calibration);
+    else byModel.set(modelKey(row.scope_key), calibration);
+  }
+
+  const resolver = (deviceKey, reading) => {
+    if (byDevice.has(String(deviceKey))) return byDevice.get(String(deviceKey));
+    if (!byModel.size) return null;
+    const model = modelKey(readingModel(reading) ?? userModels.get(String(deviceKey)));
+    return (model && byModel.get(model)) || null;
+  };
+  resolver.size = byDevice.size + byModel.size;
+  return resolver;
+}
+
+/**
+ * Calibration lookup for createDetectionEngine({ calibration }):
+ * (deviceKey, reading) => { id, scope, scale, offset } | null.
+ * Cached for CALIBRATION_CACHE_MS; on a lookup failure the last known set (or none) is used.
+ */
+async function getCalibrationResolver({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_MS) return cached;
+
+  try {
+    const [rows] = await db.promise().query("SELECT * FROM device_calibrations WHERE active = TRUE");
+    const userModels = rows.some((r) => r.scope === "model") ? await loadUserDeviceModels() : new Map();
+    cached = buildResolver(rows, userModels);
+    cachedAt = Date.now();
+    return cached;
+  } catch (error) {
+    console.error(`[DeviceCalibration] could not load calibrations: ${error.message}`);
+    return cached || buildResolver([], new Map());
+  }
+}
+
+// Quantile of an ascending array (linear interpolation)
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function describe(values) {
+  const sorted = Float64Array.from(values).sort();
+  return {
+    samples: sorted.length,
+    p50: sorted.length ? round3(quantile(sorted, LOW_QUANTILE)) : null,
+    p95: sorted.length ? round3(quantile(sorted, HIGH_QUANTILE)) : null,
+  };
+}
+
+// Linear map of a raw distribution's p50/p95 onto the reference p50/p95
+function suggestFor(stats, reference, minSamples) {
+  if (stats.samples < minSamples) return { suggested: null, reason: "not_enough_samples" };
+  if (!(stats.p95 - stats.p50 > 0.01)) return { suggested: null, reason: "flat_distribution" };
+
+  const rawScale = (reference.p95 - reference.p50) / (stats.p95 - stats.p50);
+  const scale = Math.min(SUGGESTED_MAX_SCALE, Math.max(SUGGESTED_MIN_SCALE, rawScale));
+  const offset = Math.max(-MAX_ABS_OFFSET, Math.min(MAX_ABS_OFFSET, reference.p50 - scale * stats.p50));
+
+  return {
+    suggested: { scale: round3(scale), offset: round3(offset) },
+    ...(scale !== rawScale ? { reason: "scale_clamped" } : {}),
+  };
+}
+
+function currentOf(calibration) {
+  return calibration ? { id: calibration.id, scope: calibration.scope, scale: calibration.scale, offset: calibration.offset } : null;
+}
+
+/**
+ * Suggest calibrations from the last `days` days of archived readings.
+ * Only moving readings (speed at or above the active SPEED_NOISE) with a vibration value count.
+ * Returns { reference, models: [...], devices: [...] } with current and suggested { scale, offset }.
+ */
+async function suggestCalibrations({ days = DEFAULT_SUGGESTION_DAYS, minSamples = DEFAULT_MIN_SAMPLES, maxReadings = DEFAULT_MAX_READINGS } = {}) {
+  const windowDays = Number(days);
+  if (!Number.isFinite(windowDays) || windowDays <= 0 || windowDays > 365) {
+    throw calibrationError("INVALID_SUGGESTION", "days must be between 1 and 365");
+  }
+  const min = Math.max(1, Math.floor(Number(minSamples)) || DEFAULT_MIN_SAMPLES);
+  const readingCap = parseMaxReadings(maxReadings);
+  if (Number.isNaN(readingCap)) {
+    throw calibrationError("INVALID_SUGGESTION", `maxReadings must be an integer between 1 and ${MAX_READINGS}`);
+  }
+
+  if (suggestionInProgress) {
+    throw calibrationError("SUGGESTION_RUNNING", "A calibration suggestion is already running");
+  }
+
+  suggestionInProgress = true;
+  try {
+    const startedAt = Date.now();
+    const [archive, profile, resolver, userModels] = await Promise.all([
+      loadArchivedEntries({
+        fromMs: Date.now() - windowDays * 24 * 60 * 60 * 1000,
+        maxReadings: readingCap,
+      }),
+      getActiveProfile(),
+      getCalibrationResolver({ fresh: true }),
+      loadUserDeviceModels(),
+    ]);
+
+    const reference = [];
+    // device key -> { model, values, calibration }
+    const devices = new Map();
+    // model key -> { name, values, deviceKeys }
+    const models = new Map();
+
+    for (const { reading, pathParts } of archive.entries) {
+      const normalized = normalizeReading(reading);
+      const z = Math.abs(normalized.vibration);
+      const speed = Number.isFinite(normalized.speed) ? normalized.speed : 0;
+      if (!Number.isFinite(z) || speed < profile.thresholds.SPEED_NOISE) continue;
+
+      const deviceKey = resolveDeviceKey(reading, pathParts);
+      const model = readingModel(reading) ?? userModels.get(deviceKey) ?? null;
+      const calibration = resolver(deviceKey, reading);
+      reference.push(calibration ? Math.max(0, z * calibration.scale + calibration.offset) : z);
+
+      if (!devices.has(deviceKey)) devices.set(deviceKey, { model, values: [], calibration });
+      devices.get(deviceKey).values.push(z);
+
+      const key = modelKey(model);
+      if (key) {
+        if (!models.has(key)) models.set(key, { name: String(model).trim(), values: [], deviceKeys: new Set() });
+        models.get(key).values.push(z);
+        models.get(key).deviceKeys.add(deviceKey);
+      }
+    }
+
+    const referenceStats = describe(reference);
+    if (referenceStats.samples < min) {
+      return {
+        days: windowDays,
+        readings: archive.entries.length,
+        readingsTruncated: archive.truncated,
+        reference: referenceStats,
+        models: [],
+        devices: [],
+        message: "Not enough moving readings for a fleet reference",
+        durationMs: Date.now() - startedAt,
+      };
+    }
+
+    const modelResults = [...models.entries()]
+      .map(([key, m]) => {
+        const stats = describe(m.values);
+        const current = resolver("", { deviceModel: key });
+        return {
+          deviceModel: m.name,
+          devices: m.deviceKeys.size,
+          ...stats,
+          current: currentOf(current),
+          ...suggestFor(stats, referenceStats, min),
+        };
+      })
+      .sort((a, b) => b.samples - a.samples);
+
+    const deviceResults = [...devices.entries()]
+      .map(([deviceKey, d]) => {
+        const stats = describe(d.values);
+        return {
+          deviceKey,
+          deviceModel: d.model,
+          ...stats,
+          current: currentOf(d.calibration),
+          ...suggestFor(stats, referenceStats, min),
+        };
+      })
+      .sort((a, b) => b.samples - a.samples);
+
+    return {
+      days: windowDays,
+      minSamples: min,
+      readings: archive.entries.length,
+      readingsTruncated: archive.truncated,
+      reference: referenceStats,
+      models: modelResults,
+      devices: deviceResults,
+      durationMs: Date.now() - startedAt,
+    };
+  } finally {
+    suggestionInProgress = false;
+  }
+}
+
+module.exports = {
+  SCOPES,
+  validateCalibrationInput,
+  listCalibrations,
+  upsertCalibration,
+  deleteCalibration,
+  getCalibrationResolver,
+  invalidateCalibrations,
+  suggestCalibrations,
+};
@@ -0,0 +1,245 @@
+const db = require("../config/db");
+const { looksLikeReading, eventTimestampMs } = require("./detection_engine_service");
+const { getReadingsSource } = require("./readings_source_service");
+
+// Incremental Firebase reads.
+//
+// Each readings collection (e.g. UsersData/<uid>/readings) gets a cursor row per sync
+// (flags / readings) holding the last processed key. A run only fetches
+// orderByKey().startAfter(lastKey).limitToFirst(limit) from every known collection
+// instead of downloading the whole tree.
+//
+// Collections are discovered with shallow listings (child keys only): a node is a
+// collection when one of its children looks like a reading. Known collections are not
+// listed again, so a discovery never downloads readings. It runs when no collection is
+// known yet, when explicitly requested, or when the last discovery (kept in
+// firebase_sync_discoveries, so restarts do not trigger one) is older than
+// FIREBASE_SYNC_DISCOVERY_MS (default 10 min). FIREBASE_SYNC_DISCOVERY_DEPTH (default 6)
+// bounds how deep below the root it looks.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const DISCOVERY_INTERVAL_MS = envNumber("FIREBASE_SYNC_DISCOVERY_MS", 10 * 60 * 1000);
+const DISCOVERY_MAX_DEPTH = envNumber("FIREBASE_SYNC_DISCOVERY_DEPTH", 6);
+
+function joinPath(rootPath, parts) {
+  return [rootPath, ...parts].filter((p) => p !== "" && p !== undefined).join("/");
+}
+
+// Collect collection paths (relative parts) below the node at `parts`, whose shallow
+// listing is `listing`. Only object children are listed; the first one that looks like
+// a reading marks the node as a collection and ends the walk there.
+async function findReadingCollections(source, rootPath, parts, listing, known, out, depth = 0) {
+  if (!listing || typeof listing !== "object" || looksLikeReading(listing)) return;
+
+  for (const [key, value] of Object.entries(listing)) {
+    if (value !== true) continue;
+
+    const childParts = [...parts, key];
+    const childPath = joinPath(rootPath, childParts);
+    if (known.has(childPath)) continue;
+
+    const childListing = await source.shallow(childPath);
+    if (looksLikeReading(childListing)) {
+      out.push(parts);
+      return;
+    }
+    if (depth < DISCOVERY_MAX_DEPTH) {
+      await findReadingCollections(source, rootPath, childParts, childListing, known, out, depth + 1);
+    }
+  }
+}
+
+async function discoveryIsStale(syncName, rootPath) {
+  const [rows] = await db.promise().query(
+    `SELECT discovered_at > NOW() - INTERVAL ? SECOND AS fresh
+     FROM firebase_sync_discoveries
+     WHERE sync_name = ? AND root_path = ?`,
+    [Math.ceil(DISCOVERY_INTERVAL_MS / 1000), syncName, rootPath]
+  );
+  return rows.length === 0 || !rows[0].fresh;
+}
+
+// Returns the number of newly found collections
+async function discoverCollections(syncName, rootPath, cursors) {
+  const source = getReadingsSource();
+  const known = new Set(cursors.map((c) => c.firebase_path));
+  const found = [];
+
+  if (!known.has(rootPath)) {
+    await findReadingCollections(source, rootPath, [], await source.shallow(rootPath), known, found);
+  }
+
+  for (const parts of found) {
+    await db.promise().query(
+      `INSERT IGNORE INTO firebase_sync_cursors (sync_name, root_path, firebase_path)
+       VALUES (?, ?, ?)`,
+      [syncName, rootPath, joinPath(rootPath, parts)]
+    );
+  }
+
+  await db.promise().query(
+    `INSERT INTO firebase_sync_discoveries (sync_name, root_path, collections_found, discovered_at)
+     VALUES (?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE collections_found = VALUES(collections_found), discovered_at = NOW()`,
+    [syncName, rootPath, found.length]
+  );
+  return found.length;
+}
+
+async function listCursors({ syncName, rootPath } = {}) {
+  let query = "SELECT * FROM firebase_sync_cursors WHERE 1=1";
+  const params = [];
+
+  if (syncName) {
+    query += " AND sync_name = ?";
+    params.push(syncName);
+  }
+
+  if (rootPath) {
+    query += " AND root_path = ?";
+    params.push(rootPath);
+  }
+
+  query += " ORDER BY sync_name, firebase_path";
+
+  const [rows] = await db.promise().query(query, params);
+  return rows;
+}
+
+// Cursors of a sync's collections, discovering them first when none is known yet
+async function ensureCursors({ syncName, rootPath }) {
+  const cursors = await listCursors({ syncName, rootPath });
+  if (cursors.length) return cursors;
+  await discoverCollections(syncName, rootPath, cursors);
+  return listCursors({ syncName, rootPath });
+}
+
+/**
+ * Reset cursors so the next run starts from the first key again.
+ * With `remove: true` the rows are deleted (forcing re-discovery) instead of rewound.
+ */
+async function resetCursors({ syncName, firebasePath, remove = false } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (syncName) {
+    where += " AND sync_name = ?";
+    params.push(syncName);
+  }
+
+  if (firebasePath) {
+    where += " AND firebase_path = ?";
+    params.push(firebasePath);
+  }
+
+  const [result] = remove
+    ? await db.promise().query(`DELETE FROM firebase_sync_cursors ${where}`, params)
+    : await db.promise().query(
+        `UPDATE firebase_sync_cursors
+         SET last_key = NULL, last_timestamp_ms = NULL, processed_count = 0
+         ${where}`,
+        params
+      );
+
+  if (remove) {
+    await db.promise().query(
+      `DELETE FROM firebase_sync_discoveries ${syncName ? "WHERE sync_name = ?" : ""}`,
+      syncName ? [syncName] : []
+    );
+  }
+  return result.affectedRows;
+}
+
+/**
+ * Fetch readings newer than each collection's cursor.
+ *
+ * Returns entries in the same { key, pathParts, reading } shape as flattenReadingsTree
+ * (pathParts relative to rootRef) plus the per-collection pages needed by commitCursors.
+ * With `reprocess` the cursors are ignored and every collection is read from its first key.
+ */
+async function fetchIncrementalEntries({ rootRef, syncName, rootPath, limit, reprocess = false, discover = false }) {
+  let cursors = await listCursors({ syncName, rootPath });
+
+  let discovered = null;
+  if (discover || cursors.length === 0 || (await discoveryIsStale(syncName, rootPath))) {
+    discovered = await discoverCollections(syncName, rootPath, cursors);
+    cursors = await listCursors({ syncName, rootPath });
+  }
+
+  const entries = [];
+  const pages = [];
+
+  for (const cursor of cursors) {
+    const relative = cursor.firebase_path === rootPath
+      ? []
+      : cursor.firebase_path.slice(rootPath.length + 1).split("/");
+    const collectionRef = relative.length ? rootRef.child(relative.join("/")) : rootRef;
+
+    let query = collectionRef.orderByKey();
+    if (cursor.last_key && !reprocess) query = query.startAfter(cursor.last_key);
+    const snap = await query.limitToFirst(limit).once("value");
+
+    const keys = [];
+    // Primitive / null children are never readings; nothing will handle them, so they
+    // must not hold the cursor back.
+    const skipped = new Set();
+    snap.forEach((child) => {
+      keys.push(child.key);
+      const reading = child.val();
+      if (reading && typeof reading === "object") {
+        entries.push({ key: child.key, pathParts: [...relative, child.key], reading });
+      } else {
+        skipped.add(child.key);
+      }
+    });
+
+    pages.push({ cursor, keys, relative, skipped });
+  }
+
+  return { entries, pages, discovered };
+}
+
+/**
+ * Advance each collection's cursor past the longest run of keys (in Firebase key order)
+ * that were handled in this run (non-object children count as handled). Keys after the first
+ * unhandled one are fetched again next time.
+ */
+async function commitCursors(pages, handledPaths) {
+  let advanced = 0;
+
+  for (const page of pages) {
+    let lastKey = null;
+    let count = 0;
+    for (const key of page.keys) {
+      if (!page.skipped?.has(key) && !handledPaths.has([...page.relative, key].join("/"))) break;
+      lastKey = key;
+      count += 1;
+    }
+
+    if (lastKey === null) continue;
+
+    await db.promise().query(
+      `UPDATE firebase_sync_cursors
+       SET last_key = ?, last_timestamp_ms = ?, processed_count = processed_count + ?, last_run_at = NOW()
+       WHERE id = ?`,
+      [lastKey, eventTimestampMs(lastKey, null), count, page.cursor.id]
+    );
+    advanced += 1;
+  }
+
+  return advanced;
+}
+
+module.exports = {
+  listCursors,
+  ensureCursors,
+  resetCursors,
+  fetchIncrementalEntries,
+  commitCursors,
+};
@@ -0,0 +1,211 @@
+const db = require("../config/db");
+const { getReadingsSource } = require("./readings_source_service");
+const { normalizeReading } = require("../utils/readingPayload");
+
+// Labeled dataset export for offline threshold tuning / model training.
+//
+// One row per event in aggregated_location_events, joined with the raw reading behind
+// it (fetched from the readings source by the event's source_key) and the outcome of
+// the repair cycle the event belongs to:
+//   verified        the location was repaired and verified (real defect)
+//   false_positive  rejected by an admin (see location_review_service)
+//   road_feature    closed as a known road feature (speed breaker, rail crossing, ...)
+//   pending         no outcome yet
+//
+// Report events carry no raw sensor values, so they are only exported on request.
+
+const LABELS = ["verified", "false_positive", "road_feature", "pending"];
+const FIREBASE_SOURCES = ["firebase_reading", "firebase_flag"];
+
+const DEFAULT_LIMIT = 10000;
+const MAX_LIMIT = 100000;
+// Readings fetched in parallel
+const READ_CONCURRENCY = 20;
+
+const COLUMNS = [
+  "eventId",
+  "aggregatedLocationId",
+  "repairCycle",
+  "label",
+  "locationStatus",
+  "eventType",
+  "severity",
+  "source",
+  "sourceKey",
+  "deviceKey",
+  "deviceModel",
+  "tripKey",
+  "eventAt",
+  "latitude",
+  "longitude",
+  "zCorrected",
+  "speed",
+  "gpsFix",
+  "roadFeatureId",
+  "confidenceScore",
+  "readingFound",
+];
+
+async function loadLabeledEvents({ from = null, to = null, labels = LABELS, includeReports = false, limit = DEFAULT_LIMIT } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+
+  if (!includeReports) {
+    where += " AND e.source IN (?)";
+    params.push(FIREBASE_SOURCES);
+  }
+  if (from) {
+    where += " AND e.event_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND e.event_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+
+  const [rows] = await db.promise().query(
+    `SELECT e.id, e.aggregated_location_id, e.repair_cycle, e.event_type, e.severity, e.source, e.source_key,
+            e.device_key, e.trip_key, e.event_at, e.latitude, e.longitude, e.road_feature_id,
+            COALESCE(lc.final_status, al.status) AS location_status,
+            COALESCE(lc.confidence_score, al.confidence_score) AS confidence_score,
+            (SELECT u.device_model FROM users u WHERE u.device_id = e.device_key ORDER BY u.id DESC LIMIT 1) AS device_model,
+            CASE
+              WHEN COALESCE(lc.final_status, al.status) IN ('verified', 'fixed') THEN 'verified'
+              WHEN COALESCE(lc.final_status, al.status) = 'false_positive' THEN 'false_positive'
+              WHEN COALESCE(lc.final_status, al.status) = 'closed' THEN 'road_feature'
+              ELSE 'pending'
+            END AS label
+     FROM aggregated_location_events e
+     JOIN aggregated_locations al ON al.id = e.aggregated_location_id
+     LEFT JOIN aggregated_location_cycles lc
+       ON lc.aggregated_location_id = e.aggregated_location_id AND lc.cycle_number = e.repair_cycle
+     ${where}
+     HAVING label IN (?)
+     ORDER BY e.id
+     LIMIT ?`,
+    [...params, labels, limit]
+  );
+  return rows;
+}
+
+// Raw reading behind every row, by source_key (a path in the readings source).
+// Each key is its own read (a key range would also download every reading between
+// sparse events), READ_CONCURRENCY at a time.
+async function loadReadings(rows) {
+  const source = getReadingsSource();
+  const readings = new Map();
+
+  const keys = [];
+  for (const row of rows) {
+    const key = row.source_key;
+    if (!key || row.source === "report" || readings.has(key)) continue;
+    readings.set(key, null);
+    keys.push(key);
+  }
+
+  let next = 0;
+  const worker = async () => {
+    while (next < keys.length) {
+      const key = keys[next];
+      next += 1;
+      try {
+        const snapshot = await source.ref(key).once("value");
+        readings.set(key, snapshot.exists() ? snapshot.val() : null);
+      } catch (error) {
+        console.error(`[LabeledDataset] could not read ${key}: ${error.message}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(READ_CONCURRENCY, keys.length) }, worker));
+
+  return readings;
+}
+
+function toDatasetRow(row, reading) {
+  const normalized = reading ? normalizeReading(reading) : null;
+  const z = normalized ? Math.abs(normalized.vibration) : NaN;
+  const gpsFix = reading ? reading.gpsFix ?? reading.GpsFix : undefined;
+
+  return {
+    eventId: row.id,
+    aggregatedLocationId: row.aggregated_location_id,
+    repairCycle: row.repair_cycle,
+    label: row.label,
+    locationStatus: row.location_status,
+    eventType: row.event_type,
+    severity: row.severity,
+    source: row.source,
+    sourceKey: row.source_key,
+    deviceKey: row.device_key,
+    deviceModel: (reading && (reading.deviceModel ?? reading.device_model)) || row.device_model || null,
+    tripKey: row.trip_key,
+    eventAt: row.event_at instanceof Date ? row.event_at.toISOString() : row.event_at,
+    latitude: Number(row.latitude),
+    longitude: Number(row.longitude),
+    // Same magnitude the detection engine compares against its thresholds
+    zCorrected: Number.isFinite(z) ? z : null,
+    speed: normalized && Number.isFinite(normalized.speed) ? normalized.speed : null,
+    gpsFix: gpsFix === undefined || gpsFix === null ? null : Boolean(gpsFix),
+    roadFeatureId: row.road_feature_id,
+    confidenceScore: row.confidence_score === null ? null : Number(row.confidence_score),
+    readingFound: Boolean(reading),
+  };
+}
+
+/**
+ * Build the labeled dataset.
+ * options: { from?, to? (YYYY-MM-DD, event time), labels?, includeReports?, limit? }
+ * Returns { rows, summary }.
+ */
+async function buildLabeledDataset(options = {}) {
+  const limit = Math.min(Math.max(Number(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const events = await loadLabeledEvents({ ...options, limit });
+  const readings = await loadReadings(events);
+
+  const rows = events.map((row) => toDatasetRow(row, readings.get(row.source_key) || null));
+
+  const byLabel = Object.fromEntries(LABELS.map((l) => [l, 0]));
+  for (const row of rows) byLabel[row.label] += 1;
+
+  return {
+    rows,
+    summary: {
+      total: rows.length,
+      byLabel,
+      missingReadings: rows.filter((r) => !r.readingFound && r.source !== "report").length,
+      truncated: rows.length === limit,
+    },
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.join(",")];
+  for (const row of rows) lines.push(COLUMNS.map((c) => csvValue(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+function toJsonl(rows) {
+  return rows.map((row) => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : "");
+}
+
+// Parse a comma-separated ?labels= value; returns null when absent, false when invalid.
+function parseLabels(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const labels = String(value).split(",").map((l) => l.trim()).filter(Boolean);
+  return labels.length && labels.every((l) => LABELS.includes(l)) ? labels : false;
+}
+
+module.exports = {
+  LABELS,
+  COLUMNS,
+  buildLabeledDataset,
+  toCsv,
+  toJsonl,
+  parseLabels,
+};
@@ -0,0 +1,95 @@
+// Confidence that an aggregated location is a real defect.
+//
+// report_count counts every event, so one phone driving over the same spot twenty
+// times looks like a hotspot. Confidence instead counts independent confirmations:
+// distinct devices and distinct days with at least one event at the location in its
+// current repair cycle.
+//
+//   score = DEVICE_WEIGHT * min(devices / TARGET_DEVICES, 1)
+//         + (1 - DEVICE_WEIGHT) * min(days / TARGET_DAYS, 1)
+//
+// Env:
+// CONFIDENCE_TARGET_DEVICES  devices for full device credit (default 3)
+// CONFIDENCE_TARGET_DAYS     days for full day credit (default 2)
+// CONFIDENCE_DEVICE_WEIGHT   share of the score given to devices (default 0.7)
+//
+// With the defaults a single device on a single day scores 0.38, two devices 0.62,
+// three devices over two days 1.0.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const TARGET_DEVICES = Math.max(1, envNumber("CONFIDENCE_TARGET_DEVICES", 3));
+const TARGET_DAYS = Math.max(1, envNumber("CONFIDENCE_TARGET_DAYS", 2));
+const DEVICE_WEIGHT = Math.min(Math.max(envNumber("CONFIDENCE_DEVICE_WEIGHT", 0.7), 0), 1);
+
+const REFRESH_CHUNK = 500;
+
+function computeConfidence({ devices = 0, days = 0 } = {}) {
+  const deviceScore = Math.min(Number(devices) / TARGET_DEVICES, 1);
+  const dayScore = Math.min(Number(days) / TARGET_DAYS, 1);
+  const score = DEVICE_WEIGHT * deviceScore + (1 - DEVICE_WEIGHT) * dayScore;
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Recompute distinct_devices / distinct_days / confidence_score for the given locations
+ * from aggregated_location_events, and copy the device count onto the locations'
+ * pothole_detections.confirmation_count. Runs on the caller's connection/transaction.
+ */
+async function refreshLocationConfidence(connection, locationIds) {
+  const ids = [...new Set(locationIds.filter((id) => id !== null && id !== undefined))];
+
+  for (let i = 0; i < ids.length; i += REFRESH_CHUNK) {
+    const chunk = ids.slice(i, i + REFRESH_CHUNK);
+
+    const [stats] = await connection.query(
+      `SELECT e.aggregated_location_id AS id,
+              COUNT(DISTINCT e.device_key) AS devices,
+              COUNT(DISTINCT DATE(e.event_at)) AS days
+       FROM aggregated_location_events e
+       JOIN aggregated_locations al ON al.id = e.aggregated_location_id AND e.repair_cycle = al.repair_cycle
+       WHERE e.aggregated_location_id IN (?)
+       GROUP BY e.aggregated_location_id`,
+      [chunk]
+    );
+    const byId = new Map(stats.map((s) => [String(s.id), s]));
+
+    for (const id of chunk) {
+      const s = byId.get(String(id)) || { devices: 0, days: 0 };
+      await connection.query(
+        `UPDATE aggregated_locations
+         SET distinct_devices = ?, distinct_days = ?, confidence_score = ?
+         WHERE id = ?`,
+        [Number(s.devices), Number(s.days), computeConfidence(s), id]
+      );
+    }
+
+    await connection.query(
+      `UPDATE pothole_detections pd
+       JOIN aggregated_location_events e
+         ON e.source = 'report' AND e.event_type = 'pothole' AND e.source_row_id = pd.id
+       JOIN aggregated_locations al ON al.id = e.aggregated_location_id AND e.repair_cycle = al.repair_cycle
+       SET pd.confirmation_count = al.distinct_devices
+       WHERE al.id IN (?)`,
+      [chunk]
+    );
+  }
+}
+
+// Parse a ?minConfidence= query value; returns null when absent, NaN when invalid.
+function parseMinConfidence(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : NaN;
+}
+
+module.exports = {
+  computeConfidence,
+  refreshLocationConfidence,
+  parseMinConfidence,
+};
@@ -0,0 +1,168 @@
+const db = require("../config/db");
+const { ACTIVE_ASSIGNMENT_STATUSES } = require("../utils/locationStatus");
+
+// Admin review of aggregated locations.
+//
+// New locations backed by little independent evidence (low confidence_score) land in
+// a review queue. An admin approves them (they stay 'pending' and leave the queue) or
+// rejects them as status 'false_positive' with a reason. Any active location can also
+// be marked false positive outside the queue. Every decision is stored in
+// location_labels as ground truth for tuning detection.
+//
+// Env:
+// REVIEW_MAX_CONFIDENCE  locations below this score are queued (default 0.5)
+// REVIEW_WINDOW_DAYS     only locations created within this many days (default 14)
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const REVIEW_MAX_CONFIDENCE = envNumber("REVIEW_MAX_CONFIDENCE", 0.5);
+const REVIEW_WINDOW_DAYS = Math.max(1, envNumber("REVIEW_WINDOW_DAYS", 14));
+
+const INVALID_REASONS = new Set([
+  "not_a_pothole",
+  "road_feature",
+  "gps_error",
+  "vehicle_motion",
+  "duplicate",
+  "other",
+]);
+
+// Statuses that cannot be marked false positive (already out of the active set).
+const FINAL_STATUSES = new Set(["closed", "false_positive"]);
+
+function reviewError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Unreviewed pending locations below `maxConfidence`, created in the last `days` days.
+ */
+async function listReviewQueue({ maxConfidence = REVIEW_MAX_CONFIDENCE, days = REVIEW_WINDOW_DAYS, limit = 100 } = {}) {
+  const [locations] = await db.promise().query(
+    `SELECT al.*,
+            (SELECT COUNT(*) FROM aggregated_location_events e
+             WHERE e.aggregated_location_id = al.id AND e.repair_cycle = al.repair_cycle) AS event_count
+     FROM aggregated_locations al
+     WHERE al.status = 'pending'
+       AND al.review_status IS NULL
+       AND al.confidence_score < ?
+       AND al.created_at >= NOW() - INTERVAL ? DAY
+     ORDER BY FIELD(al.highest_severity, 'High', 'Medium', 'Low'), al.created_at DESC
+     LIMIT ?`,
+    [maxConfidence, days, limit]
+  );
+
+  const [[{ total }]] = await db.promise().query(
+    `SELECT COUNT(*) AS total
+     FROM aggregated_locations
+     WHERE status = 'pending' AND review_status IS NULL AND confidence_score < ? AND created_at >= NOW() - INTERVAL ? DAY`,
+    [maxConfidence, days]
+  );
+
+  return { maxConfidence, days, total: Number(total), locations };
+}
+
+async function lockLocation(connection, locationId) {
+  const [rows] = await connection.query(
+    "SELECT id, status, review_status, repair_cycle, confidence_score FROM aggregated_locations WHERE id = ? FOR UPDATE",
+    [locationId]
+  );
+  if (!rows.length) throw reviewError("LOCATION_NOT_FOUND", "Location not found");
+  return rows[0];
+}
+
+async function insertLabel(connection, location, { label, reason = null, notes = null, source, userId }) {
+  await connection.query(
+    `INSERT INTO location_labels
+     (aggregated_location_id, repair_cycle, label, reason, notes, source, confidence_score, labeled_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [location.id, location.repair_cycle, label, reason, notes, source, location.confidence_score, userId]
+  );
+}
+
+async function inTransaction(work) {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Approve a queued location: it stays 'pending' and is labeled a real pothole.
+async function approveLocation(locationId, { notes = null, userId = null } = {}) {
+  return inTransaction(async (connection) => {
+    const location = await lockLocation(connection, locationId);
+    if (location.status !== "pending" || location.review_status) {
+      throw reviewError("LOCATION_NOT_REVIEWABLE", `Location is not awaiting review (status ${location.status})`);
+    }
+
+    await connection.query(
+      "UPDATE aggregated_locations SET review_status = 'approved', reviewed_by = ?, reviewed_at = NOW() WHERE id = ?",
+      [userId, location.id]
+    );
+    await insertLabel(connection, location, { label: "pothole", notes, source: "review_queue", userId });
+
+    return { locationId: location.id, status: "pending", reviewStatus: "approved" };
+  });
+}
+
+/**
+ * Mark a location as a false positive (rejected from the review queue when
+ * source = 'review_queue'). Locations with a contractor still on the job are refused.
+ */
+async function markFalsePositive(locationId, { reason, notes = null, userId = null, source = "admin" } = {}) {
+  if (!INVALID_REASONS.has(reason)) {
+    throw reviewError("INVALID_REASON", `reason must be one of ${[...INVALID_REASONS].join(", ")}`);
+  }
+
+  return inTransaction(async (connection) => {
+    const location = await lockLocation(connection, locationId);
+    if (FINAL_STATUSES.has(location.status)) {
+      throw reviewError("LOCATION_NOT_REVIEWABLE", `Location is already ${location.status}`);
+    }
+    if (source === "review_queue" && (location.status !== "pending" || location.review_status)) {
+      throw reviewError("LOCATION_NOT_REVIEWABLE", `Location is not awaiting review (status ${location.status})`);
+    }
+
+    const [active] = await connection.query(
+      "SELECT id FROM work_assignments WHERE aggregated_location_id = ? AND status IN (?) LIMIT 1",
+      [location.id, ACTIVE_ASSIGNMENT_STATUSES]
+    );
+    if (active.length) {
+      throw reviewError("LOCATION_HAS_ACTIVE_ASSIGNMENT", `Location has an active work assignment (#${active[0].id})`);
+    }
+
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET status = 'false_positive', review_status = 'rejected', invalid_reason = ?, reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [reason, userId, location.id]
+    );
+    await insertLabel(connection, location, { label: "false_positive", reason, notes, source, userId });
+
+    return { locationId: location.id, previousStatus: location.status, status: "false_positive", reason };
+  });
+}
+
+module.exports = {
+  REVIEW_MAX_CONFIDENCE,
+  REVIEW_WINDOW_DAYS,
+  INVALID_REASONS,
+  listReviewQueue,
+  approveLocation,
+  markFalsePositive,
+};
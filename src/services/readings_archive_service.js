@@ -0,0 +1,120 @@
+const { getReadingsSource } = require("./readings_source_service");
+const { ensureCursors } = require("./firebase_cursor_service");
+const { eventTimestampMs } = require("./detection_engine_service");
+
+// Read access to the archived raw readings (every collection the readings sync has
+// discovered) for offline analysis: threshold what-if replays and device calibration.
+// Everything is loaded into memory, so callers cap the number of readings.
+//
+// The window and the cap are applied in the query of each collection: a collection
+// gets the newest readings of its window, up to what is left of `maxReadings` after the
+// collections before it, so no more than `maxReadings` readings are downloaded in total.
+// Over the cap, later collections get fewer readings or none. How a collection is
+// windowed depends on its newest reading: numeric keys (unix seconds or ms) are
+// bounded with orderByKey(); otherwise a payload timestamp / Timestamp is bounded with
+// orderByChild(), which needs an ".indexOn" rule on that child to filter server-side.
+// Collections with neither are only capped.
+
+const DEFAULT_MAX_READINGS = 200000;
+// Hard limit for a caller-supplied maxReadings
+const MAX_READINGS = 500000;
+
+const isSeconds = (value) => Number(value) < 1e12;
+
+// Query for `collectionRef` restricted to [fromMs, toMs) as far as its readings allow
+async function windowedQuery(collectionRef, { fromMs, toMs, maxReadings }) {
+  const sampleSnap = await collectionRef.orderByKey().limitToLast(1).once("value");
+  let sampleKey = null;
+  let sample = null;
+  sampleSnap.forEach((child) => {
+    sampleKey = child.key;
+    sample = child.val();
+  });
+  if (sampleKey === null) return null;
+
+  const byKey = /^\d+$/.test(sampleKey);
+  const field = byKey ? null : ["timestamp", "Timestamp"].find((f) => Number.isFinite(Number(sample?.[f])));
+  if (!byKey && !field) return collectionRef.orderByKey().limitToLast(maxReadings);
+
+  let query = byKey ? collectionRef.orderByKey() : collectionRef.orderByChild(field);
+  const seconds = isSeconds(byKey ? sampleKey : sample[field]);
+  // Bounds must have the type of what is ordered: keys and string payloads compare as strings
+  const asString = byKey || typeof sample[field] === "string";
+  const toBound = (ms) => {
+    const value = seconds ? Math.ceil(ms / 1000) : ms;
+    return asString ? String(value) : value;
+  };
+
+  if (fromMs !== null) query = query.startAt(toBound(fromMs));
+  if (toMs !== null) query = query.endBefore(toBound(toMs));
+  return query.limitToLast(maxReadings);
+}
+
+// Parse a maxReadings option; DEFAULT_MAX_READINGS when absent, NaN when invalid or above MAX_READINGS.
+function parseMaxReadings(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_MAX_READINGS;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_READINGS ? n : NaN;
+}
+
+// Raw readings of every readings collection, oldest first, within [fromMs, toMs].
+async function loadArchivedEntries({ fromMs = null, toMs = null, maxReadings = DEFAULT_MAX_READINGS } = {}) {
+  const rootPath = process.env.FIREBASE_READINGS_PATH || process.env.FIREBASE_REPORTS_PATH || "UsersData";
+  const source = getReadingsSource();
+  const rootRef = source.ref(rootPath);
+
+  const entries = [];
+  let capped = false;
+  let remaining = maxReadings;
+  const cursors = await ensureCursors({ syncName: "readings", rootPath });
+
+  for (const cursor of cursors) {
+    if (remaining <= 0) {
+      capped = true;
+      break;
+    }
+    const relative = cursor.firebase_path === rootPath
+      ? []
+      : cursor.firebase_path.slice(rootPath.length + 1).split("/");
+    const collectionRef = relative.length ? rootRef.child(relative.join("/")) : rootRef;
+
+    const query = await windowedQuery(collectionRef, { fromMs, toMs, maxReadings: remaining });
+    if (!query) continue;
+
+    const snap = await query.once("value");
+    let fetched = 0;
+    snap.forEach((child) => {
+      fetched += 1;
+      const reading = child.val();
+      if (reading && typeof reading === "object") {
+        entries.push({ key: child.key, pathParts: [...relative, child.key], reading });
+      }
+    });
+    // A full page may have left older readings of the window behind
+    if (fetched >= remaining) capped = true;
+    remaining -= fetched;
+  }
+
+  // Exact window on eventTimestampMs (payload first, then key), as the sync uses
+  const inWindow = entries
+    .map((entry) => ({ entry, ts: eventTimestampMs(entry.key, entry.reading) || 0 }))
+    .filter(({ ts }) => (fromMs === null || ts >= fromMs) && (toMs === null || ts < toMs))
+    .sort((a, b) => a.ts - b.ts);
+
+  // Keep the most recent readings when over the cap
+  const kept = inWindow.length > maxReadings ? inWindow.slice(inWindow.length - maxReadings) : inWindow;
+
+  return {
+    rootPath,
+    collections: cursors.length,
+    entries: kept.map((x) => x.entry),
+    truncated: capped || kept.length < inWindow.length,
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_READINGS,
+  MAX_READINGS,
+  parseMaxReadings,
+  loadArchivedEntries,
+};
@@ -0,0 +1,358 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { getFirebaseAdmin } = require("../config/firebase");
+
+// ReadingsSource: where the ingestion controllers read readings/reports from and
+// write `_migration` markers back to.
+//
+// Every source exposes `ref(path)`, returning an object with the subset of the
+// Firebase RTDB Reference API the sync code uses:
+//   child(path), key, toString()
+//   once("value")                      -> snapshot { key, ref, val(), exists(), forEach() }
+//   orderByKey() / orderByChild(c) .startAt(v) / startAfter(v) / endAt(v) / endBefore(v)
+//     .limitToFirst(n) / limitToLast(n) .once("value")
+//   on("child_added" | "child_changed", cb), off(event, cb)
+//   update(values), set(value)
+//
+// and `shallow(path)`: the node's direct children without their contents, as
+// { childKey: true } for object children and { childKey: value } for primitives
+// (null when the node does not exist), like the RTDB REST API's ?shallow=true.
+//
+// Env:
+// READINGS_SOURCE       firebase (default) | file
+// READINGS_SOURCE_FILE  JSON file used by the file source (default: data/readings.json)
+//
+// The file source keeps the whole tree in memory, persists every write to disk and
+// polls the file for external edits, so appending readings to the JSON while the
+// server runs fires child_added/child_changed just like Firebase does.
+
+function createFirebaseReadingsSource() {
+  return {
+    name: "firebase",
+    ref(refPath) {
+      return getFirebaseAdmin().database().ref(refPath);
+    },
+    // The Admin SDK has no shallow read, so this goes through the REST API.
+    async shallow(refPath) {
+      const app = getFirebaseAdmin().app();
+      const { access_token: token } = await app.options.credential.getAccessToken();
+      const base = String(app.options.databaseURL).replace(/\/+$/, "");
+      const encoded = splitPath(refPath).map(encodeURIComponent).join("/");
+
+      const res = await fetch(`${base}/${encoded}.json?shallow=true`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        throw new Error(`Shallow read of "${refPath}" failed: HTTP ${res.status}`);
+      }
+      return res.json();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Local JSON file source
+// ---------------------------------------------------------------------------
+
+function splitPath(p) {
+  return String(p || "")
+    .split("/")
+    .filter((s) => s !== "");
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Firebase orderByKey(): integer-like keys first (numerically), then strings lexicographically.
+function compareKeys(a, b) {
+  const aInt = /^-?\d+$/.test(a);
+  const bInt = /^-?\d+$/.test(b);
+  if (aInt && bInt) return Number(a) - Number(b);
+  if (aInt) return -1;
+  if (bInt) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// orderByChild() values: missing/null first, then numbers, then strings.
+function compareValues(a, b) {
+  const rank = (v) => (v === null || v === undefined ? 0 : typeof v === "number" ? 1 : 2);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 0) return 0;
+  if (rank(a) === 1) return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function sortedChildKeys(node) {
+  if (!node || typeof node !== "object") return [];
+  return Object.keys(node).sort(compareKeys);
+}
+
+function createFileReadingsSource(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  let tree = {};
+  if (fs.existsSync(resolvedPath)) {
+    tree = JSON.parse(fs.readFileSync(resolvedPath, "utf8") || "{}") || {};
+  }
+
+  // path string -> number of child listeners attached there
+  const listenedPaths = new Map();
+  let watching = false;
+
+  function getAt(parts) {
+    let node = tree;
+    for (const part of parts) {
+      if (!node || typeof node !== "object") return null;
+      node = node[part];
+    }
+    return node === undefined ? null : node;
+  }
+
+  function setAt(parts, value) {
+    if (parts.length === 0) {
+      tree = value && typeof value === "object" ? value : {};
+      return;
+    }
+    let node = tree;
+    for (const part of parts.slice(0, -1)) {
+      if (!node[part] || typeof node[part] !== "object") node[part] = {};
+      node = node[part];
+    }
+    const last = parts[parts.length - 1];
+    if (value === null || value === undefined) delete node[last];
+    else node[last] = value;
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const tmp = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(tree, null, 2));
+    fs.renameSync(tmp, resolvedPath);
+  }
+
+  function makeSnapshot(parts, value) {
+    const snapshot = {
+      key: parts.length ? parts[parts.length - 1] : null,
+      ref: makeRef(parts),
+      val: () => clone(value),
+      exists: () => value !== null && value !== undefined,
+      child: (p) => {
+        const childParts = [...parts, ...splitPath(p)];
+        return makeSnapshot(childParts, getAt(childParts));
+      },
+      forEach: (cb) => {
+        for (const k of sortedChildKeys(value)) {
+          if (cb(makeSnapshot([...parts, k], value[k])) === true) return true;
+        }
+        return false;
+      },
+    };
+    return snapshot;
+  }
+
+  // Emit child events for every listened ancestor of the changed paths.
+  // `before` maps listened path -> { childKey: serialized value } captured pre-change.
+  function captureListened() {
+    const out = new Map();
+    for (const p of listenedPaths.keys()) {
+      const node = getAt(splitPath(p));
+      const children = {};
+      for (const k of sortedChildKeys(node)) children[k] = JSON.stringify(node[k]);
+      out.set(p, children);
+    }
+    return out;
+  }
+
+  function emitDiff(before) {
+    for (const [p, prevChildren] of before.entries()) {
+      const parts = splitPath(p);
+      const node = getAt(parts);
+      for (const k of sortedChildKeys(node)) {
+        const serialized = JSON.stringify(node[k]);
+        if (!(k in prevChildren)) {
+          emitter.emit(`child_added:${p}`, makeSnapshot([...parts, k], node[k]));
+        } else if (prevChildren[k] !== serialized) {
+          emitter.emit(`child_changed:${p}`, makeSnapshot([...parts, k], node[k]));
+        }
+      }
+    }
+  }
+
+  function mutate(fn) {
+    const before = captureListened();
+    fn();
+    persist();
+    // Firebase fires local events asynchronously as well
+    setImmediate(() => emitDiff(before));
+  }
+
+  function startWatchingFile() {
+    if (watching) return;
+    watching = true;
+    const watcher = fs.watchFile(resolvedPath, { interval: 1000 }, () => {
+      let next;
+      try {
+        next = JSON.parse(fs.readFileSync(resolvedPath, "utf8") || "{}") || {};
+      } catch (e) {
+        console.error(`[FileReadingsSource] ignoring unreadable ${resolvedPath}: ${e.message}`);
+        return;
+      }
+      const before = captureListened();
+      tree = next;
+      emitDiff(before);
+    });
+    if (watcher && typeof watcher.unref === "function") watcher.unref();
+  }
+
+  function makeQuery(parts, orderChild = null) {
+    const q = { startAt: null, startAfter: null, endAt: null, endBefore: null, limitFirst: null, limitLast: null };
+    const bound = (value) => (value === undefined || value === null ? null : orderChild === null ? String(value) : value);
+
+    const query = {
+      startAt(value) {
+        q.startAt = bound(value);
+        return query;
+      },
+      startAfter(value) {
+        q.startAfter = bound(value);
+        return query;
+      },
+      endAt(value) {
+        q.endAt = bound(value);
+        return query;
+      },
+      endBefore(value) {
+        q.endBefore = bound(value);
+        return query;
+      },
+      limitToFirst(n) {
+        q.limitFirst = n;
+        return query;
+      },
+      limitToLast(n) {
+        q.limitLast = n;
+        return query;
+      },
+      async once() {
+        const node = getAt(parts);
+        let keys = sortedChildKeys(node);
+        // Position of each key under this query's ordering, compared with a bound
+        let compare = (k, value) => compareKeys(k, value);
+        if (orderChild !== null) {
+          const childValue = (k) => (node[k] && typeof node[k] === "object" ? node[k][orderChild] ?? null : null);
+          keys.sort((a, b) => compareValues(childValue(a), childValue(b)) || compareKeys(a, b));
+          compare = (k, value) => compareValues(childValue(k), value);
+        }
+        if (q.startAt !== null) keys = keys.filter((k) => compare(k, q.startAt) >= 0);
+        if (q.startAfter !== null) keys = keys.filter((k) => compare(k, q.startAfter) > 0);
+        if (q.endAt !== null) keys = keys.filter((k) => compare(k, q.endAt) <= 0);
+        if (q.endBefore !== null) keys = keys.filter((k) => compare(k, q.endBefore) < 0);
+        if (q.limitFirst !== null) keys = keys.slice(0, q.limitFirst);
+        if (q.limitLast !== null) keys = keys.slice(-q.limitLast);
+        const out = {};
+        for (const k of keys) out[k] = node[k];
+        return makeSnapshot(parts, keys.length ? out : null);
+      },
+    };
+
+    return query;
+  }
+
+  function makeRef(parts) {
+    const p = parts.join("/");
+
+    return {
+      key: parts.length ? parts[parts.length - 1] : null,
+      child: (childPath) => makeRef([...parts, ...splitPath(childPath)]),
+      toString: () => `file://${resolvedPath}#/${p}`,
+      orderByKey: () => makeQuery(parts),
+      orderByChild: (child) => makeQuery(parts, String(child)),
+      async once() {
+        return makeSnapshot(parts, getAt(parts));
+      },
+      async update(values) {
+        mutate(() => {
+          for (const [k, v] of Object.entries(values || {})) {
+            setAt([...parts, ...splitPath(k)], clone(v));
+          }
+        });
+      },
+      async set(value) {
+        mutate(() => setAt(parts, clone(value)));
+      },
+      on(event, cb) {
+        if (event !== "child_added" && event !== "child_changed") {
+          throw new Error(`FileReadingsSource does not support "${event}" listeners`);
+        }
+        listenedPaths.set(p, (listenedPaths.get(p) || 0) + 1);
+        emitter.on(`${event}:${p}`, cb);
+        startWatchingFile();
+
+        // Like Firebase, child_added fires for every existing child on attach.
+        if (event === "child_added") {
+          const node = getAt(parts);
+          setImmediate(() => {
+            for (const k of sortedChildKeys(node)) cb(makeSnapshot([...parts, k], node[k]));
+          });
+        }
+        return cb;
+      },
+      off(event, cb) {
+        emitter.off(`${event}:${p}`, cb);
+        const n = (listenedPaths.get(p) || 1) - 1;
+        if (n <= 0) listenedPaths.delete(p);
+        else listenedPaths.set(p, n);
+      },
+    };
+  }
+
+  return {
+    name: "file",
+    filePath: resolvedPath,
+    ref(refPath) {
+      return makeRef(splitPath(refPath));
+    },
+    async shallow(refPath) {
+      const node = getAt(splitPath(refPath));
+      if (node === null || typeof node !== "object") return node;
+      const out = {};
+      for (const k of sortedChildKeys(node)) {
+        out[k] = node[k] && typeof node[k] === "object" ? true : node[k];
+      }
+      return out;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+
+let cachedSource = null;
+
+function getReadingsSource() {
+  if (cachedSource) return cachedSource;
+
+  const kind = String(process.env.READINGS_SOURCE || "firebase").toLowerCase();
+  if (kind === "file") {
+    const filePath =
+      process.env.READINGS_SOURCE_FILE || path.resolve(__dirname, "..", "..", "data", "readings.json");
+    cachedSource = createFileReadingsSource(filePath);
+  } else if (kind === "firebase") {
+    cachedSource = createFirebaseReadingsSource();
+  } else {
+    throw new Error(`Unknown READINGS_SOURCE "${kind}" (expected "firebase" or "file")`);
+  }
+
+  return cachedSource;
+}
+
+module.exports = {
+  getReadingsSource,
+  createFirebaseReadingsSource,
+  createFileReadingsSource,
+};
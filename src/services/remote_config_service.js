@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const { DEFAULT_THRESHOLDS, mergeThresholds } = require("./detection_engine_service");
+const { getActiveProfile } = require("./detection_profile_service");
+const { getCalibrationResolver } = require("./device_calibration_service");
+
+// Remote configuration for the phone app and sensor boxes.
+//
+// The served document is built in layers, later layers winning key by key:
+//   1. defaults        built-in values, thresholds of the active detection profile and
+//                      the device's calibration (see device_calibration_service)
+//   2. global          remote_config_layers row with scope 'global'
+//   3. device_model    remote_config_layers row for the device model (case-insensitive)
+//   4. user            the caller's app_settings (alerts, data usage, sensitivity)
+// Each stored layer carries its own version, bumped on every change. The document's
+// version is a hash of its content and doubles as the ETag, so clients send
+// If-None-Match and only download a changed config.
+//
+// Calibration is served so devices can apply it to their own on-device decisions;
+// they keep uploading raw vibration, which the server calibrates itself.
+//
+// Env:
+// REMOTE_CONFIG_MIN_APP_VERSION  default minimum app version (default "0.0.0")
+
+const SCOPES = new Set(["global", "device_model"]);
+const LAYER_KEYS = new Set(["detection", "upload", "minAppVersion", "features"]);
+const UPLOAD_KEYS = { intervalMs: "number", batchSize: "number", wifiOnly: "boolean" };
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+
+const DEFAULT_UPLOAD = { intervalMs: 60000, batchSize: 50, wifiOnly: false };
+const DEFAULT_FEATURES = { potholeDetection: true, patchyDetection: true, alerts: true };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return {};
+  }
+}
+
+// Objects merge key by key; anything else replaces
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+// -1 / 0 / 1 for dotted numeric versions ("1.10.2" > "1.9")
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i += 1) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Validate a layer document ({ detection?: { thresholds? }, upload?, minAppVersion?, features? }).
+ * Returns { ok, message?, value? }.
+ */
+function validateLayerConfig(config) {
+  if (!isPlainObject(config)) return { ok: false, message: "config must be an object" };
+
+  for (const key of Object.keys(config)) {
+    if (!LAYER_KEYS.has(key)) {
+      return { ok: false, message: `Unknown config key "${key}" (allowed: ${[...LAYER_KEYS].join(", ")})` };
+    }
+  }
+
+  const value = {};
+
+  if (config.detection !== undefined) {
+    if (!isPlainObject(config.detection) || Object.keys(config.detection).some((k) => k !== "thresholds")) {
+      return { ok: false, message: "detection may only contain thresholds" };
+    }
+    try {
+      // Validate keys and values only; the layer keeps just its own overrides
+      mergeThresholds(config.detection.thresholds || {});
+    } catch (error) {
+      return { ok: false, message: error.message };
+    }
+    value.detection = {
+      thresholds: Object.fromEntries(
+        Object.entries(config.detection.thresholds || {}).map(([k, v]) => [k, Number(v)])
+      ),
+    };
+  }
+
+  if (config.upload !== undefined) {
+    if (!isPlainObject(config.upload)) return { ok: false, message: "upload must be an object" };
+    value.upload = {};
+    for (const [key, v] of Object.entries(config.upload)) {
+      if (!UPLOAD_KEYS[key]) return { ok: false, message: `Unknown upload setting "${key}"` };
+      if (UPLOAD_KEYS[key] === "number" && !(Number.isInteger(v) && v > 0)) {
+        return { ok: false, message: `upload.${key} must be a positive integer` };
+      }
+      if (UPLOAD_KEYS[key] === "boolean" && typeof v !== "boolean") {
+        return { ok: false, message: `upload.${key} must be true or false` };
+      }
+      value.upload[key] = v;
+    }
+  }
+
+  if (config.minAppVersion !== undefined) {
+    if (!VERSION_PATTERN.test(String(config.minAppVersion))) {
+      return { ok: false, message: "minAppVersion must look like 1.2.3" };
+    }
+    value.minAppVersion = String(config.minAppVersion);
+  }
+
+  if (config.features !== undefined) {
+    if (!isPlainObject(config.features) || Object.values(config.features).some((v) => typeof v !== "boolean")) {
+      return { ok: false, message: "features must map feature names to true/false" };
+    }
+    value.features = { ...config.features };
+  }
+
+  return { ok: true, value };
+}
+
+async function listLayers() {
+  const [rows] = await db.promise().query(
+    `SELECT l.*, u.email AS updated_by_email
+     FROM remote_config_layers l
+     LEFT JOIN users u ON l.updated_by = u.id
+     ORDER BY FIELD(l.scope, 'global', 'device_model'), l.scope_key`
+  );
+  return rows.map((row) => ({ ...row, config: parseJson(row.config) }));
+}
+
+/**
+ * Replace the global layer (scope 'global') or one device model's layer.
+ * Returns the stored row; its version goes up by one on every change.
+ */
+async function upsertLayer({ scope, key = null, config, notes = null, userId = null }) {
+  const scopeKey = scope === "global" ? "" : String(key || "").trim().toLowerCase();
+
+  await db.promise().query(
+    `INSERT INTO remote_config_layers (scope, scope_key, config, version, notes, updated_by)
+     VALUES (?, ?, ?, 1, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       config = VALUES(config),
+       version = version + 1,
+       notes = VALUES(notes),
+       updated_by = VALUES(updated_by)`,
+    [scope, scopeKey, JSON.stringify(config), notes, userId]
+  );
+
+  const [rows] = await db.promise().query(
+    "SELECT * FROM remote_config_layers WHERE scope = ? AND scope_key = ?",
+    [scope, scopeKey]
+  );
+  return { ...rows[0], config: parseJson(rows[0].config) };
+}
+
+async function deleteLayer(id) {
+  const [result] = await db.promise().query("DELETE FROM remote_config_layers WHERE id = ?", [id]);
+  return result.affectedRows > 0;
+}
+
+async function loadUser(userId) {
+  if (!userId) return { user: null, settings: null };
+  const [[users], [settings]] = await Promise.all([
+    db.promise().query("SELECT id, device_id, device_model, app_version FROM users WHERE id = ?", [userId]),
+    db.promise().query("SELECT * FROM app_settings WHERE user_id = ?", [userId]),
+  ]);
+  return { user: users[0] || null, settings: settings[0] || null };
+}
+
+// Only the settings the user actually set; NULL columns keep the model / default values.
+function userLayer(settings) {
+  if (!settings) return null;
+  const set = (column) => settings[column] !== null && settings[column] !== undefined;
+
+  const layer = { detection: {}, upload: {}, alerts: {} };
+  if (set("sensitivity")) layer.detection.sensitivity = settings.sensitivity;
+  if (set("data_usage")) layer.upload.wifiOnly = settings.data_usage === "wifi-only";
+  if (set("alerts_enabled")) layer.alerts.enabled = Boolean(settings.alerts_enabled);
+  if (set("alert_sound")) layer.alerts.sound = Boolean(settings.alert_sound);
+  if (set("alert_vibration")) layer.alerts.vibration = Boolean(settings.alert_vibration);
+  return layer;
+}
+
+/**
+ * Resolve the detection config for one client.
+ * deviceModel / appVersion default to what the authenticated user registered.
+ * Returns { etag, config }.
+ */
+async function resolveDetectionConfig({ deviceModel = null, appVersion = null, userId = null } = {}) {
+  const [{ user, settings }, profile, calibration] = await Promise.all([
+    loadUser(userId),
+    getActiveProfile(),
+    getCalibrationResolver(),
+  ]);
+
+  const model = deviceModel || user?.device_model || null;
+  const version = appVersion || user?.app_version || null;
+  const modelKey = model ? String(model).trim().toLowerCase() : null;
+
+  const [rows] = await db.promise().query(
+    `SELECT scope, scope_key, config, version FROM remote_config_layers
+     WHERE scope = 'global' OR (scope = 'device_model' AND scope_key = ?)`,
+    [modelKey || ""]
+  );
+  const globalRow = rows.find((r) => r.scope === "global");
+  const modelRow = modelKey ? rows.find((r) => r.scope === "device_model") : null;
+
+  const deviceCalibration = calibration(user?.device_id ?? "", { deviceModel: model });
+
+  let config = {
+    detection: {
+      profileVersion: profile.version,
+      thresholds: { ...DEFAULT_THRESHOLDS, ...profile.thresholds },
+      sensitivity: "medium",
+    },
+    calibration: {
+      scale: deviceCalibration ? deviceCalibration.scale : 1,
+      offset: deviceCalibration ? deviceCalibration.offset : 0,
+    },
+    upload: { ...DEFAULT_UPLOAD },
+    minAppVersion: process.env.REMOTE_CONFIG_MIN_APP_VERSION || "0.0.0",
+    features: { ...DEFAULT_FEATURES },
+    alerts: { enabled: true, sound: true, vibration: true },
+  };
+
+  const layers = [{ scope: "defaults", version: profile.version }];
+  if (globalRow) {
+    config = deepMerge(config, parseJson(globalRow.config));
+    layers.push({ scope: "global", version: globalRow.version });
+  }
+  if (modelRow) {
+    config = deepMerge(config, parseJson(modelRow.config));
+    layers.push({ scope: "device_model", key: modelRow.scope_key, version: modelRow.version });
+  }
+  const fromUser = userLayer(settings);
+  if (fromUser) {
+    config = deepMerge(config, fromUser);
+    layers.push({ scope: "user" });
+  }
+
+  config.updateRequired = Boolean(
+    version && VERSION_PATTERN.test(String(version)) && compareVersions(version, config.minAppVersion) < 0
+  );
+  config.deviceModel = model;
+  config.layers = layers;
+
+  const hash = crypto.createHash("sha1").update(JSON.stringify(config)).digest("hex").slice(0, 16);
+  return { etag: `"${hash}"`, config: { version: hash, ...config } };
+}
+
+module.exports = {
+  SCOPES,
+  validateLayerConfig,
+  listLayers,
+  upsertLayer,
+  deleteLayer,
+  resolveDetectionConfig,
+};
@@ -0,0 +1,105 @@
+const db = require("../config/db");
+const { createReworkIfUnderLiability } = require("./defect_liability_service");
+
+// Repair cycles of aggregated locations.
+//
+// A location that was repaired (verified / fixed) and then receives fresh detections
+// is a recurrence, not more of the same defect. Instead of silently adding to the
+// repaired counters, ingestion reopens it: the finished cycle's counters, status and
+// contractor are archived in aggregated_location_cycles, the live row restarts at
+// zero in status 'pending' with repair_cycle + 1, and it is flagged as a regression
+// of the work assignment that closed the previous cycle. Inside the contractor's
+// defect liability period the same contractor also gets a rework assignment.
+
+const REOPEN_STATUSES = new Set(["verified", "fixed"]);
+
+/**
+ * Reopen the repaired locations among `rows` ({ id, status, verified_at, highest_severity }) inside the caller's
+ * transaction. Rows must already be locked (SELECT ... FOR UPDATE).
+ * Returns the set of reopened location ids.
+ */
+async function reopenRepairedLocations(connection, rows) {
+  const reopened = new Set();
+
+  for (const row of rows) {
+    if (!REOPEN_STATUSES.has(row.status)) continue;
+
+    const [assignments] = await connection.query(
+      `SELECT id, contractor_id, status FROM work_assignments
+       WHERE aggregated_location_id = ?
+       ORDER BY id DESC
+       LIMIT 1`,
+      [row.id]
+    );
+    const assignment = assignments[0] || null;
+
+    await connection.query(
+      `INSERT INTO aggregated_location_cycles
+       (aggregated_location_id, cycle_number, total_potholes, total_patchy, highest_severity, report_count,
+        distinct_devices, confidence_score, first_reported_at, last_reported_at, final_status, verified_at,
+        work_assignment_id, contractor_id, started_at, ended_at)
+       SELECT id, repair_cycle, total_potholes, total_patchy, highest_severity, report_count,
+              distinct_devices, confidence_score, first_reported_at, last_reported_at, status, verified_at,
+              ?, ?, COALESCE(reopened_at, created_at), NOW()
+       FROM aggregated_locations
+       WHERE id = ?`,
+      [assignment?.id ?? null, assignment?.contractor_id ?? null, row.id]
+    );
+
+    await connection.query(
+      `UPDATE aggregated_locations
+       SET total_potholes = 0,
+           total_patchy = 0,
+           report_count = 0,
+           highest_severity = 'Low',
+           distinct_devices = 0,
+           distinct_days = 0,
+           confidence_score = 0,
+           first_reported_at = NULL,
+           last_reported_at = NULL,
+           status = 'pending',
+           verified_at = NULL,
+           repair_cycle = repair_cycle + 1,
+           is_regression = TRUE,
+           regression_of_assignment_id = ?,
+           reopened_at = NOW()
+       WHERE id = ?`,
+      [assignment?.id ?? null, row.id]
+    );
+
+    const reworkId = await createReworkIfUnderLiability(connection, {
+      locationId: row.id,
+      assignment,
+      verifiedAt: row.verified_at,
+      severity: row.highest_severity,
+    });
+    if (reworkId) {
+      await connection.query(
+        "UPDATE aggregated_location_cycles SET rework_assignment_id = ? WHERE aggregated_location_id = ? AND work_assignment_id = ?",
+        [reworkId, row.id, assignment.id]
+      );
+    }
+
+    reopened.add(row.id);
+  }
+
+  return reopened;
+}
+
+async function listLocationCycles(locationId) {
+  const [rows] = await db.promise().query(
+    `SELECT lc.*, c.company_name AS contractor_name
+     FROM aggregated_location_cycles lc
+     LEFT JOIN contractors c ON lc.contractor_id = c.id
+     WHERE lc.aggregated_location_id = ?
+     ORDER BY lc.cycle_number ASC`,
+    [locationId]
+  );
+  return rows;
+}
+
+module.exports = {
+  REOPEN_STATUSES,
+  reopenRepairedLocations,
+  listLocationCycles,
+};
@@ -1,4 +1,5 @@
 const db = require("../config/db");
+const { upsertAggregatedEvents } = require("./aggregated_location_service");
 
 // Helper function to convert ISO datetime to MySQL format
 const toMySQLDatetime = (isoString) => {
@@ -7,6 +8,13 @@ const toMySQLDatetime = (isoString) => {
   return date.toISOString().slice(0, 19).replace("T", " ");
 };
 
+// ISO datetime -> unix ms (null when missing/unparseable, i.e. "now")
+const toUnixMs = (isoString) => {
+  if (!isoString) return null;
+  const ms = Date.parse(isoString);
+  return Number.isFinite(ms) ? ms : null;
+};
+
 const severityOrder = { Low: 1, Medium: 2, High: 3 };
 
 function validateReportPayload(payload) {
@@ -72,58 +80,6 @@ function validateReportPayload(payload) {
   return { ok: true };
 }
 
-async function updateAggregatedLocation(connection, data, type) {
-  const lat = parseFloat(data.latitude).toFixed(4);
-  const lng = parseFloat(data.longitude).toFixed(4);
-  const gridId = `${lat}_${lng}`;
-
-  const severity = data.severity || "Medium";
-
-  // Check if grid exists
-  const [existing] = await connection.query(
-    "SELECT * FROM aggregated_locations WHERE grid_id = ?",
-    [gridId]
-  );
-
-  if (existing.length > 0) {
-    const current = existing[0];
-    const newHighest =
-      severityOrder[severity] > severityOrder[current.highest_severity]
-        ? severity
-        : current.highest_severity;
-
-    await connection.query(
-      `UPDATE aggregated_locations 
-       SET total_potholes = total_potholes + ?,
-           total_patchy = total_patchy + ?,
-           highest_severity = ?,
-           report_count = report_count + 1,
-           last_reported_at = NOW()
-       WHERE grid_id = ?`,
-      [
-        type === "pothole" ? 1 : 0,
-        type === "patchy" ? 1 : 0,
-        newHighest,
-        gridId,
-      ]
-    );
-  } else {
-    await connection.query(
-      `INSERT INTO aggregated_locations 
-       (grid_id, latitude, longitude, total_potholes, total_patchy, highest_severity, first_reported_at, last_reported_at)
-       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [
-        gridId,
-        lat,
-        lng,
-        type === "pothole" ? 1 : 0,
-        type === "patchy" ? 1 : 0,
-        severity,
-      ]
-    );
-  }
-}
-
 async function ingestReportWithinTransaction(connection, payload) {
   const validation = validateReportPayload(payload);
   if (!validation.ok) {
@@ -158,10 +114,11 @@ async function ingestReportWithinTransaction(connection, payload) {
   );
 
   const dbReportId = reportResult.insertId;
+  const aggregatedEvents = [];
 
   // Insert pothole detections
   for (const pothole of potholes) {
-    await connection.query(
+    const [detection] = await connection.query(
       `INSERT INTO pothole_detections 
        (report_id, location_id, latitude, longitude, severity, timestamp, synced)
        VALUES (?, ?, ?, ?, ?, ?, TRUE)`,
@@ -175,12 +132,22 @@ async function ingestReportWithinTransaction(connection, payload) {
       ]
     );
 
-    await updateAggregatedLocation(connection, pothole, "pothole");
+    aggregatedEvents.push({
+      type: "pothole",
+      latitude: pothole.latitude,
+      longitude: pothole.longitude,
+      severity: pothole.severity || "Medium",
+      timestampMs: toUnixMs(pothole.timestamp),
+      source: "report",
+      sourceKey: report_id,
+      sourceRowId: detection.insertId,
+      deviceKey: device_id,
+    });
   }
 
   // Insert road anomalies (patchy roads)
   for (const patchy of patchyRoads) {
-    await connection.query(
+    const [anomaly] = await connection.query(
       `INSERT INTO road_anomalies 
        (report_id, location_id, start_latitude, start_longitude, end_latitude, end_longitude, severity, start_timestamp, end_timestamp, duration_seconds)
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
@@ -198,17 +165,22 @@ async function ingestReportWithinTransaction(connection, payload) {
       ]
     );
 
-    await updateAggregatedLocation(
-      connection,
-      {
-        latitude: patchy.start_latitude || patchy.latitude,
-        longitude: patchy.start_longitude || patchy.longitude,
-        severity: patchy.severity,
-      },
-      "patchy"
-    );
+    aggregatedEvents.push({
+      type: "patchy",
+      latitude: patchy.start_latitude || patchy.latitude,
+      longitude: patchy.start_longitude || patchy.longitude,
+      severity: patchy.severity || "Medium",
+      timestampMs: toUnixMs(patchy.start_timestamp),
+      source: "report",
+      sourceKey: report_id,
+      sourceRowId: anomaly.insertId,
+      deviceKey: device_id,
+    });
   }
 
+  // One atomic upsert for every anomaly in the report (road feature masks apply there)
+  await upsertAggregatedEvents(connection, aggregatedEvents);
+
   return {
     reportId: report_id,
     dbId: dbReportId,
@@ -0,0 +1,389 @@
+const db = require("../config/db");
+const geohash = require("../utils/geohash");
+const { ACTIVE_ASSIGNMENT_STATUSES } = require("../utils/locationStatus");
+
+// Known road features that look like potholes to the accelerometer.
+//
+// Speed breakers, rail crossings and expansion joints produce strong vibration spikes,
+// so mapVibrationToSeverity rates them "High" and they turn into hotspots. Each row of
+// road_features masks an area: a point with a radius, or a small polygon (the radius
+// then buffers its edges). Ingestion (upsertAggregatedEvents) checks every event
+// against the active features:
+//   mask_action 'suppress'  the event is not counted into any location, only kept in
+//                           aggregated_location_events with road_feature_id (NULL
+//                           location unless it falls on one); suppressed_count grows
+//   mask_action 'tag'       the event is aggregated as usual but its
+//                           aggregated_location_events row carries road_feature_id
+
+const FEATURE_TYPES = new Set(["speed_breaker", "rail_crossing", "expansion_joint", "cattle_grid", "other"]);
+const MASK_ACTIONS = new Set(["suppress", "tag"]);
+
+const DEFAULT_RADIUS_M = 10;
+// Features are meant to be small; this also bounds the lookup around each batch.
+const MAX_RADIUS_M = 100;
+const METERS_PER_DEGREE_LAT = 111320;
+
+function toPolygon(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const raw = typeof value === "string" ? JSON.parse(value) : value;
+  return raw.map((p) => (Array.isArray(p) ? [Number(p[0]), Number(p[1])] : [Number(p.latitude), Number(p.longitude)]));
+}
+
+/**
+ * Validate an admin payload for road_features.
+ * Body: { featureType, latitude?, longitude?, polygon?, radiusM?, maskAction?, name?, notes?, active? }
+ * polygon is an array of [lat, lng] (or { latitude, longitude }); its centroid is used
+ * when latitude/longitude are omitted. With `partial`, only the given fields are checked.
+ */
+function validateFeatureInput(body, { partial = false } = {}) {
+  if (!body || typeof body !== "object") {
+    return { ok: false, message: "Payload must be an object" };
+  }
+
+  const value = {};
+
+  if (body.featureType !== undefined || !partial) {
+    if (!FEATURE_TYPES.has(body.featureType)) {
+      return { ok: false, message: `featureType must be one of ${[...FEATURE_TYPES].join(", ")}` };
+    }
+    value.feature_type = body.featureType;
+  }
+
+  if (body.polygon !== undefined) {
+    let polygon;
+    try {
+      polygon = toPolygon(body.polygon);
+    } catch (e) {
+      return { ok: false, message: "polygon must be an array of [latitude, longitude] points" };
+    }
+    if (polygon !== null) {
+      if (!Array.isArray(polygon) || polygon.length < 3 || polygon.some(([lat, lng]) => !geohash.encode(lat, lng))) {
+        return { ok: false, message: "polygon must have at least 3 valid [latitude, longitude] points" };
+      }
+    }
+    value.polygon = polygon;
+  }
+
+  const hasPoint = body.latitude !== undefined || body.longitude !== undefined;
+  if (hasPoint) {
+    if (!geohash.encode(body.latitude, body.longitude)) {
+      return { ok: false, message: "Invalid latitude/longitude" };
+    }
+    value.latitude = Number(body.latitude);
+    value.longitude = Number(body.longitude);
+  } else if (value.polygon) {
+    value.latitude = value.polygon.reduce((sum, [lat]) => sum + lat, 0) / value.polygon.length;
+    value.longitude = value.polygon.reduce((sum, [, lng]) => sum + lng, 0) / value.polygon.length;
+  } else if (!partial) {
+    return { ok: false, message: "latitude/longitude or polygon is required" };
+  }
+
+  if (value.polygon && value.latitude !== undefined) {
+    const far = value.polygon.some(
+      ([lat, lng]) => geohash.distanceMeters(value.latitude, value.longitude, lat, lng) > MAX_RADIUS_M
+    );
+    if (far) {
+      return { ok: false, message: `polygon points must be within ${MAX_RADIUS_M}m of the feature center` };
+    }
+  }
+
+  if (body.radiusM !== undefined || !partial) {
+    const radius = body.radiusM === undefined ? DEFAULT_RADIUS_M : Number(body.radiusM);
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_M) {
+      return { ok: false, message: `radiusM must be between 0 and ${MAX_RADIUS_M}` };
+    }
+    value.radius_m = radius;
+  }
+
+  if (body.maskAction !== undefined || !partial) {
+    const action = body.maskAction === undefined ? "suppress" : body.maskAction;
+    if (!MASK_ACTIONS.has(action)) {
+      return { ok: false, message: "maskAction must be 'suppress' or 'tag'" };
+    }
+    value.mask_action = action;
+  }
+
+  if (body.name !== undefined) value.name = body.name || null;
+  if (body.notes !== undefined) value.notes = body.notes || null;
+  if (body.active !== undefined) value.active = body.active === true || body.active === "true";
+
+  return { ok: true, value };
+}
+
+// Local planar projection around `lat0`, good enough at feature scale.
+function project(lat, lng, lat0) {
+  return {
+    x: lng * METERS_PER_DEGREE_LAT * Math.cos((lat0 * Math.PI) / 180),
+    y: lat * METERS_PER_DEGREE_LAT,
+  };
+}
+
+function pointInPolygon(p, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if (a.y > p.y !== b.y > p.y && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function featureContains(feature, latitude, longitude) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const radius = Number(feature.radius_m);
+  const polygon = toPolygon(feature.polygon);
+
+  if (!polygon) {
+    return geohash.distanceMeters(lat, lng, Number(feature.latitude), Number(feature.longitude)) <= radius;
+  }
+
+  const lat0 = Number(feature.latitude);
+  const p = project(lat, lng, lat0);
+  const vertices = polygon.map(([vLat, vLng]) => project(vLat, vLng, lat0));
+  if (pointInPolygon(p, vertices)) return true;
+
+  for (let i = 0; i < vertices.length; i++) {
+    if (distanceToSegment(p, vertices[i], vertices[(i + 1) % vertices.length]) <= radius) return true;
+  }
+  return false;
+}
+
+// Active features whose center is close enough to any of the events to matter.
+async function loadFeaturesNear(connection, events) {
+  const points = events
+    .map((e) => [Number(e.latitude), Number(e.longitude)])
+    .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng));
+  if (points.length === 0) return [];
+
+  // A loop rather than Math.min(...spread): rebuild batches can be very large.
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLng = Infinity;
+  let maxLng = -Infinity;
+  for (const [lat, lng] of points) {
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+  }
+  // Vertices and radius each stay within MAX_RADIUS_M of the center.
+  const padLat = (2 * MAX_RADIUS_M) / METERS_PER_DEGREE_LAT;
+  const cos = Math.max(Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180), 0.01);
+  const padLng = padLat / cos;
+
+  const [rows] = await connection.query(
+    `SELECT id, feature_type, latitude, longitude, polygon, radius_m, mask_action
+     FROM road_features
+     WHERE active = TRUE
+       AND latitude BETWEEN ? AND ?
+       AND longitude BETWEEN ? AND ?`,
+    [minLat - padLat, maxLat + padLat, minLng - padLng, maxLng + padLng]
+  );
+  return rows;
+}
+
+/**
+ * The masking feature of each event (same order as `events`), or null.
+ * A suppressing feature wins over a tagging one.
+ */
+function matchFeatures(events, features) {
+  if (!features.length) return events.map(() => null);
+
+  return events.map((event) => {
+    let match = null;
+    for (const feature of features) {
+      if (!featureContains(feature, event.latitude, event.longitude)) continue;
+      if (feature.mask_action === "suppress") return feature;
+      match = match || feature;
+    }
+    return match;
+  });
+}
+
+// suppressed: Map(featureId -> number of events suppressed in this batch)
+async function recordSuppressedEvents(connection, suppressed) {
+  for (const [featureId, count] of suppressed) {
+    await connection.query(
+      "UPDATE road_features SET suppressed_count = suppressed_count + ?, last_suppressed_at = NOW() WHERE id = ?",
+      [count, featureId]
+    );
+  }
+}
+
+async function listRoadFeatures({ featureType, active, minLat, maxLat, minLng, maxLng } = {}) {
+  let query = `
+    SELECT rf.*, u.email AS created_by_email,
+           (SELECT COUNT(*) FROM aggregated_location_events e WHERE e.road_feature_id = rf.id) AS tagged_count
+    FROM road_features rf
+    LEFT JOIN users u ON rf.created_by = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (featureType) {
+    query += " AND rf.feature_type = ?";
+    params.push(featureType);
+  }
+  if (active !== undefined) {
+    query += " AND rf.active = ?";
+    params.push(active === true || active === "true");
+  }
+  if (minLat && maxLat && minLng && maxLng) {
+    query += " AND rf.latitude BETWEEN ? AND ? AND rf.longitude BETWEEN ? AND ?";
+    params.push(minLat, maxLat, minLng, maxLng);
+  }
+
+  query += " ORDER BY rf.created_at DESC";
+
+  const [rows] = await db.promise().query(query, params);
+  return rows;
+}
+
+async function getRoadFeature(id, connection = db.promise()) {
+  const [rows] = await connection.query("SELECT * FROM road_features WHERE id = ?", [id]);
+  return rows[0] || null;
+}
+
+async function createRoadFeature(value, userId = null, connection = db.promise()) {
+  const [result] = await connection.query(
+    `INSERT INTO road_features
+     (feature_type, name, latitude, longitude, polygon, radius_m, mask_action, active, source_location_id, notes, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      value.feature_type,
+      value.name ?? null,
+      value.latitude,
+      value.longitude,
+      value.polygon ? JSON.stringify(value.polygon) : null,
+      value.radius_m,
+      value.mask_action,
+      value.active ?? true,
+      value.source_location_id ?? null,
+      value.notes ?? null,
+      userId,
+    ]
+  );
+  return getRoadFeature(result.insertId, connection);
+}
+
+// Returns the updated feature, or null when it does not exist.
+async function updateRoadFeature(id, value) {
+  const fields = Object.keys(value);
+  if (fields.length) {
+    const params = fields.map((f) => (f === "polygon" && value.polygon ? JSON.stringify(value.polygon) : value[f]));
+    const [result] = await db.promise().query(
+      `UPDATE road_features SET ${fields.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`,
+      [...params, id]
+    );
+    if (result.affectedRows === 0) return null;
+  }
+  return getRoadFeature(id);
+}
+
+async function deleteRoadFeature(id) {
+  const [result] = await db.promise().query("DELETE FROM road_features WHERE id = ?", [id]);
+  return result.affectedRows;
+}
+
+/**
+ * Create a mask at an aggregated location and close the location (one transaction).
+ * The events of its current repair cycle are tagged with the new feature.
+ * Throws LOCATION_NOT_FOUND, LOCATION_CLOSED or LOCATION_HAS_ACTIVE_ASSIGNMENT.
+ */
+async function markLocationAsFeature(locationId, { featureType = "speed_breaker", radiusM, maskAction, name, notes, userId = null } = {}) {
+  const connection = await db.promise().getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [locations] = await connection.query(
+      "SELECT id, latitude, longitude, road_name, status, repair_cycle FROM aggregated_locations WHERE id = ? FOR UPDATE",
+      [locationId]
+    );
+    const location = locations[0];
+    if (!location) {
+      const err = new Error("Location not found");
+      err.code = "LOCATION_NOT_FOUND";
+      throw err;
+    }
+    if (location.status === "closed") {
+      const err = new Error("Location is already closed");
+      err.code = "LOCATION_CLOSED";
+      throw err;
+    }
+
+    const [active] = await connection.query(
+      "SELECT id FROM work_assignments WHERE aggregated_location_id = ? AND status IN (?) LIMIT 1",
+      [locationId, ACTIVE_ASSIGNMENT_STATUSES]
+    );
+    if (active.length) {
+      const err = new Error(`Location has an active work assignment (#${active[0].id})`);
+      err.code = "LOCATION_HAS_ACTIVE_ASSIGNMENT";
+      throw err;
+    }
+
+    const validation = validateFeatureInput({
+      featureType,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      radiusM,
+      maskAction,
+      name: name ?? location.road_name,
+      notes,
+    });
+    if (!validation.ok) {
+      const err = new Error(validation.message);
+      err.code = "INVALID_ROAD_FEATURE";
+      throw err;
+    }
+
+    const feature = await createRoadFeature(
+      { ...validation.value, source_location_id: location.id },
+      userId,
+      connection
+    );
+
+    await connection.query(
+      "UPDATE aggregated_locations SET status = 'closed', road_feature_id = ?, closed_at = NOW() WHERE id = ?",
+      [feature.id, location.id]
+    );
+    await connection.query(
+      "UPDATE aggregated_location_events SET road_feature_id = ? WHERE aggregated_location_id = ? AND repair_cycle = ?",
+      [feature.id, location.id, location.repair_cycle]
+    );
+
+    await connection.commit();
+    return { feature, locationId: location.id };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  FEATURE_TYPES,
+  MASK_ACTIONS,
+  validateFeatureInput,
+  featureContains,
+  loadFeaturesNear,
+  matchFeatures,
+  recordSuppressedEvents,
+  listRoadFeatures,
+  getRoadFeature,
+  createRoadFeature,
+  updateRoadFeature,
+  deleteRoadFeature,
+  markLocationAsFeature,
+};
@@ -0,0 +1,324 @@
+const db = require("../config/db");
+const { INACTIVE_LOCATION_STATUSES } = require("../utils/locationStatus");
+const { slaDeadlineSql } = require("../utils/slaDueDate");
+const { ROLES } = require("./assignment_lifecycle_service");
+const { recordAssignmentEvent } = require("./assignment_event_service");
+
+// SLA tracking for work assignments.
+//
+// An assignment's due_date (set from the severity SLA at assignment time) ends at
+// midnight after that date. While the work is open (assigned / in_progress) a
+// periodic job raises its escalation level, never lowering it:
+//   reminder  due within SLA_AT_RISK_HOURS
+//   warning   past its due date
+//   breach    more than SLA_BREACH_GRACE_HOURS past its due date
+// Each raise is stamped in sla_escalated_at and appended to the assignment's audit
+// trail. sla_breach_minutes holds how far past the due date the work is (open) or was
+// when it was handed in (frozen by the 'submit' transition). Reassignment resets all
+// three. Locations that were closed or rejected as false positives are left alone.
+//
+// Compliance counts payable assignments (not rework) whose outcome is known: handed
+// in, or still open past the due date. On time = handed in before the due date ended.
+//
+// Env:
+// SLA_AT_RISK_HOURS            reminder / at-risk window before the due date (default 24)
+// SLA_BREACH_GRACE_HOURS       hours past the due date before a breach (default 24)
+// SLA_ESCALATION_INTERVAL_MS   how often the job runs (default 900000 = 15 min)
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const AT_RISK_HOURS = Math.max(0, envNumber("SLA_AT_RISK_HOURS", 24));
+const BREACH_GRACE_HOURS = Math.max(0, envNumber("SLA_BREACH_GRACE_HOURS", 24));
+const ESCALATION_INTERVAL_MS = Math.max(60000, envNumber("SLA_ESCALATION_INTERVAL_MS", 15 * 60 * 1000));
+
+const ESCALATION_LEVELS = ["none", "reminder", "warning", "breach"];
+const OPEN_SLA_STATUSES = ["assigned", "in_progress"];
+const HANDED_IN_STATUSES = ["pending_verification", "completed", "verified"];
+
+const DEADLINE = slaDeadlineSql("wa.due_date");
+
+let escalationInProgress = false;
+let escalationTimer = null;
+
+// Level an open assignment should be at, `minutesLeft` before (negative: after) its deadline
+function levelFor(minutesLeft) {
+  if (minutesLeft < -BREACH_GRACE_HOURS * 60) return "breach";
+  if (minutesLeft < 0) return "warning";
+  if (minutesLeft <= AT_RISK_HOURS * 60) return "reminder";
+  return "none";
+}
+
+function openAssignmentsSql(extraWhere = "") {
+  return `SELECT wa.id, wa.aggregated_location_id, wa.contractor_id, wa.status, wa.assigned_at,
+                 DATE_FORMAT(wa.due_date, '%Y-%m-%d') AS due_date,
+                 wa.sla_escalation_level, wa.sla_escalated_at, wa.sla_breach_minutes, wa.is_rework,
+                 TIMESTAMPDIFF(MINUTE, NOW(), ${DEADLINE}) AS minutes_left,
+                 c.company_name AS contractor_name,
+                 al.grid_id, al.latitude, al.longitude, al.road_name, al.ward, al.highest_severity
+          FROM work_assignments wa
+          JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+          LEFT JOIN contractors c ON wa.contractor_id = c.id
+          WHERE wa.status IN (?) AND wa.due_date IS NOT NULL AND al.status NOT IN (?) ${extraWhere}`;
+}
+
+/**
+ * One escalation pass over the open assignments.
+ * Returns { checked, escalated: { reminder, warning, breach }, durationMs }.
+ */
+async function runSlaEscalation() {
+  if (escalationInProgress) {
+    const err = new Error("An SLA escalation run is already in progress");
+    err.code = "ESCALATION_RUNNING";
+    throw err;
+  }
+
+  escalationInProgress = true;
+  const startedAt = Date.now();
+  try {
+    const [rows] = await db.promise().query(
+      openAssignmentsSql(`AND ${DEADLINE} <= DATE_ADD(NOW(), INTERVAL ? HOUR)`),
+      [OPEN_SLA_STATUSES, INACTIVE_LOCATION_STATUSES, AT_RISK_HOURS]
+    );
+
+    const escalated = { reminder: 0, warning: 0, breach: 0 };
+
+    for (const row of rows) {
+      const minutesLeft = Number(row.minutes_left);
+      const level = levelFor(minutesLeft);
+      const breachMinutes = minutesLeft < 0 ? -minutesLeft : null;
+      const raise = ESCALATION_LEVELS.indexOf(level) > ESCALATION_LEVELS.indexOf(row.sla_escalation_level || "none");
+
+      if (!raise) {
+        if (breachMinutes !== row.sla_breach_minutes) {
+          // Same guard as below: a hand-in freezes its own breach minutes
+          await db.promise().query(
+            "UPDATE work_assignments SET sla_breach_minutes = ? WHERE id = ? AND status IN (?) AND due_date <=> ?",
+            [breachMinutes, row.id, OPEN_SLA_STATUSES, row.due_date]
+          );
+        }
+        continue;
+      }
+
+      const connection = await db.promise().getConnection();
+      try {
+        await connection.beginTransaction();
+        // Guarded on the status so a concurrent hand-in or reassignment wins
+        const [result] = await connection.query(
+          `UPDATE work_assignments
+           SET sla_escalation_level = ?, sla_escalated_at = NOW(), sla_breach_minutes = ?
+           WHERE id = ? AND status IN (?) AND due_date <=> ?`,
+          [level, breachMinutes, row.id, OPEN_SLA_STATUSES, row.due_date]
+        );
+        if (result.affectedRows) {
+          await recordAssignmentEvent(connection, {
+            assignmentId: row.id,
+            locationId: row.aggregated_location_id,
+            eventType: "escalated",
+            action: level,
+            fromStatus: row.status,
+            toStatus: row.status,
+            before: { sla_escalation_level: row.sla_escalation_level || "none" },
+            after: { sla_escalation_level: level, sla_breach_minutes: breachMinutes },
+            note:
+              minutesLeft < 0
+                ? `${Math.round(-minutesLeft / 60)}h past due date ${row.due_date}`
+                : `Due in ${Math.round(minutesLeft / 60)}h`,
+            actor: { role: ROLES.SYSTEM, userId: null },
+          });
+          escalated[level] += 1;
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+
+    return { checked: rows.length, escalated, durationMs: Date.now() - startedAt };
+  } finally {
+    escalationInProgress = false;
+  }
+}
+
+function startSlaEscalationJob({ intervalMs = ESCALATION_INTERVAL_MS } = {}) {
+  if (escalationTimer) return escalationTimer;
+
+  const tick = () => {
+    runSlaEscalation()
+      .then((r) => {
+        const total = r.escalated.reminder + r.escalated.warning + r.escalated.breach;
+        if (total > 0) {
+          console.log(
+            `[SlaEscalation] checked=${r.checked} reminder=${r.escalated.reminder} warning=${r.escalated.warning} breach=${r.escalated.breach}`
+          );
+        }
+      })
+      .catch((err) => {
+        if (err.code !== "ESCALATION_RUNNING") console.error(`[SlaEscalation] failed: ${err.message}`);
+      });
+  };
+
+  setImmediate(tick);
+  escalationTimer = setInterval(tick, intervalMs);
+  escalationTimer.unref();
+  console.log(`[SlaEscalation] every ${Math.round(intervalMs / 1000)}s`);
+  return escalationTimer;
+}
+
+function stopSlaEscalationJob() {
+  if (escalationTimer) clearInterval(escalationTimer);
+  escalationTimer = null;
+}
+
+function toListItem(row) {
+  const minutesLeft = Number(row.minutes_left);
+  return {
+    ...row,
+    minutes_left: minutesLeft,
+    overdue_minutes: minutesLeft < 0 ? -minutesLeft : 0,
+    expected_level: levelFor(minutesLeft),
+  };
+}
+
+function listFilters({ contractorId = null, ward = null }) {
+  let where = "";
+  const params = [];
+  if (contractorId) {
+    where += " AND wa.contractor_id = ?";
+    params.push(contractorId);
+  }
+  if (ward) {
+    where += " AND al.ward = ?";
+    params.push(ward);
+  }
+  return { where, params };
+}
+
+/**
+ * Open assignments past their due date, most overdue first.
+ * options: { contractorId?, ward?, level? (reminder | warning | breach) }
+ */
+async function listOverdueAssignments({ contractorId = null, ward = null, level = null } = {}) {
+  const filters = listFilters({ contractorId, ward });
+  if (level) {
+    filters.where += " AND wa.sla_escalation_level = ?";
+    filters.params.push(level);
+  }
+
+  const [rows] = await db.promise().query(
+    `${openAssignmentsSql(`AND ${DEADLINE} < NOW() ${filters.where}`)}
+     ORDER BY minutes_left ASC`,
+    [OPEN_SLA_STATUSES, INACTIVE_LOCATION_STATUSES, ...filters.params]
+  );
+  return rows.map(toListItem);
+}
+
+/**
+ * Open assignments not yet overdue whose due date ends within `hours`, soonest first.
+ */
+async function listAtRiskAssignments({ hours = AT_RISK_HOURS, contractorId = null, ward = null } = {}) {
+  const filters = listFilters({ contractorId, ward });
+
+  const [rows] = await db.promise().query(
+    `${openAssignmentsSql(`AND ${DEADLINE} >= NOW() AND ${DEADLINE} <= DATE_ADD(NOW(), INTERVAL ? HOUR) ${filters.where}`)}
+     ORDER BY minutes_left ASC`,
+    [OPEN_SLA_STATUSES, INACTIVE_LOCATION_STATUSES, hours, ...filters.params]
+  );
+  return rows.map(toListItem);
+}
+
+function complianceRow(row) {
+  const decided = Number(row.on_time) + Number(row.late) + Number(row.open_overdue);
+  return {
+    assignments: Number(row.assignments),
+    onTime: Number(row.on_time),
+    late: Number(row.late),
+    openOverdue: Number(row.open_overdue),
+    openOnTrack: Number(row.open_on_track),
+    compliancePct: decided ? Math.round((Number(row.on_time) / decided) * 1000) / 10 : null,
+    avgBreachHours: row.avg_breach_minutes === null ? null : Math.round(Number(row.avg_breach_minutes) / 6) / 10,
+  };
+}
+
+/**
+ * SLA compliance per contractor and per ward.
+ * `from` / `to` (YYYY-MM-DD) filter assignments by assigned_at.
+ */
+async function slaComplianceReport({ from = null, to = null } = {}) {
+  let where = "wa.sla_payable = TRUE AND wa.due_date IS NOT NULL AND al.status NOT IN (?)";
+  const params = [INACTIVE_LOCATION_STATUSES];
+  if (from) {
+    where += " AND wa.assigned_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND wa.assigned_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+
+  const handedIn = "wa.status IN (?) AND wa.completed_at IS NOT NULL";
+  const open = "wa.status IN (?)";
+  const aggregates = `COUNT(*) AS assignments,
+    SUM(CASE WHEN ${handedIn} AND wa.completed_at <= ${DEADLINE} THEN 1 ELSE 0 END) AS on_time,
+    SUM(CASE WHEN ${handedIn} AND wa.completed_at > ${DEADLINE} THEN 1 ELSE 0 END) AS late,
+    SUM(CASE WHEN ${open} AND ${DEADLINE} < NOW() THEN 1 ELSE 0 END) AS open_overdue,
+    SUM(CASE WHEN ${open} AND ${DEADLINE} >= NOW() THEN 1 ELSE 0 END) AS open_on_track,
+    AVG(wa.sla_breach_minutes) AS avg_breach_minutes`;
+  const aggregateParams = [HANDED_IN_STATUSES, HANDED_IN_STATUSES, OPEN_SLA_STATUSES, OPEN_SLA_STATUSES];
+
+  const [[overall], [byContractor], [byWard]] = await Promise.all([
+    db.promise().query(
+      `SELECT ${aggregates}
+       FROM work_assignments wa
+       JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+       WHERE ${where}`,
+      [...aggregateParams, ...params]
+    ),
+    db.promise().query(
+      `SELECT wa.contractor_id, c.company_name AS contractor_name, ${aggregates}
+       FROM work_assignments wa
+       JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+       LEFT JOIN contractors c ON wa.contractor_id = c.id
+       WHERE ${where}
+       GROUP BY wa.contractor_id, c.company_name`,
+      [...aggregateParams, ...params]
+    ),
+    db.promise().query(
+      `SELECT COALESCE(al.ward, 'Unknown') AS ward, ${aggregates}
+       FROM work_assignments wa
+       JOIN aggregated_locations al ON wa.aggregated_location_id = al.id
+       WHERE ${where}
+       GROUP BY COALESCE(al.ward, 'Unknown')`,
+      [...aggregateParams, ...params]
+    ),
+  ]);
+
+  const byPct = (a, b) => (a.compliancePct ?? 101) - (b.compliancePct ?? 101);
+
+  return {
+    overall: complianceRow(overall[0]),
+    contractors: byContractor
+      .map((row) => ({ contractorId: row.contractor_id, contractorName: row.contractor_name, ...complianceRow(row) }))
+      .sort(byPct),
+    wards: byWard.map((row) => ({ ward: row.ward, ...complianceRow(row) })).sort(byPct),
+  };
+}
+
+module.exports = {
+  ESCALATION_LEVELS,
+  AT_RISK_HOURS,
+  levelFor,
+  runSlaEscalation,
+  startSlaEscalationJob,
+  stopSlaEscalationJob,
+  listOverdueAssignments,
+  listAtRiskAssignments,
+  slaComplianceReport,
+};
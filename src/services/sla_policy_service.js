@@ -0,0 +1,280 @@
+const db = require("../config/db");
+const { toLocalDate, addBusinessDays, SLA_BUSINESS_DAYS_BY_SEVERITY } = require("../utils/slaDueDate");
+
+// SLA policy engine: the due date of every new assignment.
+//
+// sla_policies rows give the business days to repair for a combination of severity,
+// road type and ward, each of which may be '' (any). For a location the matching row
+// with the most specific combination wins, ward weighing more than road type and road
+// type more than severity. Without a match the built-in severity table
+// (SLA_BUSINESS_DAYS_BY_SEVERITY) applies.
+//
+// Business days skip weekends and the sla_holidays of the location's ward (holidays
+// with ward '' apply everywhere).
+//
+// A location's severity and ward come from aggregated_locations; its road type is the
+// most frequent road_type of the pothole reports aggregated into it.
+//
+// Env:
+// SLA_POLICY_CACHE_MS  how long policies and holidays are cached (default 30000).
+//                      Changes made in this process clear the cache at once.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+const CACHE_MS = Math.max(0, envNumber("SLA_POLICY_CACHE_MS", 30000));
+const SEVERITIES = ["Low", "Medium", "High"];
+const MAX_BUSINESS_DAYS = 365;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let cached = null;
+let cachedAt = 0;
+
+function invalidateSlaPolicies() {
+  cached = null;
+  cachedAt = 0;
+}
+
+// '' for "any", otherwise the trimmed value
+function normalizeKey(value) {
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+
+function sameKey(a, b) {
+  return normalizeKey(a).toLowerCase() === normalizeKey(b).toLowerCase();
+}
+
+/**
+ * Validate a policy ({ severity?, roadType?, ward?, businessDays, notes? }).
+ * Returns { ok, message?, value? }.
+ */
+function validatePolicyInput(body) {
+  const { severity, roadType, ward, businessDays, notes = null } = body || {};
+
+  const sev = normalizeKey(severity);
+  const matched = SEVERITIES.find((s) => s.toLowerCase() === sev.toLowerCase());
+  if (sev && !matched) {
+    return { ok: false, message: `severity must be one of ${SEVERITIES.join(", ")} (or empty for any)` };
+  }
+
+  const days = Number(businessDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_BUSINESS_DAYS) {
+    return { ok: false, message: `businessDays must be an integer between 1 and ${MAX_BUSINESS_DAYS}` };
+  }
+
+  const roadTypeKey = normalizeKey(roadType);
+  const wardKey = normalizeKey(ward);
+  if (roadTypeKey.length > 50) return { ok: false, message: "roadType must be at most 50 characters" };
+  if (wardKey.length > 100) return { ok: false, message: "ward must be at most 100 characters" };
+
+  return {
+    ok: true,
+    value: { severity: matched || "", roadType: roadTypeKey, ward: wardKey, businessDays: days, notes },
+  };
+}
+
+/**
+ * Validate a holiday ({ date: YYYY-MM-DD, name, ward? }). Returns { ok, message?, value? }.
+ */
+function validateHolidayInput(body) {
+  const { date, name, ward } = body || {};
+
+  if (!DATE_PATTERN.test(String(date || "")) || Number.isNaN(Date.parse(date))) {
+    return { ok: false, message: "date must be YYYY-MM-DD" };
+  }
+  if (!name || !String(name).trim()) return { ok: false, message: "name is required" };
+
+  return { ok: true, value: { date, name: String(name).trim().slice(0, 100), ward: normalizeKey(ward) } };
+}
+
+async function loadRules() {
+  if (cached && Date.now() - cachedAt < CACHE_MS) return cached;
+
+  const [[policies], [holidays]] = await Promise.all([
+    db.promise().query("SELECT id, severity, road_type, ward, business_days FROM sla_policies"),
+    // Past holidays are irrelevant for due dates counted from now
+    db.promise().query(
+      `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, ward
+       FROM sla_holidays
+       WHERE holiday_date >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)`
+    ),
+  ]);
+
+  cached = { policies, holidays };
+  cachedAt = Date.now();
+  return cached;
+}
+
+function specificity(policy) {
+  return (policy.ward ? 4 : 0) + (policy.road_type ? 2 : 0) + (policy.severity ? 1 : 0);
+}
+
+/**
+ * The policy for one combination: { businessDays, policyId, source: 'policy' | 'default' }.
+ */
+function matchPolicy(policies, { severity, roadType, ward }) {
+  const candidates = policies.filter(
+    (p) =>
+      (!p.severity || sameKey(p.severity, severity)) &&
+      (!p.road_type || sameKey(p.road_type, roadType)) &&
+      (!p.ward || sameKey(p.ward, ward))
+  );
+  candidates.sort((a, b) => specificity(b) - specificity(a));
+
+  if (candidates.length) {
+    return { businessDays: candidates[0].business_days, policyId: candidates[0].id, source: "policy" };
+  }
+  const days = SLA_BUSINESS_DAYS_BY_SEVERITY[severity] ?? SLA_BUSINESS_DAYS_BY_SEVERITY.Low;
+  return { businessDays: days, policyId: null, source: "default" };
+}
+
+function holidaysFor(holidays, ward) {
+  return new Set(holidays.filter((h) => !h.ward || sameKey(h.ward, ward)).map((h) => h.holiday_date));
+}
+
+async function locationRoadType(connection, locationId) {
+  const [rows] = await connection.query(
+    `SELECT pd.road_type, COUNT(*) AS reports
+     FROM aggregated_location_events e
+     JOIN pothole_detections pd ON e.source = 'report' AND e.event_type = 'pothole' AND e.source_row_id = pd.id
+     WHERE e.aggregated_location_id = ? AND pd.road_type IS NOT NULL AND pd.road_type <> ''
+     GROUP BY pd.road_type
+     ORDER BY reports DESC
+     LIMIT 1`,
+    [locationId]
+  );
+  return rows.length ? rows[0].road_type : null;
+}
+
+/**
+ * Due date for a new assignment of `locationId`, counted from `assignedAt`.
+ * `severity` overrides the location's (e.g. for a location whose counters were just reset).
+ * `connection` is the caller's transaction connection or db.promise().
+ * Returns { dueDate (YYYY-MM-DD), businessDays, policyId, source, severity, roadType, ward }.
+ */
+async function computeSlaDueDate(connection, { locationId, assignedAt = new Date(), severity: severityOverride = null }) {
+  const [[locations], roadType, rules] = await Promise.all([
+    connection.query("SELECT id, highest_severity, ward FROM aggregated_locations WHERE id = ?", [locationId]),
+    locationRoadType(connection, locationId),
+    loadRules(),
+  ]);
+
+  const severity = severityOverride || locations[0]?.highest_severity || "Low";
+  const ward = locations[0]?.ward || null;
+  const policy = matchPolicy(rules.policies, { severity, roadType, ward });
+  const start = assignedAt instanceof Date ? assignedAt : new Date(assignedAt);
+
+  return {
+    dueDate: toLocalDate(addBusinessDays(start, policy.businessDays, holidaysFor(rules.holidays, ward))),
+    ...policy,
+    severity,
+    roadType,
+    ward,
+  };
+}
+
+async function listPolicies() {
+  const [rows] = await db.promise().query(
+    `SELECT p.*, u.email AS updated_by_email
+     FROM sla_policies p
+     LEFT JOIN users u ON p.updated_by = u.id
+     ORDER BY p.ward, p.road_type, FIELD(p.severity, '', 'High', 'Medium', 'Low')`
+  );
+  return { defaults: SLA_BUSINESS_DAYS_BY_SEVERITY, policies: rows };
+}
+
+// Create or replace the policy of one (severity, roadType, ward) combination
+async function upsertPolicy({ severity, roadType, ward, businessDays, notes = null }, userId = null) {
+  await db.promise().query(
+    `INSERT INTO sla_policies (severity, road_type, ward, business_days, notes, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       business_days = VALUES(business_days),
+       notes = VALUES(notes),
+       updated_by = VALUES(updated_by)`,
+    [severity, roadType, ward, businessDays, notes, userId]
+  );
+  invalidateSlaPolicies();
+
+  const [rows] = await db.promise().query(
+    "SELECT * FROM sla_policies WHERE severity = ? AND road_type = ? AND ward = ?",
+    [severity, roadType, ward]
+  );
+  return rows[0];
+}
+
+async function deletePolicy(id) {
+  const [result] = await db.promise().query("DELETE FROM sla_policies WHERE id = ?", [id]);
+  invalidateSlaPolicies();
+  return result.affectedRows > 0;
+}
+
+// Holidays between `from` and `to` (YYYY-MM-DD, both optional), optionally of one ward
+async function listHolidays({ from = null, to = null, ward = null } = {}) {
+  let where = "WHERE 1=1";
+  const params = [];
+  if (from) {
+    where += " AND holiday_date >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND holiday_date <= ?";
+    params.push(to);
+  }
+  if (ward) {
+    where += " AND (ward = '' OR ward = ?)";
+    params.push(ward);
+  }
+
+  const [rows] = await db.promise().query(
+    `SELECT id, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, ward, created_by, created_at
+     FROM sla_holidays
+     ${where}
+     ORDER BY holiday_date, ward`,
+    params
+  );
+  return rows;
+}
+
+// Add a holiday, or rename it when the date is already a holiday for that ward
+async function upsertHoliday({ date, name, ward }, userId = null) {
+  await db.promise().query(
+    `INSERT INTO sla_holidays (holiday_date, name, ward, created_by)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE name = VALUES(name)`,
+    [date, name, ward, userId]
+  );
+  invalidateSlaPolicies();
+
+  const [rows] = await db.promise().query(
+    `SELECT id, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, ward, created_by, created_at
+     FROM sla_holidays WHERE holiday_date = ? AND ward = ?`,
+    [date, ward]
+  );
+  return rows[0];
+}
+
+async function deleteHoliday(id) {
+  const [result] = await db.promise().query("DELETE FROM sla_holidays WHERE id = ?", [id]);
+  invalidateSlaPolicies();
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  SEVERITIES,
+  validatePolicyInput,
+  validateHolidayInput,
+  matchPolicy,
+  computeSlaDueDate,
+  invalidateSlaPolicies,
+  listPolicies,
+  upsertPolicy,
+  deletePolicy,
+  listHolidays,
+  upsertHoliday,
+  deleteHoliday,
+};
@@ -0,0 +1,122 @@
+const db = require("../config/db");
+
+// Persists every Firebase -> MySQL sync run (sync_runs) and its per-item outcomes
+// (sync_run_items). Recording is best-effort: a failure to write history is logged
+// and never breaks the sync itself.
+
+const ITEM_INSERT_CHUNK = 500;
+
+async function startSyncRun({ syncName, trigger = "manual", triggeredBy = null, firebasePath = null, dryRun = false, reprocess = false, thresholds = null }) {
+  try {
+    const [result] = await db.promise().query(
+      `INSERT INTO sync_runs (sync_name, trigger_source, triggered_by, firebase_path, status, dry_run, reprocess, thresholds, started_at)
+       VALUES (?, ?, ?, ?, 'running', ?, ?, ?, NOW(3))`,
+      [
+        syncName,
+        trigger,
+        triggeredBy,
+        firebasePath,
+        Boolean(dryRun),
+        Boolean(reprocess),
+        thresholds ? JSON.stringify(thresholds) : null,
+      ]
+    );
+    return result.insertId;
+  } catch (error) {
+    console.error(`[SyncRuns] failed to record start of ${syncName} run: ${error.message}`);
+    return null;
+  }
+}
+
+function itemRow(runId, item) {
+  const { key, deviceKey, status, reason, error, ...detail } = item;
+  return [
+    runId,
+    key !== undefined ? String(key) : null,
+    deviceKey || null,
+    status || "unknown",
+    reason || error || null,
+    Object.keys(detail).length ? JSON.stringify(detail) : null,
+  ];
+}
+
+async function finishSyncRun(runId, results) {
+  if (!runId) return;
+
+  const items = Array.isArray(results?.items) ? results.items : [];
+  const errors = results?.errors ?? items.filter((i) => i.status === "error").length;
+
+  try {
+    await db.promise().query(
+      `UPDATE sync_runs
+       SET status = 'completed',
+           firebase_path = COALESCE(?, firebase_path),
+           thresholds = COALESCE(?, thresholds),
+           detection_profile_version = COALESCE(?, detection_profile_version),
+           scanned = ?, candidates = ?, migrated = ?, denied = ?, errors = ?,
+           finished_at = NOW(3),
+           duration_ms = TIMESTAMPDIFF(MICROSECOND, started_at, NOW(3)) DIV 1000
+       WHERE id = ?`,
+      [
+        results?.firebasePath || null,
+        results?.thresholds ? JSON.stringify(results.thresholds) : null,
+        results?.profileVersion ?? null,
+        results?.scanned || 0,
+        results?.candidates || 0,
+        results?.migrated || 0,
+        results?.denied || 0,
+        errors,
+        runId,
+      ]
+    );
+
+    for (let i = 0; i < items.length; i += ITEM_INSERT_CHUNK) {
+      const rows = items.slice(i, i + ITEM_INSERT_CHUNK).map((item) => itemRow(runId, item));
+      await db.promise().query(
+        `INSERT INTO sync_run_items (run_id, item_key, device_key, status, reason, detail) VALUES ?`,
+        [rows]
+      );
+    }
+  } catch (error) {
+    console.error(`[SyncRuns] failed to record results of run ${runId}: ${error.message}`);
+  }
+}
+
+async function failSyncRun(runId, err) {
+  if (!runId) return;
+
+  try {
+    await db.promise().query(
+      `UPDATE sync_runs
+       SET status = 'failed', error_message = ?, finished_at = NOW(3),
+           duration_ms = TIMESTAMPDIFF(MICROSECOND, started_at, NOW(3)) DIV 1000
+       WHERE id = ?`,
+      [err?.message || String(err), runId]
+    );
+  } catch (error) {
+    console.error(`[SyncRuns] failed to record failure of run ${runId}: ${error.message}`);
+  }
+}
+
+/**
+ * Run `run()` and persist its results object as a sync run.
+ * The returned results carry the new `runId` (null when history could not be written).
+ */
+async function trackSyncRun(meta, run) {
+  const runId = await startSyncRun(meta);
+  try {
+    const results = await run();
+    await finishSyncRun(runId, results);
+    return { runId, ...results };
+  } catch (error) {
+    await failSyncRun(runId, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  startSyncRun,
+  finishSyncRun,
+  failSyncRun,
+  trackSyncRun,
+};
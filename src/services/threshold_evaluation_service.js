@@ -0,0 +1,253 @@
+const db = require("../config/db");
+const geohash = require("../utils/geohash");
+const { DEFAULT_MAX_READINGS, MAX_READINGS, parseMaxReadings, loadArchivedEntries } = require("./readings_archive_service");
+const { getActiveProfile } = require("./detection_profile_service");
+const { getCalibrationResolver } = require("./device_calibration_service");
+const { mergeThresholds, createDetectionEngine } = require("./detection_engine_service");
+
+// Threshold what-if evaluation.
+//
+// Replays the archived raw readings (every collection the readings sync knows, read
+// from the readings source) through a fresh detection engine per candidate threshold
+// set. Nothing is written. Detected events are then matched against ground truth:
+//   positive  locations repaired at least once (status verified/fixed, or reopened
+//             after a repair)
+//   negative  locations rejected as false_positive or closed as a road feature
+// A location counts as found by a set when one of its detected events lies within
+// `matchRadiusM` of it. Only labeled locations with at least one replayed reading
+// nearby are evaluable, so locations from other periods or from reports alone do not
+// drag recall down.
+//
+//   precision = found positives / (found positives + found negatives)
+//   recall    = found positives / evaluable positives
+
+const MAX_CANDIDATES = 10;
+const DEFAULT_MATCH_RADIUS_M = 10;
+const MAX_MATCH_RADIUS_M = 50;
+// Geohash cells of ~153m: a cell plus its neighbors covers any match radius up to 50m.
+const MATCH_CELL_PRECISION = 7;
+
+const POSITIVE_STATUSES = new Set(["verified", "fixed"]);
+const NEGATIVE_STATUSES = new Set(["false_positive", "closed"]);
+
+// Replays hold every reading in memory and block the event loop; one at a time.
+let evaluationInProgress = false;
+
+function evaluationError(message, code = "INVALID_EVALUATION") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Validate candidate threshold sets ({ name?, thresholds }); unknown keys and
+ * non-numeric values are rejected. Returns [{ name, thresholds }] with defaults filled in.
+ */
+function normalizeCandidates(candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw evaluationError("candidates must be a non-empty array of { name?, thresholds }");
+  }
+  if (candidates.length > MAX_CANDIDATES) {
+    throw evaluationError(`At most ${MAX_CANDIDATES} candidates per evaluation`);
+  }
+
+  return candidates.map((candidate, index) => {
+    let thresholds;
+    try {
+      thresholds = mergeThresholds(candidate?.thresholds || {});
+    } catch (error) {
+      throw evaluationError(`${error.message} in candidates[${index}]`);
+    }
+
+    return { name: candidate.name ? String(candidate.name) : `candidate-${index + 1}`, thresholds };
+  });
+}
+
+async function loadGroundTruth() {
+  const [rows] = await db.promise().query(
+    `SELECT id, latitude, longitude, status, repair_cycle
+     FROM aggregated_locations
+     WHERE status IN (?) OR repair_cycle > 1`,
+    [[...POSITIVE_STATUSES, ...NEGATIVE_STATUSES]]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    latitude: Number(row.latitude),
+    longitude: Number(row.longitude),
+    // Rejection is the latest word on a location, even after earlier repairs
+    label: NEGATIVE_STATUSES.has(row.status) ? "negative" : "positive",
+  }));
+}
+
+// Spatial index over labeled locations: cell -> locations
+function indexLocations(locations) {
+  const byCell = new Map();
+  for (const location of locations) {
+    const cell = geohash.encode(location.latitude, location.longitude, MATCH_CELL_PRECISION);
+    if (!cell) continue;
+    if (!byCell.has(cell)) byCell.set(cell, []);
+    byCell.get(cell).push(location);
+  }
+  return byCell;
+}
+
+function locationsNear(byCell, latitude, longitude, radiusM) {
+  const cell = geohash.encode(latitude, longitude, MATCH_CELL_PRECISION);
+  if (!cell) return [];
+
+  const out = [];
+  for (const c of [cell, ...geohash.neighbors(cell)]) {
+    for (const location of byCell.get(c) || []) {
+      if (geohash.distanceMeters(latitude, longitude, location.latitude, location.longitude) <= radiusM) {
+        out.push(location);
+      }
+    }
+  }
+  return out;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+function evaluateCandidate(candidate, entries, byCell, evaluable, matchRadiusM, calibration) {
+  const engine = createDetectionEngine({ thresholds: candidate.thresholds, calibration });
+  const counts = { pothole: 0, patchy: 0, total: 0, nearPositive: 0, nearNegative: 0, unlabeled: 0 };
+  const foundPositive = new Set();
+  const foundNegative = new Set();
+
+  for (const entry of entries) {
+    const decision = engine.processReading(entry);
+    if (decision.status !== "detected") continue;
+
+    const { event } = decision;
+    counts[event.type] += 1;
+    counts.total += 1;
+
+    const near = locationsNear(byCell, event.latitude, event.longitude, matchRadiusM);
+    if (near.length === 0) {
+      counts.unlabeled += 1;
+      continue;
+    }
+    if (near.some((l) => l.label === "positive")) counts.nearPositive += 1;
+    if (near.some((l) => l.label === "negative")) counts.nearNegative += 1;
+    for (const location of near) {
+      (location.label === "positive" ? foundPositive : foundNegative).add(location.id);
+    }
+  }
+
+  const truePositives = foundPositive.size;
+  const falsePositives = foundNegative.size;
+
+  return {
+    name: candidate.name,
+    ...(candidate.profileVersion !== undefined ? { profileVersion: candidate.profileVersion } : {}),
+    thresholds: engine.thresholds,
+    events: counts,
+    locations: {
+      truePositives,
+      falsePositives,
+      missedPositives: evaluable.positives - truePositives,
+      avoidedNegatives: evaluable.negatives - falsePositives,
+    },
+    precision: ratio(truePositives, truePositives + falsePositives),
+    recall: ratio(truePositives, evaluable.positives),
+  };
+}
+
+/**
+ * Replay archived readings for each candidate threshold set and score it.
+ * options: { candidates, from?, to? (ms or ISO), matchRadiusM?, maxReadings?, includeCurrent? }
+ * The active detection profile is evaluated first as "current" unless includeCurrent is false.
+ */
+async function evaluateThresholdSets({
+  candidates,
+  from = null,
+  to = null,
+  matchRadiusM = DEFAULT_MATCH_RADIUS_M,
+  maxReadings = DEFAULT_MAX_READINGS,
+  includeCurrent = true,
+} = {}) {
+  const sets = normalizeCandidates(candidates);
+  if (includeCurrent) {
+    const active = await getActiveProfile();
+    sets.unshift({ name: "current", profileVersion: active.version, thresholds: { ...active.thresholds } });
+  }
+
+  const radius = Number(matchRadiusM);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_MATCH_RADIUS_M) {
+    throw evaluationError(`matchRadiusM must be between 0 and ${MAX_MATCH_RADIUS_M}`);
+  }
+
+  const readingCap = parseMaxReadings(maxReadings);
+  if (Number.isNaN(readingCap)) {
+    throw evaluationError(`maxReadings must be an integer between 1 and ${MAX_READINGS}`);
+  }
+
+  if (evaluationInProgress) {
+    throw evaluationError("An evaluation is already running", "EVALUATION_RUNNING");
+  }
+
+  const toMs = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const ms = Number.isFinite(Number(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(ms)) throw evaluationError(`Invalid date "${value}"`);
+    return ms;
+  };
+
+  const window = { fromMs: toMs(from), toMs: toMs(to) };
+
+  evaluationInProgress = true;
+  try {
+    return await runEvaluation(sets, window, radius, readingCap);
+  } finally {
+    evaluationInProgress = false;
+  }
+}
+
+async function runEvaluation(sets, window, radius, maxReadings) {
+  const startedAt = Date.now();
+  const archive = await loadArchivedEntries({ ...window, maxReadings });
+  const groundTruth = await loadGroundTruth();
+
+  // Evaluable ground truth: labeled locations some replayed reading passed by
+  const byCellAll = indexLocations(groundTruth);
+  const passed = new Set();
+  for (const { reading } of archive.entries) {
+    const lat = Number(reading.Latitude ?? reading.latitude ?? reading.lat);
+    const lng = Number(reading.Longitude ?? reading.longitude ?? reading.lon);
+    for (const location of locationsNear(byCellAll, lat, lng, radius)) passed.add(location.id);
+  }
+  const evaluableLocations = groundTruth.filter((l) => passed.has(l.id));
+  const evaluable = {
+    positives: evaluableLocations.filter((l) => l.label === "positive").length,
+    negatives: evaluableLocations.filter((l) => l.label === "negative").length,
+  };
+  const byCell = indexLocations(evaluableLocations);
+
+  // Current device calibrations apply to every set, as they would in production
+  const calibration = await getCalibrationResolver({ fresh: true });
+  const results = sets.map((set) => evaluateCandidate(set, archive.entries, byCell, evaluable, radius, calibration));
+
+  return {
+    readings: archive.entries.length,
+    readingsTruncated: archive.truncated,
+    collections: archive.collections,
+    rootPath: archive.rootPath,
+    matchRadiusM: radius,
+    groundTruth: {
+      positives: groundTruth.filter((l) => l.label === "positive").length,
+      negatives: groundTruth.filter((l) => l.label === "negative").length,
+      evaluable,
+    },
+    results,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  MAX_CANDIDATES,
+  normalizeCandidates,
+  evaluateThresholdSets,
+};
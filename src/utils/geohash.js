@@ -0,0 +1,176 @@
+// Geohash helpers for the aggregated_locations grid.
+//
+// A geohash is a hierarchical cell id: every extra character splits the cell into 32,
+// and a cell's prefix of length n is its parent at precision n. Approximate cell size
+// (width x height) near the equator:
+//   5: 4.9km x 4.9km   6: 1.2km x 0.61km   7: 153m x 153m   8: 38m x 19m   9: 4.8m x 4.8m
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const MAX_PRECISION = 12;
+const EARTH_RADIUS_M = 6371000;
+
+function encode(latitude, longitude, precision = 9) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  const p = Math.min(Math.max(Math.floor(precision), 1), MAX_PRECISION);
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < p) {
+    if (evenBit) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) {
+        bits = bits * 2 + 1;
+        lngMin = mid;
+      } else {
+        bits *= 2;
+        lngMax = mid;
+      }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) {
+        bits = bits * 2 + 1;
+        latMin = mid;
+      } else {
+        bits *= 2;
+        latMax = mid;
+      }
+    }
+    evenBit = !evenBit;
+
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+function isGeohash(hash) {
+  return typeof hash === "string" && hash.length > 0 && hash.length <= MAX_PRECISION &&
+    [...hash].every((c) => BASE32.includes(c));
+}
+
+// Returns { minLat, maxLat, minLng, maxLng } of the cell
+function bounds(hash) {
+  if (!isGeohash(hash)) throw new Error(`Invalid geohash "${hash}"`);
+
+  let latMin = -90;
+  let latMax = 90;
+  let lngMin = -180;
+  let lngMax = 180;
+  let evenBit = true;
+
+  for (const c of hash) {
+    const idx = BASE32.indexOf(c);
+    for (let n = 4; n >= 0; n--) {
+      const bit = (idx >> n) & 1;
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (bit) lngMin = mid;
+        else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (bit) latMin = mid;
+        else latMax = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { minLat: latMin, maxLat: latMax, minLng: lngMin, maxLng: lngMax };
+}
+
+// Cell center
+function decode(hash) {
+  const b = bounds(hash);
+  return { latitude: (b.minLat + b.maxLat) / 2, longitude: (b.minLng + b.maxLng) / 2 };
+}
+
+// The 8 cells around `hash` at the same precision (fewer at the poles)
+function neighbors(hash) {
+  const b = bounds(hash);
+  const height = b.maxLat - b.minLat;
+  const width = b.maxLng - b.minLng;
+  const center = decode(hash);
+  const out = [];
+
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLng of [-1, 0, 1]) {
+      if (dLat === 0 && dLng === 0) continue;
+      const lat = center.latitude + dLat * height;
+      if (lat < -90 || lat > 90) continue;
+      let lng = center.longitude + dLng * width;
+      if (lng > 180) lng -= 360;
+      if (lng < -180) lng += 360;
+      const n = encode(lat, lng, hash.length);
+      if (n && n !== hash && !out.includes(n)) out.push(n);
+    }
+  }
+
+  return out;
+}
+
+// Every cell at `precision` that may hold a point within `radiusM` of (latitude, longitude),
+// the point's own cell first. Unlike neighbors(), covers radii larger than one cell.
+function cellsWithin(latitude, longitude, radiusM, precision = 9) {
+  const cell = encode(latitude, longitude, precision);
+  if (!cell) return [];
+
+  const b = bounds(cell);
+  const height = b.maxLat - b.minLat;
+  const width = b.maxLng - b.minLng;
+  const center = decode(cell);
+  const metersPerDegLat = (Math.PI / 180) * EARTH_RADIUS_M;
+  const metersPerDegLng = metersPerDegLat * Math.max(Math.cos((Number(latitude) * Math.PI) / 180), 1e-6);
+  const ringsLat = Math.max(1, Math.ceil(radiusM / metersPerDegLat / height));
+  const ringsLng = Math.max(1, Math.ceil(radiusM / metersPerDegLng / width));
+
+  const out = [cell];
+  for (let dLat = -ringsLat; dLat <= ringsLat; dLat++) {
+    const lat = center.latitude + dLat * height;
+    if (lat < -90 || lat > 90) continue;
+    for (let dLng = -ringsLng; dLng <= ringsLng; dLng++) {
+      let lng = center.longitude + dLng * width;
+      if (lng > 180) lng -= 360;
+      if (lng < -180) lng += 360;
+      const n = encode(lat, lng, precision);
+      if (n && !out.includes(n)) out.push(n);
+    }
+  }
+  return out;
+}
+
+// Great-circle distance in meters
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (Number(d) * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  MAX_PRECISION,
+  encode,
+  isGeohash,
+  bounds,
+  decode,
+  neighbors,
+  cellsWithin,
+  distanceMeters,
+};
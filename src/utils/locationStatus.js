@@ -0,0 +1,13 @@
+// Shared status sets for aggregated_locations / work_assignments.
+
+// Locations that are not road defects: closed as a known road feature, or rejected
+// as a false positive. They are left out of the dashboard, map and SLA metrics.
+const INACTIVE_LOCATION_STATUSES = ["closed", "false_positive"];
+
+// Work assignment statuses that still have a contractor on the job.
+const ACTIVE_ASSIGNMENT_STATUSES = ["assigned", "in_progress", "pending_verification"];
+
+module.exports = {
+  INACTIVE_LOCATION_STATUSES,
+  ACTIVE_ASSIGNMENT_STATUSES,
+};
@@ -0,0 +1,70 @@
+// Pure helpers for raw sensor readings (no DB access, safe to use from offline scripts).
+
+const severityOrder = { Low: 1, Medium: 2, High: 3 };
+
+function normalizeUnixMs(ts) {
+  const n = Number(ts);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  // If value looks like unix seconds, convert to ms
+  if (n < 1e12) return Math.round(n * 1000);
+  return Math.round(n);
+}
+
+function mapVibrationToSeverity(vibrationValue) {
+  // Matches pothole_user logic: zCorrected >= 9.0 => High else Medium
+  const v = Math.abs(Number(vibrationValue));
+  if (!Number.isFinite(v)) return "Low";
+  if (v >= 9.0) return "High";
+  if (v >= 7.0) return "Medium";
+  return "Low";
+}
+
+function normalizeReading(payload) {
+  const latitude = Number(payload.Latitude ?? payload.latitude ?? payload.lat);
+  const longitude = Number(payload.Longitude ?? payload.longitude ?? payload.lon);
+  const vibration = Number(payload.Vibration ?? payload.vibration ?? payload.z ?? payload.zCorrected);
+  const speed = Number(payload.Speed ?? payload.speed ?? 0);
+  const timestampMs = normalizeUnixMs(payload.timestamp ?? payload.Timestamp);
+
+  return { latitude, longitude, vibration, speed, timestampMs };
+}
+
+function validateReadingPayload(payload) {
+  if (!payload || typeof payload !== "object") {
+    return { ok: false, message: "Reading must be an object" };
+  }
+
+  const { latitude: lat, longitude: lng, vibration, timestampMs } = normalizeReading(payload);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return { ok: false, message: "Missing/invalid Latitude/Longitude" };
+  }
+
+  // Basic GPS lock check (your screenshot uses 0 when not locked)
+  if (lat === 0 || lng === 0) {
+    return { ok: false, message: "Denied: GPS not locked (Latitude/Longitude is 0)" };
+  }
+
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { ok: false, message: "Denied: Latitude/Longitude out of range" };
+  }
+
+  // We keep vibration optional here; event detection decides if it's pothole/patchy.
+  if (payload.severity && !severityOrder[payload.severity]) {
+    return { ok: false, message: "Invalid severity" };
+  }
+
+  if ((payload.timestamp !== undefined || payload.Timestamp !== undefined) && !timestampMs) {
+    return { ok: false, message: "Invalid timestamp" };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  severityOrder,
+  normalizeUnixMs,
+  normalizeReading,
+  mapVibrationToSeverity,
+  validateReadingPayload,
+};
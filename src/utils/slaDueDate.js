@@ -0,0 +1,61 @@
+// SLA due-date helpers shared by assignment creation paths.
+
+// Helper: format a JS Date (or ISO string) as MySQL DATE (YYYY-MM-DD)
+const toMySQLDate = (value) => {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().slice(0, 10);
+};
+
+// Helper: the local calendar date of a JS Date as YYYY-MM-DD. Business days are counted
+// on local dates (getDay), so holiday lookups and computed due dates use this format.
+const toLocalDate = (d) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const isWeekend = (d) => {
+  const day = d.getDay();
+  return day === 0 || day === 6;
+};
+
+// Adds business days (Mon-Fri) to a date. `holidays` is an optional Set of
+// YYYY-MM-DD local dates (as formatted by toLocalDate) that are skipped as well.
+const addBusinessDays = (startDate, businessDays, holidays = null) => {
+  const result = new Date(startDate.getTime());
+  const n = Number(businessDays);
+  if (!Number.isFinite(n) || n <= 0) return result;
+  let added = 0;
+  while (added < n) {
+    result.setDate(result.getDate() + 1);
+    if (!isWeekend(result) && !(holidays && holidays.has(toLocalDate(result)))) added += 1;
+  }
+  return result;
+};
+
+// Fallback when no sla_policies row matches (see sla_policy_service)
+const SLA_BUSINESS_DAYS_BY_SEVERITY = {
+  High: 3,
+  Medium: 5,
+  Low: 7,
+};
+
+// SQL for the moment an assignment becomes overdue: the end of its due date
+const slaDeadlineSql = (column = 'due_date') => `DATE_ADD(${column}, INTERVAL 1 DAY)`;
+
+const computeDueDateForSeverity = (severity, fromDate = new Date()) => {
+  const sev = (severity || 'Low').toString();
+  const days = SLA_BUSINESS_DAYS_BY_SEVERITY[sev] ?? SLA_BUSINESS_DAYS_BY_SEVERITY.Low;
+  return addBusinessDays(fromDate, days);
+};
+
+module.exports = {
+  toMySQLDate,
+  toLocalDate,
+  isWeekend,
+  addBusinessDays,
+  SLA_BUSINESS_DAYS_BY_SEVERITY,
+  computeDueDateForSeverity,
+  slaDeadlineSql,
+};